@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Manage API keys (X-API-Key) in the api_keys table.
+//
+//   node scripts/api-keys.js create --organization-id <uuid> --name <name>
+//   node scripts/api-keys.js create --admin --name <name>
+//   node scripts/api-keys.js list   [--organization-id <uuid>]
+//   node scripts/api-keys.js revoke --id <key id>
+//
+// Only the key's SHA-256 hash is stored: the key is printed once, on create.
+// Uses SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY from the environment.
+
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const Authenticator = require('../src/services/Authenticator');
+const { getConfig } = require('../src/utils/environment');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const name = arg.slice(2);
+    if (name === 'admin') {
+      options[name] = true;
+    } else {
+      if (rest[i + 1] === undefined) throw new Error(`Missing value for ${arg}`);
+      options[name] = rest[++i];
+    }
+  }
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const config = getConfig();
+  if (!config.supabase.url || !config.supabase.serviceRoleKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+  }
+  const supabase = createClient(config.supabase.url, config.supabase.serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const organizationId = options['organization-id'] || null;
+  if (organizationId && !UUID_PATTERN.test(organizationId)) {
+    throw new Error('--organization-id must be a UUID');
+  }
+
+  if (command === 'create') {
+    if (!options.name) throw new Error('create needs --name');
+    if (!organizationId && !options.admin) throw new Error('create needs --organization-id or --admin');
+
+    const key = Authenticator.generateKey();
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        id: uuidv4(),
+        name: options.name,
+        organization_id: organizationId,
+        is_admin: !!options.admin,
+        key_hash: Authenticator.hashKey(key)
+      })
+      .select('id')
+      .single();
+    if (error) throw new Error(`Failed to create API key: ${error.message}`);
+
+    console.log(`Created API key ${data.id} (${options.admin ? 'admin' : `organization ${organizationId}`})`);
+    console.log(`Key (shown once): ${key}`);
+    return;
+  }
+
+  if (command === 'list') {
+    let query = supabase
+      .from('api_keys')
+      .select('id, name, organization_id, is_admin, created_at, last_used_at, revoked_at')
+      .order('created_at', { ascending: false });
+    if (organizationId) query = query.eq('organization_id', organizationId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to list API keys: ${error.message}`);
+    if (data.length === 0) {
+      console.log('No API keys');
+      return;
+    }
+    for (const key of data) {
+      const scope = key.is_admin ? 'admin' : `org: ${key.organization_id}`;
+      const state = key.revoked_at ? `revoked ${key.revoked_at}` : `last used ${key.last_used_at || 'never'}`;
+      console.log(`${key.id}  ${key.name}  ${scope}  ${state}`);
+    }
+    return;
+  }
+
+  if (command === 'revoke') {
+    if (!options.id) throw new Error('revoke needs --id');
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', options.id)
+      .select('id');
+    if (error) throw new Error(`Failed to revoke API key: ${error.message}`);
+    if (data.length === 0) throw new Error(`No API key ${options.id}`);
+
+    console.log(`Revoked API key ${options.id} (cached by running services for up to a minute)`);
+    return;
+  }
+
+  throw new Error(`Unknown command: ${command || '(none)'}. Use "create", "list" or "revoke".`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
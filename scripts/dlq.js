@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Inspect and replay the dead-letter queue.
+//
+//   node scripts/dlq.js list   [--category <failure category>] [--limit <n>] [--json]
+//   node scripts/dlq.js replay (--id <messageId>[,<messageId>...] | --category <failure category>)
+//                              [--vertical accounting|legal] [--organization-id <uuid>]
+//                              [--limit <n>] [--dry-run] [--json]
+//
+// Uses the same environment as the service (QUEUE_DRIVER, AWS_REGION, SQS_QUEUE_URL,
+// SQS_DEAD_LETTER_QUEUE_URL, QUEUE_DIRECTORY, SUPABASE_*). The memory driver has
+// nothing to inspect from another process. Failure categories: src/utils/failures.js.
+
+const QueueManager = require('../src/services/QueueManager');
+const { FAILURE_CATEGORIES } = require('../src/utils/failures');
+const { createLogger } = require('../src/utils/logger');
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const name = arg.slice(2);
+    if (name === 'dry-run' || name === 'json') {
+      options[name] = true;
+    } else {
+      if (rest[i + 1] === undefined) throw new Error(`Missing value for ${arg}`);
+      options[name] = rest[++i];
+    }
+  }
+  return { command, options };
+}
+
+function printMessages(messages) {
+  if (messages.length === 0) {
+    console.log('No messages');
+    return;
+  }
+  for (const message of messages) {
+    console.log(`${message.messageId}  ${message.failure.category}  ${message.failedAt || '-'}`);
+    console.log(`  document: ${message.documentId || '-'}  org: ${message.organizationId || '-'}  vertical: ${message.vertical || '-'}`);
+    if (message.s3Key) console.log(`  s3: ${message.bucketName}/${message.s3Key}`);
+    console.log(`  reason: ${message.failure.reason}`);
+    if (message.replayError) console.log(`  replay error: ${message.replayError}`);
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const limit = parseInt(options.limit || '50');
+
+  if (options.category && !FAILURE_CATEGORIES[options.category]) {
+    throw new Error(`Unknown failure category: ${options.category} (one of ${Object.keys(FAILURE_CATEGORIES).join(', ')})`);
+  }
+
+  // Keep the service's own logging out of the command output
+  const logger = createLogger();
+  logger.level = process.env.LOG_LEVEL || 'warn';
+  const queueManager = new QueueManager({ documentProcessor: null, logger });
+
+  if (command === 'list') {
+    const messages = await queueManager.listDeadLetterMessages({ category: options.category || null, limit });
+    if (options.json) {
+      console.log(JSON.stringify(messages, null, 2));
+    } else {
+      printMessages(messages);
+    }
+    return;
+  }
+
+  if (command === 'replay') {
+    const messageIds = options.id ? options.id.split(',').map(id => id.trim()).filter(Boolean) : null;
+    if (!messageIds && !options.category) {
+      throw new Error('replay needs --id and/or --category');
+    }
+
+    const overrides = {};
+    if (options.vertical) {
+      if (!['accounting', 'legal'].includes(options.vertical)) throw new Error('--vertical must be accounting or legal');
+      overrides.vertical = options.vertical;
+    }
+    if (options['organization-id']) {
+      if (!queueManager.isValidUUID(options['organization-id'])) throw new Error('--organization-id must be a UUID');
+      overrides.organizationId = options['organization-id'];
+    }
+
+    const result = await queueManager.replayDeadLetterMessages({
+      messageIds,
+      category: options.category || null,
+      limit,
+      overrides,
+      dryRun: !!options['dry-run']
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`${result.dryRun ? 'Would replay' : 'Replayed'} ${result.replayed.length} of ${result.inspected} inspected messages`);
+      printMessages(result.replayed);
+      if (result.failed.length > 0) {
+        console.log(`\nFailed to replay ${result.failed.length}:`);
+        printMessages(result.failed);
+      }
+    }
+    return;
+  }
+
+  throw new Error(`Unknown command: ${command || '(none)'}. Use "list" or "replay".`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
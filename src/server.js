@@ -3,10 +3,16 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
 const DocumentProcessor = require('./services/DocumentProcessor');
 const QueueManager = require('./services/QueueManager');
-const { validateEnvironment } = require('./utils/environment');
+const WebhookNotifier = require('./services/WebhookNotifier');
+const Authenticator = require('./services/Authenticator');
+const RateLimiter = require('./services/RateLimiter');
+const { validateEnvironment, getConfig } = require('./utils/environment');
 const { createLogger } = require('./utils/logger');
+const { classifyFailure } = require('./utils/failures');
+const { parseMultipart } = require('./utils/multipart');
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -25,6 +31,7 @@ try {
 // Initialize services
 let documentProcessor;
 let queueManager;
+let authenticator;
 let server;
 
 async function initializeServices() {
@@ -39,6 +46,12 @@ async function initializeServices() {
       logger 
     });
     
+    authenticator = new Authenticator({
+      supabase: documentProcessor.supabase,
+      logger,
+      adminApiKeys: config.auth.adminApiKeys
+    });
+    
     logger.info('Services initialized successfully');
   } catch (error) {
     logger.error('Service initialization failed:', error);
@@ -47,12 +60,12 @@ async function initializeServices() {
 }
 
 // Middleware
+const config = getConfig();
+// Proxies in front of the service (load balancer) whose X-Forwarded-For gives req.ip
+app.set('trust proxy', config.server.trustProxyHops);
 app.use(helmet());
 app.use(compression());
-app.use(cors());
-const config = getConfig();
-app.use(express.json({ limit: config.server.requestBodyLimit }));
-app.use(express.urlencoded({ extended: true, limit: config.server.requestBodyLimit }));
+app.use(cors({ origin: config.server.corsAllowedOrigins }));
 
 // Request logging
 app.use((req, res, next) => {
@@ -63,7 +76,7 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
+// Health check endpoint (public, for load balancer checks)
 app.get('/health', async (req, res) => {
   try {
     const health = {
@@ -93,8 +106,71 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Failed authentication attempts per client IP (see RateLimiter). A client that keeps
+// failing is turned away before its credentials are looked up.
+const authFailureLimiter = new RateLimiter(config.rateLimit.authFailures);
+
+// Every other route needs an API key or a Supabase user token (see Authenticator);
+// the caller's principal is req.principal
+async function authenticate(req, res, next) {
+  const failureKey = `ip:${req.ip}`;
+  const failures = authFailureLimiter.check(failureKey);
+  if (!failures.allowed) {
+    res.set('Retry-After', String(failures.retryAfterSeconds));
+    return res.status(429).json({ error: 'Too many failed authentication attempts', retryAfterSeconds: failures.retryAfterSeconds });
+  }
+  
+  try {
+    const principal = authenticator ? await authenticator.authenticate(req) : null;
+    if (!principal) {
+      authFailureLimiter.take(failureKey);
+      return res.status(401).json({ error: 'Authentication required: X-API-Key or Authorization: Bearer token' });
+    }
+    req.principal = principal;
+    next();
+  } catch (error) {
+    logger.error('Authentication failed:', error);
+    res.status(503).json({ error: 'Authentication unavailable' });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.principal.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// Token bucket per caller (see RateLimiter). Callers scoped to one organization share
+// its bucket, so extra API keys don't raise the limit; admins aren't limited.
+const rateLimiter = new RateLimiter(config.rateLimit);
+
+function rateLimit(req, res, next) {
+  const { principal } = req;
+  if (principal.isAdmin) {
+    return next();
+  }
+  
+  const key = principal.organizationIds.length === 1
+    ? `org:${principal.organizationIds[0]}`
+    : `${principal.type}:${principal.id}`;
+  const { allowed, remaining, retryAfterSeconds } = rateLimiter.take(key);
+  res.set('X-RateLimit-Remaining', String(remaining));
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error: 'Rate limit exceeded', retryAfterSeconds });
+  }
+  next();
+}
+
+// Bodies are only parsed for authenticated callers within their rate limit
+app.use(authenticate);
+app.use(rateLimit);
+app.use(express.json({ limit: config.server.requestBodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.server.requestBodyLimit }));
+
 // Metrics endpoint for monitoring/auto-scaling
-app.get('/metrics', async (req, res) => {
+app.get('/metrics', requireAdmin, async (req, res) => {
   try {
     const metrics = await queueManager.getMetrics();
     res.json(metrics);
@@ -104,16 +180,96 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
-// Manual processing endpoint (for testing)
+// Record a job, hand it to the queue workers and answer 202 with the URL to poll
+async function acceptJob(res, jobData) {
+  const jobId = uuidv4();
+  const { documentId, vertical, organizationId, jobType } = jobData;
+  
+  await documentProcessor.jobs.create({ id: jobId, type: jobType, documentId, vertical, organizationId });
+  try {
+    await queueManager.submitJob({ ...jobData, jobId });
+  } catch (error) {
+    await documentProcessor.jobs.fail(jobId, classifyFailure(error), { final: true });
+    throw error;
+  }
+  
+  const statusUrl = `/jobs/${jobId}`;
+  res.status(202).location(statusUrl).json({
+    success: true,
+    jobId,
+    documentId,
+    status: 'queued',
+    statusUrl
+  });
+}
+
+// Answers 429 when the organization is over a processing quota (see QuotaManager);
+// returns whether it did
+async function rejectOverQuota(res, organizationId) {
+  const quota = await documentProcessor.quotas.check(organizationId);
+  if (quota.allowed) {
+    return false;
+  }
+  
+  const retryAfterSeconds = Math.max(1, Math.ceil((new Date(quota.resetsAt).getTime() - Date.now()) / 1000));
+  res.status(429).set('Retry-After', String(retryAfterSeconds)).json({
+    error: `Organization is over its ${quota.quota} quota`,
+    quota: quota.quota,
+    limit: quota.limit,
+    used: quota.used,
+    resetsAt: quota.resetsAt
+  });
+  return true;
+}
+
+// webhookUrl (optional) receives the completion/failure callback instead of the
+// organization's configured webhook
+function invalidWebhookUrl(webhookUrl) {
+  return webhookUrl !== undefined && !WebhookNotifier.isValidUrl(webhookUrl, { allowHttp: config.webhooks.allowLocalTargets });
+}
+
+// Manual processing endpoint: queues the document and returns a job to poll
 app.post('/process', async (req, res) => {
   try {
-    const { documentId, vertical, organizationId } = req.body;
+    const { documentId, vertical, organizationId, webhookUrl, s3Key, bucketName } = req.body;
     
     if (!documentId || !vertical) {
       return res.status(400).json({
         error: 'Missing required fields: documentId, vertical'
       });
     }
+    if (!organizationId || !queueManager.isValidUUID(organizationId)) {
+      return res.status(400).json({
+        error: 'organizationId must be a UUID'
+      });
+    }
+    if (invalidWebhookUrl(webhookUrl)) {
+      return res.status(400).json({
+        error: 'webhookUrl must be an https URL'
+      });
+    }
+    if (!Authenticator.canAccess(req.principal, organizationId)) {
+      return res.status(403).json({
+        error: 'Not authorized for this organization'
+      });
+    }
+    
+    // A document that already has a row must belong to that organization
+    const existing = await documentProcessor.getDocumentStatus(documentId, vertical);
+    if (existing && existing.organizationId !== organizationId) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+    // Without a row the file can only be found from its key
+    if (!existing && !s3Key) {
+      return res.status(400).json({
+        error: 'Missing required field for a document without a row: s3Key'
+      });
+    }
+    if (await rejectOverQuota(res, organizationId)) {
+      return;
+    }
     
     logger.info('Manual processing request received', {
       documentId,
@@ -121,65 +277,342 @@ app.post('/process', async (req, res) => {
       organizationId
     });
     
-    const result = await documentProcessor.processDocument({
+    // With s3Key the file is read from the document storage like an S3 event; otherwise
+    // the worker reads it from the location recorded on the row
+    const fileLocation = s3Key ? {
+      s3Key,
+      bucketName: bucketName || config.storage.documentBucket,
+      storageBackend: config.storage.documentBackend,
+      originalFilename: queueManager.extractFilename(s3Key),
+      documentType: queueManager.detectDocumentType(queueManager.extractFilename(s3Key))
+    } : {};
+    
+    await acceptJob(res, {
+      jobType: 'process',
       documentId,
       vertical,
-      organizationId
-    });
-    
-    res.json({
-      success: true,
-      result
+      organizationId,
+      webhookUrl,
+      ...fileLocation
     });
   } catch (error) {
-    logger.error('Manual processing failed:', error);
+    logger.error('Manual processing request failed:', error);
     res.status(500).json({
-      error: 'Processing failed',
+      error: 'Failed to queue processing',
       message: error.message
     });
   }
 });
 
-// Compatible endpoint with accountant-app cloud-run processor
+// Compatible endpoint with accountant-app cloud-run processor: re-processes a stored
+// document, asynchronously like /process. The organization comes from the document row
+// (an organizationId in the body is ignored).
 app.post('/process-document', async (req, res) => {
   try {
-    const { documentId, vertical = 'accounting', organizationId = 'default' } = req.body;
+    const { documentId, vertical = 'accounting', webhookUrl } = req.body;
     
     if (!documentId) {
       return res.status(400).json({
         error: 'Missing required field: documentId'
       });
     }
+    if (invalidWebhookUrl(webhookUrl)) {
+      return res.status(400).json({
+        error: 'webhookUrl must be an https URL'
+      });
+    }
+    
+    // Other organizations' documents look the same as missing ones
+    const document = await documentProcessor.getDocumentStatus(documentId, vertical);
+    if (!document || !Authenticator.canAccess(req.principal, document.organizationId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        documentId
+      });
+    }
+    if (document.organizationId && await rejectOverQuota(res, document.organizationId)) {
+      return;
+    }
     
     logger.info('Document processing request received (cloud-run compatible)', {
       documentId,
       vertical,
-      organizationId
+      organizationId: document.organizationId
     });
     
-    // For direct processing requests, we need to look up the document in the database
-    // to get file information, then process it
-    const result = await documentProcessor.processExistingDocument({
+    await acceptJob(res, {
+      jobType: 'existing_document',
       documentId,
       vertical,
+      organizationId: document.organizationId,
+      webhookUrl
+    });
+  } catch (error) {
+    logger.error('Document processing request failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      documentId: req.body.documentId
+    });
+  }
+});
+
+// Multipart form fields of POST /documents, validated; throws with the 400 message
+function parseUploadForm({ fields, files }) {
+  const { vertical = 'accounting', organizationId, webhookUrl, sync } = fields;
+  
+  if (!files.file || files.file.buffer.length === 0) {
+    throw new Error('Missing required file field: file');
+  }
+  if (!['accounting', 'legal'].includes(vertical)) {
+    throw new Error('vertical must be "accounting" or "legal"');
+  }
+  if (!organizationId || !queueManager.isValidUUID(organizationId)) {
+    throw new Error('organizationId must be a UUID');
+  }
+  if (invalidWebhookUrl(webhookUrl)) {
+    throw new Error('webhookUrl must be an https URL');
+  }
+  
+  return {
+    file: files.file,
+    vertical,
+    organizationId,
+    webhookUrl,
+    sync: sync === 'true'
+  };
+}
+
+// Upload a file for processing (multipart/form-data: file, vertical, organizationId,
+// optional webhookUrl and sync). Queued like /process and answered with 202, or with
+// sync=true (small files only) processed inline and answered with the extracted data.
+app.post('/documents', async (req, res) => {
+  const { syncMaxFileSizeBytes, maxTimeMs } = config.processing;
+  const maxFileSizeBytes = Math.min(config.processing.uploadMaxFileSizeBytes, config.processing.maxFileSizeBytes);
+  
+  let upload;
+  try {
+    // Room for the form fields and part headers around the file
+    upload = parseUploadForm(await parseMultipart(req, { maxBytes: maxFileSizeBytes + 64 * 1024 }));
+  } catch (error) {
+    const status = error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+  
+  const { file, vertical, organizationId, webhookUrl, sync } = upload;
+  if (!Authenticator.canAccess(req.principal, organizationId)) {
+    return res.status(403).json({ error: 'Not authorized for this organization' });
+  }
+  if (file.buffer.length > maxFileSizeBytes) {
+    return res.status(413).json({ error: `File exceeds the ${maxFileSizeBytes} byte limit` });
+  }
+  if (sync && file.buffer.length > syncMaxFileSizeBytes) {
+    return res.status(413).json({
+      error: `sync processing is limited to files up to ${syncMaxFileSizeBytes} bytes; upload without sync to queue it`
+    });
+  }
+  
+  try {
+    if (!await documentProcessor.organizationExists(organizationId)) {
+      return res.status(400).json({ error: `Organization ${organizationId} does not exist` });
+    }
+    if (await rejectOverQuota(res, organizationId)) {
+      return;
+    }
+    
+    logger.info('Document upload received', {
+      filename: file.filename,
+      size: file.buffer.length,
+      vertical,
+      organizationId,
+      sync
+    });
+    
+    const jobData = await documentProcessor.storeUpload({
+      buffer: file.buffer,
+      filename: file.filename,
+      documentType: queueManager.detectDocumentType(file.filename),
+      vertical,
       organizationId
     });
     
+    if (!sync) {
+      return await acceptJob(res, { ...jobData, jobType: 'upload', webhookUrl });
+    }
+    
+    // Stop the pipeline when the caller goes away or the processing limit is reached
+    const disconnected = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) disconnected.abort(new Error('Client disconnected'));
+    });
+    const signal = AbortSignal.any([disconnected.signal, AbortSignal.timeout(maxTimeMs)]);
+    
+    try {
+      // Counted like a queued job; over quota by now, it is rejected rather than deferred
+      const usage = await queueManager.enforceQuota(jobData, { canDefer: false });
+      const result = await documentProcessor.processDocument(jobData, { signal });
+      await queueManager.recordUsage(jobData, usage.usageKey, result);
+      res.json({
+        success: true,
+        documentId: jobData.documentId,
+        status: 'complete',
+        processingTimeMs: result.processingTime,
+        duplicateOf: result.duplicateOf || null,
+        structuredData: result.result?.extractedData || null
+      });
+    } catch (error) {
+      const failure = classifyFailure(error);
+      res.status(failure.permanent ? 422 : 500).json({
+        success: false,
+        documentId: jobData.documentId,
+        status: 'failed',
+        error: failure.reason,
+        category: failure.category
+      });
+    }
+  } catch (error) {
+    logger.error('Document upload failed:', error);
+    res.status(500).json({
+      error: 'Failed to store upload',
+      message: error.message
+    });
+  }
+});
+
+// Job status: stage, progress, attempts, error and timings
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await documentProcessor.jobs.get(req.params.id);
+    if (!job || !Authenticator.canAccess(req.principal, job.organization_id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(documentProcessor.jobs.describe(job));
+  } catch (error) {
+    logger.error('Job status lookup failed:', error);
+    res.status(500).json({
+      error: 'Failed to read job status',
+      message: error.message
+    });
+  }
+});
+
+// Document status: processing state from the document row, with its latest job
+app.get('/documents/:id/status', async (req, res) => {
+  const vertical = req.query.vertical || 'accounting';
+  if (!['accounting', 'legal'].includes(vertical)) {
+    return res.status(400).json({ error: 'vertical must be "accounting" or "legal"' });
+  }
+  
+  try {
+    const status = await documentProcessor.getDocumentStatus(req.params.id, vertical);
+    if (!status || !Authenticator.canAccess(req.principal, status.organizationId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const latestJob = await documentProcessor.jobs.latestForDocument(req.params.id);
     res.json({
-      success: true,
-      documentId,
-      result
+      ...status,
+      job: latestJob ? documentProcessor.jobs.describe(latestJob) : null
     });
   } catch (error) {
-    logger.error('Document processing failed:', error);
+    logger.error('Document status lookup failed:', error);
     res.status(500).json({
-      success: false,
-      error: error.message,
-      documentId: req.body.documentId
+      error: 'Failed to read document status',
+      message: error.message
+    });
+  }
+});
+
+// Admin-only routes (operations across organizations), mounted at /admin
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+// Replay overrides must name a known vertical and a real organization id
+function parseReplayOverrides(body) {
+  const overrides = {};
+  if (body.vertical !== undefined) {
+    if (!['accounting', 'legal'].includes(body.vertical)) {
+      throw new Error('vertical must be "accounting" or "legal"');
+    }
+    overrides.vertical = body.vertical;
+  }
+  if (body.organizationId !== undefined) {
+    if (!queueManager.isValidUUID(body.organizationId)) {
+      throw new Error('organizationId must be a UUID');
+    }
+    overrides.organizationId = body.organizationId;
+  }
+  return overrides;
+}
+
+// Dead-letter queue: list failed messages with their parsed document/org/S3 details
+adminRouter.get('/dead-letter', async (req, res) => {
+  try {
+    const messages = await queueManager.listDeadLetterMessages({
+      category: req.query.category || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    
+    res.json({
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    logger.error('Dead-letter listing failed:', error);
+    res.status(500).json({
+      error: 'Failed to list dead-letter queue',
+      message: error.message
     });
   }
 });
 
+// Dead-letter queue: re-enqueue selected messages on the main queue
+adminRouter.post('/dead-letter/replay', async (req, res) => {
+  const { messageIds, category, limit, dryRun = false } = req.body || {};
+  
+  if (!messageIds && !category) {
+    return res.status(400).json({
+      error: 'Select messages to replay with messageIds and/or category'
+    });
+  }
+  if (messageIds && (!Array.isArray(messageIds) || messageIds.length === 0)) {
+    return res.status(400).json({
+      error: 'messageIds must be a non-empty array'
+    });
+  }
+  
+  let overrides;
+  try {
+    overrides = parseReplayOverrides(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    logger.info('Dead-letter replay requested', { messageIds, category, overrides, dryRun });
+    
+    const result = await queueManager.replayDeadLetterMessages({
+      messageIds: messageIds || null,
+      category: category || null,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      overrides,
+      dryRun: dryRun === true
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('Dead-letter replay failed:', error);
+    res.status(500).json({
+      error: 'Failed to replay dead-letter messages',
+      message: error.message
+    });
+  }
+});
+
+app.use('/admin', adminRouter);
+
 // Graceful shutdown handling
 let isShuttingDown = false;
 async function gracefulShutdown(signal) {
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Identifies API callers. Two kinds of credentials:
+//   X-API-Key: <key>              API keys, stored hashed in api_keys, each scoped to one
+//                                 organization (or is_admin); ADMIN_API_KEYS adds admin
+//                                 keys without a database row
+//   Authorization: Bearer <jwt>   Supabase-issued user tokens, verified with Supabase Auth;
+//                                 the user's organizations are their active
+//                                 organization_members rows
+// The result is a principal { type, id, isAdmin, organizationIds }. Principals are cached
+// for a minute (never past a token's expiry), so revoking a key takes up to that long.
+
+const API_KEYS_TABLE = 'api_keys';
+const CACHE_TTL_MS = 60000;
+const MAX_CACHE_ENTRIES = 10000;
+
+class Authenticator {
+  constructor({ supabase, logger, adminApiKeys = [] }) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.adminKeyHashes = adminApiKeys.map(key => Buffer.from(Authenticator.hashKey(key), 'hex'));
+    this.cache = new Map();
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  static generateKey() {
+    return `fk_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  // Admins reach every organization; everyone else only their own
+  static canAccess(principal, organizationId) {
+    return principal.isAdmin || (!!organizationId && principal.organizationIds.includes(organizationId));
+  }
+
+  // Principal for the request's credentials, or null when it has none or they are invalid.
+  // Throws when the credentials can't be checked (database or Supabase Auth errors).
+  async authenticate(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      const keyHash = Authenticator.hashKey(apiKey);
+      return this.cached(`key:${keyHash}`, () => this.authenticateApiKey(keyHash));
+    }
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (match) {
+      const token = match[1];
+      return this.cached(`jwt:${Authenticator.hashKey(token)}`, () => this.authenticateUser(token), Authenticator.tokenExpiry(token));
+    }
+
+    return null;
+  }
+
+  async authenticateApiKey(keyHash) {
+    const hashBuffer = Buffer.from(keyHash, 'hex');
+    if (this.adminKeyHashes.some(adminHash => crypto.timingSafeEqual(adminHash, hashBuffer))) {
+      return { type: 'api_key', id: 'env:ADMIN_API_KEYS', isAdmin: true, organizationIds: [] };
+    }
+
+    const { data: key, error } = await this.supabase
+      .from(API_KEYS_TABLE)
+      .select('id, organization_id, is_admin, revoked_at')
+      .eq('key_hash', keyHash)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`API key lookup failed: ${error.message}`);
+    }
+    if (!key || key.revoked_at) {
+      return null;
+    }
+
+    const { error: touchError } = await this.supabase
+      .from(API_KEYS_TABLE)
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', key.id);
+    if (touchError) {
+      this.logger.warn(`Failed to record use of API key ${key.id}: ${touchError.message}`);
+    }
+
+    return {
+      type: 'api_key',
+      id: key.id,
+      isAdmin: !!key.is_admin,
+      organizationIds: key.organization_id ? [key.organization_id] : []
+    };
+  }
+
+  async authenticateUser(token) {
+    const { data, error } = await this.supabase.auth.getUser(token);
+    if (error || !data?.user) {
+      return null;
+    }
+
+    const { data: memberships, error: membershipError } = await this.supabase
+      .from('organization_members')
+      .select('organization_id')
+      .eq('user_id', data.user.id)
+      .eq('status', 'active');
+
+    if (membershipError) {
+      throw new Error(`Organization membership lookup failed: ${membershipError.message}`);
+    }
+
+    return {
+      type: 'user',
+      id: data.user.id,
+      isAdmin: false,
+      organizationIds: (memberships || []).map(membership => membership.organization_id)
+    };
+  }
+
+  // exp claim (ms) of a JWT; the signature was already checked by Supabase Auth
+  static tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Only successful lookups are cached
+  async cached(cacheKey, lookup, expiresAt = null) {
+    const entry = this.cache.get(cacheKey);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.principal;
+    }
+
+    const principal = await lookup();
+    if (principal) {
+      if (this.cache.size >= MAX_CACHE_ENTRIES) {
+        this.cache.clear();
+      }
+      this.cache.set(cacheKey, {
+        principal,
+        expiresAt: Math.min(Date.now() + CACHE_TTL_MS, expiresAt || Infinity)
+      });
+    } else {
+      this.cache.delete(cacheKey);
+    }
+    return principal;
+  }
+}
+
+module.exports = Authenticator;
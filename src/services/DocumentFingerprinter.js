@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+// dHash grid: (HASH_WIDTH + 1) x HASH_HEIGHT pixels give HASH_WIDTH x HASH_HEIGHT bits
+const HASH_WIDTH = 16;
+const HASH_HEIGHT = 16;
+
+const IMAGE_TYPES = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif'];
+
+// Content fingerprints used for duplicate detection before any AI call:
+// SHA-256 of the file bytes, plus a perceptual hash (dHash) for images so that
+// re-encoded or resized copies of the same picture still match.
+class DocumentFingerprinter {
+  constructor({ logger }) {
+    this.logger = logger;
+  }
+
+  async fingerprint(fileBuffer, { fileType, documentId = 'unknown' } = {}) {
+    const contentHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    let perceptualHash = null;
+
+    if (IMAGE_TYPES.includes(fileType)) {
+      try {
+        perceptualHash = await this.perceptualHash(fileBuffer, fileType);
+      } catch (error) {
+        this.logger.warn(`[${documentId}] Perceptual hash failed: ${error.message}`);
+      }
+    }
+
+    return { contentHash, perceptualHash };
+  }
+
+  // Difference hash: compare each pixel with its right neighbour on a small grayscale thumbnail
+  async perceptualHash(imageBuffer, fileType) {
+    let input = imageBuffer;
+    if (fileType === 'heic' || fileType === 'heif') {
+      input = Buffer.from(await heicConvert({ buffer: imageBuffer, format: 'JPEG', quality: 0.9 }));
+    }
+
+    const pixels = await sharp(input)
+      .rotate()
+      .grayscale()
+      .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let bits = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      for (let x = 0; x < HASH_WIDTH; x++) {
+        const offset = y * (HASH_WIDTH + 1) + x;
+        bits += pixels[offset] > pixels[offset + 1] ? '1' : '0';
+      }
+    }
+
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += parseInt(bits.substring(i, i + 4), 2).toString(16);
+    }
+    return hex;
+  }
+
+  // Number of differing bits between two hex hashes of equal length
+  hammingDistance(hashA, hashB) {
+    if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+      let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+}
+
+module.exports = DocumentFingerprinter;
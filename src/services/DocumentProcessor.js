@@ -1,11 +1,59 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-const sharp = require('sharp');
-const heicConvert = require('heic-convert');
+const { v4: uuidv4 } = require('uuid');
 const ExcelJS = require('exceljs');
 const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { PDFDocument } = require('pdf-lib');
 const { getConfig } = require('../utils/environment');
+const { classifyFailure, withFailureCategory } = require('../utils/failures');
+const { resolveFileType } = require('../utils/fileType');
+const { createAIProvider } = require('./ai');
+const ImagePreprocessor = require('./ImagePreprocessor');
+const PreviewGenerator = require('./PreviewGenerator');
+const DocumentFingerprinter = require('./DocumentFingerprinter');
+const ProcessingLeases = require('./ProcessingLeases');
+const JobStore = require('./JobStore');
+const WebhookNotifier = require('./WebhookNotifier');
+const QuotaManager = require('./QuotaManager');
+const { createStorage } = require('./storage');
+const {
+  validateExtraction,
+  finalizeExtraction,
+  formatValidationErrors,
+  getExtractionSchema,
+  reconcileInvoiceTotals,
+  reconcileBankTransactions,
+  mergeBankStatementBatches,
+  normalizeVendor,
+  parseEmbedding,
+  cosineSimilarity,
+  scoreInvoiceMatch,
+  classifyInvoiceDuplicates
+} = require('./extraction');
+
+// Extraction result columns copied from the original when a duplicate upload is linked
+const LINKED_ACCOUNTING_COLUMNS = [
+  'vendor', 'vendor_normalized', 'document_date', 'document_type', 'total_amount', 'currency',
+  'description', 'discount', 'deposit_amount', 'ap_ar_status', 'document_number', 'tax_amount',
+  'tax_type_id', 'tax_type_name', 'service_charge_amount', 'service_charge_type', 'due_date',
+  'preview_path', 'preview_format'
+];
+const LINKED_LEGAL_COLUMNS = [
+  'document_title', 'document_type', 'contract_type', 'document_date', 'effective_date', 'expiry_date',
+  'parties', 'primary_party', 'counterparty', 'governing_law', 'jurisdiction', 'language', 'legal_area',
+  'key_terms', 'obligations', 'rights', 'risk_factors', 'compliance_notes', 'contract_value', 'currency',
+  'payment_terms', 'chunking_strategy', 'processing_chunks', 'section_processing_results', 'processed_sections_count'
+];
+
+// Buckets files were stored in, by vertical, before rows recorded their location
+const LEGACY_VERTICAL_BUCKETS = { accounting: 'documents', legal: 'legal-docs' };
+
+// Quote a value for a PostgREST filter string (.or()), where commas, dots and parentheses
+// in an unquoted value would be read as filter syntax
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
 
 // Helper function to parse numbers from AI responses (handles Indonesian and international formats)
 function parseNumericValue(value) {
@@ -110,6 +158,35 @@ function normalizeDocumentType(type) {
     .trim();
 }
 
+// Normalize AI-provided dates to YYYY-MM-DD, dropping anything unparseable or implausible
+function normalizeDateValue(value) {
+  if (!value || typeof value !== 'string') return null;
+  
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  
+  const year = parseInt(match[1]);
+  if (year < 1900 || year > 2200) return null;
+  
+  const date = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+// Normalize AI-provided lists to an array of non-empty strings
+function normalizeStringArray(value) {
+  if (value === null || value === undefined) return [];
+  const items = Array.isArray(value) ? value : [value];
+  
+  return items
+    .map(item => {
+      if (item === null || item === undefined) return null;
+      if (typeof item === 'object') return item.name || item.description || JSON.stringify(item);
+      return String(item);
+    })
+    .filter(item => item && item.trim().length > 0)
+    .map(item => item.trim());
+}
+
 // Efficient streaming text chunking function with improved memory usage
 function* chunkTextStream(text, chunkSize, overlap) {
   if (!text || text.length <= chunkSize) {
@@ -135,13 +212,268 @@ function chunkText(text, options = {}) {
   return Array.from(chunkTextStream(text, chunkSize, chunkOverlap));
 }
 
+// Structure-aware chunking for legal documents
+// Headings such as "PASAL 5", "Article 12", "Section 3.1" or "BAB II" start a new section
+// (optionally prefixed with markdown "#" markers, as produced by Word conversion)
+const SECTION_HEADING_PATTERN = /^(#+\s*)?(pasal|article|section|clause|bab|chapter|bagian)\s+(\d+(\.\d+)*[a-z]?|[ivxlc]+)\b/i;
+// Numbered clauses such as "1.", "2.3", "(a)" or "b." are split points inside a section
+const NUMBERED_CLAUSE_PATTERN = /^(\d+(\.\d+)*[.)]?|\(?[a-z]\)|[a-z]\.)\s+\S/i;
+
+function isSectionHeading(line) {
+  const trimmed = line.trim();
+  return trimmed.length > 0 && trimmed.length <= 100 && SECTION_HEADING_PATTERN.test(trimmed);
+}
+
+// Short all-caps lines directly under a heading are treated as the section title ("PASAL 2\nRUANG LINGKUP")
+function isHeadingTitleLine(line) {
+  const trimmed = line.trim().replace(/^#+\s*/, '');
+  return trimmed.length > 0 &&
+         trimmed.length <= 100 &&
+         /[A-Z]/.test(trimmed) &&
+         trimmed === trimmed.toUpperCase() &&
+         !isSectionHeading(trimmed) &&
+         !/[.;,]$/.test(trimmed);
+}
+
+// Split text into sections at detected headings; text before the first heading becomes an untitled preamble
+function splitIntoSections(text) {
+  const lines = text.split('\n');
+  const sections = [];
+  let current = { title: null, lines: [] };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (isSectionHeading(line)) {
+      if (current.lines.some(l => l.trim())) sections.push(current);
+
+      let title = line.trim().replace(/^#+\s*/, '');
+      // Only bare headings ("PASAL 2") pick up the following title line, skipping one blank line
+      const nextIndex = i + 1 < lines.length && !lines[i + 1].trim() ? i + 2 : i + 1;
+      if (title.split(/\s+/).length <= 3 && nextIndex < lines.length && isHeadingTitleLine(lines[nextIndex])) {
+        title = `${title} - ${lines[nextIndex].trim().replace(/^#+\s*/, '')}`;
+      }
+      current = { title, lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.some(l => l.trim())) sections.push(current);
+
+  return sections.map(section => ({
+    title: section.title,
+    text: section.lines.join('\n').trim()
+  }));
+}
+
+// Break a block of text into units no larger than chunkSize, preferring paragraph,
+// then numbered-clause, then sentence boundaries before falling back to fixed windows
+function splitIntoUnits(text, chunkSize, overlap) {
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const units = [];
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= chunkSize) {
+      units.push(paragraph);
+      continue;
+    }
+
+    // Split long paragraphs at numbered clauses
+    const clauses = [];
+    let clause = [];
+    for (const line of paragraph.split('\n')) {
+      if (NUMBERED_CLAUSE_PATTERN.test(line.trim()) && clause.length > 0) {
+        clauses.push(clause.join('\n'));
+        clause = [];
+      }
+      clause.push(line);
+    }
+    if (clause.length > 0) clauses.push(clause.join('\n'));
+
+    for (const clauseText of clauses) {
+      if (clauseText.length <= chunkSize) {
+        units.push(clauseText);
+        continue;
+      }
+
+      // Split long clauses at sentence boundaries
+      const sentences = clauseText.split(/(?<=[.!?;])\s+/);
+      for (const sentence of sentences) {
+        if (sentence.length <= chunkSize) {
+          units.push(sentence);
+        } else {
+          units.push(...chunkTextStream(sentence, chunkSize, overlap));
+        }
+      }
+    }
+  }
+
+  return units;
+}
+
+// Greedily pack units into chunks, carrying a short trailing unit forward as overlap
+function packUnits(units, chunkSize, overlap) {
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  for (const unit of units) {
+    if (currentLength > 0 && currentLength + unit.length + 1 > chunkSize) {
+      chunks.push(current.join('\n'));
+      const lastUnit = current[current.length - 1];
+      current = lastUnit.length <= overlap && lastUnit.length + unit.length + 1 <= chunkSize ? [lastUnit] : [];
+      currentLength = current.length > 0 ? lastUnit.length : 0;
+    }
+    current.push(unit);
+    currentLength += (currentLength > 0 ? 1 : 0) + unit.length;
+  }
+  if (current.length > 0) chunks.push(current.join('\n'));
+
+  return chunks;
+}
+
+// Chunk text along its legal structure and report which strategy was used:
+// 'section_aware' when headings are found, 'paragraph' when only paragraph breaks are, else 'fixed_size'
+function chunkTextBySections(text, options = {}) {
+  const { chunkSize, chunkOverlap } = options;
+  if (!chunkSize || !chunkOverlap) {
+    throw new Error('chunkTextBySections requires chunkSize and chunkOverlap in options');
+  }
+  if (!text || !text.trim()) {
+    return { strategy: 'fixed_size', sections: [], chunks: [] };
+  }
+
+  let sections = splitIntoSections(text);
+  let strategy = 'section_aware';
+
+  if (sections.filter(section => section.title).length < 2) {
+    const paragraphCount = text.split(/\n\s*\n/).filter(p => p.trim()).length;
+    strategy = paragraphCount >= 2 ? 'paragraph' : 'fixed_size';
+    sections = [{ title: null, text: text.trim() }];
+  }
+
+  const chunks = [];
+  const sectionSummaries = sections.map((section, sectionIndex) => {
+    const sectionChunks = strategy === 'fixed_size'
+      ? Array.from(chunkTextStream(section.text, chunkSize, chunkOverlap))
+      : packUnits(splitIntoUnits(section.text, chunkSize, chunkOverlap), chunkSize, chunkOverlap);
+
+    for (const content of sectionChunks) {
+      // Continuation chunks get the section title prepended so each chunk stands on its own
+      const needsTitle = section.title && !content.startsWith(section.text.split('\n')[0].trim());
+      chunks.push({
+        content: needsTitle ? `[${section.title}]\n${content}` : content,
+        section_title: section.title,
+        section_index: sectionIndex
+      });
+    }
+
+    return {
+      section_index: sectionIndex,
+      title: section.title,
+      char_count: section.text.length,
+      chunk_count: sectionChunks.length
+    };
+  });
+
+  return { strategy, sections: sectionSummaries, chunks };
+}
+
+// Convert mammoth HTML output to plain text, keeping headings (as markdown "#") and tables (as "|" rows)
+function htmlToStructuredText(html) {
+  const stripTags = fragment => fragment.replace(/<[^>]+>/g, '');
+  const decodeEntities = fragment => fragment
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&');
+
+  const text = html
+    .replace(/<img[^>]*>/gi, '')
+    .replace(/<tr[^>]*>([\s\S]*?)<\/tr>/gi, (_, row) => {
+      const cells = [...row.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)]
+        .map(cell => stripTags(cell[1].replace(/<\/p>/gi, ' ')).replace(/\s+/g, ' ').trim());
+      return `\n| ${cells.join(' | ')} |`;
+    })
+    .replace(/<\/table>/gi, '\n\n')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, content) => `\n\n${'#'.repeat(parseInt(level))} ${stripTags(content).trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|ul|ol)>/gi, '\n');
+
+  return decodeEntities(stripTags(text))
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Per-job context (the job's AbortSignal) so deeply nested steps and AI calls can see
+// it without threading it through every method
+const jobContext = new AsyncLocalStorage();
+
+function currentSignal() {
+  return jobContext.getStore()?.signal || null;
+}
+
+function abortReason(signal) {
+  return signal.reason instanceof Error ? signal.reason : new Error('Processing aborted');
+}
+
+// Throws the abort reason once the current job has been cancelled
+function throwIfAborted() {
+  const signal = currentSignal();
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+// Options for AI provider calls (request cancellation)
+function aiRequestOptions() {
+  const signal = currentSignal();
+  return signal ? { signal } : {};
+}
+
 // Timeout wrapper to prevent operations from hanging indefinitely
 async function withTimeout(promise, timeoutMs, errorMessage = 'Operation timed out') {
+  let timer;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error(errorMessage)), timeoutMs);
+    timer = setTimeout(() => reject(new Error(errorMessage)), timeoutMs);
   });
+  const races = [promise, timeoutPromise];
   
-  return Promise.race([promise, timeoutPromise]);
+  // Stop waiting as soon as the job is aborted, even if the operation itself can't be cancelled
+  const signal = currentSignal();
+  if (signal) {
+    races.push(new Promise((_, reject) => {
+      if (signal.aborted) reject(abortReason(signal));
+      signal.addEventListener('abort', () => reject(abortReason(signal)), { once: true });
+    }));
+  }
+  
+  try {
+    return await Promise.race(races);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// pdf-parse page renderer that also keeps each page's text (same line joining as pdf-parse's default)
+function createPageTextCollector(pageTexts) {
+  return async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    pageTexts[pageData.pageNumber - 1] = text;
+    return text;
+  };
 }
 
 // Enhanced retry wrapper for AI calls with timeout support
@@ -156,6 +488,7 @@ async function withRetry(fn, retries = 3, delay = 1000, logger) {
       return await fn();
     } catch (error) {
       lastError = error;
+      throwIfAborted(); // An aborted job is not retried
       const isTimeoutError = error.message?.includes('timed out');
       const isServerError = error.status && error.status >= 500 && error.status <= 599;
       const isNetworkError = error.code === 'ECONNRESET' || error.code === 'ENOTFOUND';
@@ -181,14 +514,24 @@ async function withRetry(fn, retries = 3, delay = 1000, logger) {
 }
 
 class DocumentProcessor {
+  // Legal chunking on its own, without a processor (see chunkTextBySections)
+  static chunkTextBySections(text, options) {
+    return chunkTextBySections(text, options);
+  }
+
   constructor({ logger }) {
     this.logger = logger;
     this.config = getConfig();
     this.supabase = null;
-    this.genAI = null;
-    this.s3 = null;
-    this.extractionModel = null;
-    this.embeddingModel = null;
+    this.aiProvider = null;
+    this.storages = {};
+    this.leases = null;
+    this.jobs = null;
+    this.webhooks = null;
+    this.quotas = null;
+    this.imagePreprocessor = new ImagePreprocessor({ logger });
+    this.previewGenerator = new PreviewGenerator({ logger });
+    this.fingerprinter = new DocumentFingerprinter({ logger });
   }
 
   async initialize() {
@@ -200,18 +543,41 @@ class DocumentProcessor {
       this.config.supabase.serviceRoleKey
     );
     
-    // Initialize AWS S3
-    this.s3 = new S3Client({ region: this.config.aws.s3BucketRegion });
-    this.logger.info('S3 client initialized');
+    // Storage backends are created on first use (getStorage); fail fast on a bad setting
+    this.getStorage(this.config.storage.documentBackend);
+    this.getStorage(this.config.storage.previewBackend);
+    
+    // Per-document leases and per-event idempotency keys
+    this.leases = new ProcessingLeases({
+      supabase: this.supabase,
+      logger: this.logger,
+      leaseMs: this.config.processing.leaseMs
+    });
+    
+    // Status of jobs submitted through the HTTP API, shared with the queue workers
+    this.jobs = new JobStore({ supabase: this.supabase, logger: this.logger });
     
-    // Initialize Gemini AI
-    this.genAI = new GoogleGenerativeAI(this.config.ai.geminiApiKey);
-    this.extractionModel = this.genAI.getGenerativeModel({ 
-      model: this.config.ai.model 
+    // Completion/failure callbacks, sent by the queue workers
+    this.webhooks = new WebhookNotifier({
+      supabase: this.supabase,
+      logger: this.logger,
+      config: this.config.webhooks
     });
-    this.embeddingModel = this.genAI.getGenerativeModel({ 
-      model: this.config.ai.embeddingModel 
+    // Deliveries a stopped task left pending; sent in the background
+    this.webhooks.resumePending().catch(error => {
+      this.logger.warn(`Could not resume pending webhook deliveries: ${error.message}`);
     });
+    
+    // Per-organization document and AI token quotas, checked by the API and the queue workers
+    this.quotas = new QuotaManager({
+      supabase: this.supabase,
+      logger: this.logger,
+      config: this.config.quotas
+    });
+    
+    // Initialize AI provider (Gemini or an OpenAI-compatible server, selected by AI_PROVIDER)
+    this.aiProvider = createAIProvider(this.config.ai, this.logger);
+    this.logger.info(`AI provider initialized: ${this.aiProvider.name}`);
 
     // Initialize AI timeout configuration
     this.aiTimeouts = {
@@ -274,7 +640,7 @@ class DocumentProcessor {
   extractVendorFromFilename(filename) {
     // Remove common document prefixes and extensions
     const cleanName = filename
-      .replace(/\.(pdf|jpg|jpeg|png|xlsx|xls|doc|docx)$/i, '')
+      .replace(/\.(pdf|jpg|jpeg|png|xlsx|xls|doc|docx|txt)$/i, '')
       .replace(/^(invoice|receipt|bill|nota|faktur)[\s-_]*/i, '')
       .replace(/[\d\-_]/g, ' ')
       .trim();
@@ -292,8 +658,30 @@ class DocumentProcessor {
     return 'Document';
   }
 
-  async processDocument(jobData) {
-    const { s3Key, bucketName, documentId, vertical, organizationId, originalFilename, documentType, fileSize } = jobData;
+  // Storage backend by name (s3, supabase, local), shared by source files and previews
+  getStorage(backend) {
+    if (!this.storages[backend]) {
+      this.storages[backend] = createStorage(backend, {
+        supabase: this.supabase,
+        logger: this.logger,
+        region: this.config.aws.s3BucketRegion,
+        directory: this.config.storage.localDirectory
+      });
+      this.logger.info(`Storage backend initialized: ${backend}`);
+    }
+    return this.storages[backend];
+  }
+
+  // signal (optional) cancels the job: the next step, AI call or retry throws its reason.
+  // jobData.jobId (API-submitted jobs) receives the stage and progress updates.
+  async processDocument(jobData, { signal = null } = {}) {
+    return jobContext.run({ signal, jobId: jobData.jobId || null }, () => this.runDocumentJob(jobData));
+  }
+
+  async runDocumentJob(jobData) {
+    const { s3Key, bucketName, documentId, vertical, organizationId, originalFilename, documentType, fileSize, idempotencyKey } = jobData;
+    // S3 event notifications don't name a backend; uploads through other backends do
+    const storageBackend = jobData.storageBackend || 's3';
     const startTime = Date.now();
     
     this.logger.info(`[${documentId}] Starting enhanced S3 document processing`, {
@@ -307,40 +695,102 @@ class DocumentProcessor {
     });
 
     let fileBuffer = null;
+    let leaseAcquired = false;
     try {
       // Step 1: Create/fetch document record from S3 metadata
-      const document = await this.createOrFetchDocument({
+      let document = await this.createOrFetchDocument({
         documentId,
         s3Key,
         bucketName,
+        storageBackend,
         originalFilename,
         documentType,
         fileSize,
         vertical,
         organizationId
       });
+
+      // A redelivered event that already completed is a no-op
+      if (idempotencyKey) {
+        const eventStatus = await this.leases.claimEvent(idempotencyKey, documentId);
+        if (eventStatus === 'complete') {
+          this.logger.info(`[${documentId}] Event ${idempotencyKey} already processed, skipping`);
+          return { success: true, skipped: true, reason: 'already_processed', documentId, processingTime: Date.now() - startTime };
+        }
+      }
+
+      // Only one worker processes a document at a time; the holder's lease expires if it dies
+      if (!await this.leases.acquire(documentId, vertical)) {
+        const lockedUntil = await this.leases.expiresAt(documentId, vertical);
+        return { success: false, skipped: true, reason: 'locked', documentId, lockedUntil, processingTime: Date.now() - startTime };
+      }
+      leaseAcquired = true;
       await this.emitProcessingStatus(documentId, 'processing', 10);
 
-      // Step 2: Download file from S3
-      fileBuffer = await this.downloadFileFromS3(bucketName, s3Key);
+      // Step 2: Download the file
+      fileBuffer = await this.downloadFile({ backend: storageBackend, bucket: bucketName, key: s3Key });
+      throwIfAborted();
+      document = await this.verifyFileType(documentId, fileBuffer, document, vertical);
       await this.emitProcessingStatus(documentId, 'processing', 25);
 
-      // Step 3: Process file content using accountant-app logic
+      // Step 3: Hash the file and reuse an existing copy instead of running the AI again
+      const duplicateCheck = await this.checkForDuplicate(documentId, fileBuffer, document, vertical);
+      const duplicateAction = this.config.processing.duplicates.action;
+      if (duplicateCheck.duplicate_of && duplicateAction !== 'process') {
+        fileBuffer = null;
+        await this.completeAsDuplicate(documentId, duplicateCheck, duplicateAction, startTime, vertical);
+        await this.emitProcessingStatus(documentId, 'complete', 100);
+
+        if (idempotencyKey) await this.leases.completeEvent(idempotencyKey);
+
+        const processingTime = Date.now() - startTime;
+        this.logger.info(`[${documentId}] Duplicate of ${duplicateCheck.duplicate_of} (${duplicateCheck.match}), ${duplicateCheck.decision} without re-extraction`, {
+          documentId,
+          processingTime,
+          duplicateOf: duplicateCheck.duplicate_of
+        });
+
+        return {
+          success: true,
+          documentId,
+          processingTime,
+          duplicateOf: duplicateCheck.duplicate_of,
+          estimatedAiTokens: 0,
+          result: { duplicateCheck }
+        };
+      }
+
+      // Step 4: Process file content using accountant-app logic
       const processingResult = await this.processFileContentEnhanced(
         documentId, 
         fileBuffer, 
         document, 
         startTime,
-        fileSize
+        fileSize,
+        vertical
+      );
+      processingResult.duplicateCheck = duplicateCheck;
+      processingResult.fileTypeCheck = document.file_type_check;
+      throwIfAborted();
+
+      // Step 5: Generate and store the preview
+      processingResult.preview = await this.generateDocumentPreview(
+        documentId,
+        fileBuffer,
+        document,
+        vertical,
+        processingResult.fullDocumentText
       );
       await this.emitProcessingStatus(documentId, 'processing', 90);
 
       // Clear the file buffer after processing to free memory
       fileBuffer = null;
 
-      // Step 4: Update final document status
+      // Step 6: Update final document status
+      throwIfAborted();
       await this.updateDocumentWithResults(documentId, processingResult, startTime, vertical);
       await this.emitProcessingStatus(documentId, 'complete', 100);
+      if (idempotencyKey) await this.leases.completeEvent(idempotencyKey);
 
       const processingTime = Date.now() - startTime;
       this.logger.info(`[${documentId}] Enhanced processing completed successfully`, {
@@ -355,6 +805,7 @@ class DocumentProcessor {
         success: true,
         documentId,
         processingTime,
+        estimatedAiTokens: QuotaManager.estimateTokens(processingResult),
         result: processingResult
       };
 
@@ -363,15 +814,19 @@ class DocumentProcessor {
       fileBuffer = null;
       
       this.logger.error(`[${documentId}] Enhanced processing failed:`, error);
-      await this.handleProcessingError(documentId, error, startTime);
+      if (idempotencyKey) await this.leases.failEvent(idempotencyKey, error);
+      // Without the lease another worker owns the row; don't mark it failed
+      if (leaseAcquired) {
+        await this.handleProcessingError(documentId, error, startTime, vertical);
+      }
       throw error;
     }
   }
 
   // Enhanced file content processing using accountant-app logic
-  async processFileContentEnhanced(documentId, fileBuffer, document, startTime, fileSize = 0) {
+  async processFileContentEnhanced(documentId, fileBuffer, document, startTime, fileSize = 0, vertical = 'accounting') {
     const filename = document.original_filename || document.file_path;
-    const fileType = filename.split('.').pop()?.toLowerCase();
+    const fileType = this.fileTypeOf(document);
     const fileSizeKB = Math.round(fileBuffer.byteLength / 1024);
     const fileSizeMB = fileSizeKB / 1024;
     
@@ -385,14 +840,36 @@ class DocumentProcessor {
     
     // Check file types
     const isXlsxFile = ['xlsx', 'xls'].includes(fileType);
+    const isPdfFile = fileType === 'pdf';
+    const isWordFile = ['docx', 'doc'].includes(fileType);
+    const isPlainTextFile = fileType === 'txt';
+    // Formats converted to text locally; these are never sent to the AI as files
+    const isLocalTextFormat = isXlsxFile || isWordFile || isPlainTextFile;
     const isImageFile = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif'].includes(fileType);
-    const isLikelyBankStatement = this.detectBankStatement(filename, document.document_type);
+    const isLegalDocument = vertical === 'legal';
+    const isLikelyBankStatement = !isLegalDocument && this.detectBankStatement(filename, document.document_type);
+    
+    let mimeType = this.getMimeType(fileType);
+    let imagePreprocessing = null;
     
-    const mimeType = this.getMimeType(fileType);
+    // Clean up photos and scans before they reach the AI
+    if (isImageFile && this.config.image.preprocessing.enabled) {
+      this.logger.info(`[${documentId}] Starting image preprocessing`);
+      const { buffer, ...preprocessingSummary } = await this.imagePreprocessor.preprocess(fileBuffer, {
+        documentId,
+        filename,
+        mimeType
+      });
+      fileBuffer = buffer;
+      mimeType = preprocessingSummary.mimeType;
+      imagePreprocessing = preprocessingSummary;
+    }
     
     let fullDocumentText = null;
     let extractedData = null;
     let skipStructuredExtraction = false;
+    let textSource = null;
+    let textLayerQuality = null;
     
     // Handle XLSX files first
     if (isXlsxFile) {
@@ -400,14 +877,55 @@ class DocumentProcessor {
       fullDocumentText = await this.xlsxToText(fileBuffer);
       
       if (fullDocumentText) {
+        textSource = 'spreadsheet';
         this.logger.info(`[${documentId}] Successfully converted XLSX to text (${fullDocumentText.length} characters)`);
       } else {
         this.logger.warn(`[${documentId}] Failed to extract text from XLSX file`);
       }
     }
     
+    // Word documents and plain text are converted locally
+    if (isWordFile || isPlainTextFile) {
+      this.logger.info(`[${documentId}] Converting ${fileType.toUpperCase()} file to text`);
+      fullDocumentText = isWordFile
+        ? await this.wordToText(fileBuffer, fileType)
+        : this.plainTextToText(fileBuffer);
+      
+      if (fullDocumentText) {
+        textSource = isWordFile ? 'word' : 'plain_text';
+        this.logger.info(`[${documentId}] Successfully converted ${fileType.toUpperCase()} to text (${fullDocumentText.length} characters)`);
+      } else {
+        this.logger.warn(`[${documentId}] Failed to extract text from ${fileType.toUpperCase()} file`);
+      }
+    }
+    
+    // Born-digital PDFs: use the embedded text layer when it is good enough and skip AI OCR
+    let pdfPageCount = null;
+    let pdfPageTexts = null;
+    if (isPdfFile) {
+      const textLayer = await this.extractPdfTextLayer(fileBuffer, documentId);
+      if (textLayer) {
+        textLayerQuality = textLayer.quality;
+        pdfPageCount = textLayer.pageCount;
+        if (textLayer.quality.isUsable) {
+          fullDocumentText = textLayer.text;
+          pdfPageTexts = textLayer.pages;
+          textSource = 'pdf_text_layer';
+          this.logger.info(`[${documentId}] Using PDF text layer (${textLayer.text.length} characters, ${textLayer.pageCount} pages), skipping AI OCR`);
+        } else {
+          this.logger.info(`[${documentId}] PDF text layer not usable (${textLayer.quality.reason}), falling back to AI OCR`);
+        }
+      }
+    }
+    const hasLocalText = textSource !== null;
+    
+    // Multi-page bank statements are extracted in page batches so transactions are not truncated
+    const useBankStatementBatches = isLikelyBankStatement && isPdfFile &&
+      pdfPageCount > this.config.processing.bankStatementPagesPerBatch;
+    
     // Enhanced AI extraction strategy (from accountant-app)
-    if (isSmallDocument && !isXlsxFile) {
+    // The combined prompt is accounting-specific, so legal documents always use separate calls
+    if (isSmallDocument && !isLocalTextFormat && !hasLocalText && !isLegalDocument && !useBankStatementBatches) {
       // Combined AI call for small documents (performance optimization)
       this.logger.info(`[${documentId}] Using combined AI extraction for small document`);
       
@@ -429,7 +947,8 @@ class DocumentProcessor {
     }
     
     // Full text extraction if not done yet
-    if (!fullDocumentText && !isXlsxFile) {
+    if (!fullDocumentText && !isLocalTextFormat) {
+      textSource = 'ai_ocr';
       this.logger.info(`[${documentId}] Starting AI full text extraction`);
       
       try {
@@ -445,9 +964,13 @@ class DocumentProcessor {
       }
     }
     
-    // Critical check: If full text extraction failed completely, stop processing
+    // Critical check: a spreadsheet or text file produced no text (AI extraction and Word
+    // conversion throw instead), so the file is empty or unreadable
     if (!fullDocumentText) {
-      throw new Error('Full text extraction failed to produce content. The document might be empty, corrupted, or unsupported.');
+      throw withFailureCategory(
+        new Error('Full text extraction failed to produce content. The document might be empty, corrupted, or unsupported.'),
+        'corrupt_file'
+      );
     }
     
     // Structured data extraction
@@ -456,13 +979,16 @@ class DocumentProcessor {
       await this.emitProcessingStatus(documentId, 'processing', 50);
       
       try {
-        extractedData = await this.extractStructuredData(
-          fileBuffer, 
-          mimeType, 
-          filename, 
-          isXlsxFile ? fullDocumentText : null,
-          isLikelyBankStatement
-        );
+        extractedData = useBankStatementBatches
+          ? await this.extractBankStatementInBatches(documentId, fileBuffer, filename, pdfPageCount, pdfPageTexts)
+          : await this.extractStructuredData(
+              fileBuffer, 
+              mimeType, 
+              filename, 
+              hasLocalText ? fullDocumentText : null,
+              isLikelyBankStatement,
+              vertical
+            );
       } catch (error) {
         this.logger.error(`[${documentId}] Structured data extraction failed:`, error);
         if (error.message?.includes('timed out')) {
@@ -478,20 +1004,129 @@ class DocumentProcessor {
     
     // Process and clean extracted data
     if (extractedData) {
-      extractedData = this.processExtractedData(extractedData);
+      extractedData = isLegalDocument
+        ? this.processLegalExtractedData(extractedData)
+        : this.processExtractedData(extractedData);
+
+      // Invoices/receipts: check line items and totals add up (bank statements have no line items)
+      if (!isLegalDocument && !isLikelyBankStatement) {
+        const reconciliation = reconcileInvoiceTotals(extractedData, this.config.processing.reconciliation);
+        extractedData = { ...reconciliation.data, validation: reconciliation.validation };
+        this.logger.info(`[${documentId}] Arithmetic reconciliation: ${reconciliation.validation.status}` +
+          (reconciliation.validation.inferred.length > 0 ? ` (${reconciliation.validation.inferred.length} values inferred)` : ''));
+        if (reconciliation.validation.needs_review) {
+          this.logger.warn(`[${documentId}] Document flagged for review: ${reconciliation.validation.issues.join('; ')}`);
+        }
+      }
+
+      // Bank statements: verify the running balance row by row
+      if (Array.isArray(extractedData.bank_transactions) && extractedData.bank_transactions.length > 0) {
+        const reconciliation = reconcileBankTransactions(extractedData.bank_transactions, {
+          balanceTolerance: this.config.processing.reconciliation.balanceTolerance
+        });
+        extractedData = {
+          ...extractedData,
+          bank_transactions: reconciliation.transactions,
+          validation: reconciliation.validation
+        };
+        this.logger.info(`[${documentId}] Bank statement reconciliation: ${reconciliation.validation.status} ` +
+          `(${reconciliation.validation.checked_rows} rows checked, ${reconciliation.validation.mismatched_rows} mismatched, ` +
+          `${reconciliation.validation.duplicates.length} duplicates removed)`);
+        if (reconciliation.validation.needs_review) {
+          this.logger.warn(`[${documentId}] Bank statement flagged for review: ${reconciliation.validation.issues.join('; ')}`);
+        }
+      }
+
+      extractedData.text_source = textSource;
+      if (imagePreprocessing) {
+        extractedData.image_preprocessing = imagePreprocessing;
+      }
+    }
+    
+    // Legal documents are chunked along their clause structure instead of fixed windows
+    const chunking = isLegalDocument
+      ? chunkTextBySections(fullDocumentText, {
+          chunkSize: this.config.processing.textChunkSize,
+          chunkOverlap: this.config.processing.textChunkOverlap
+        })
+      : null;
+    if (chunking) {
+      this.logger.info(`[${documentId}] Legal chunking: ${chunking.strategy} (${chunking.sections.length} sections, ${chunking.chunks.length} chunks)`);
     }
     
     // Generate embeddings
-    const embeddings = await this.generateEnhancedEmbeddings(fullDocumentText, documentId, isSmallDocument);
+    const embeddings = await this.generateEnhancedEmbeddings(fullDocumentText, documentId, isSmallDocument, chunking);
+    
+    // Invoices/receipts: look for the same invoice already uploaded in another file
+    if (extractedData && !isLegalDocument && !isLikelyBankStatement) {
+      const duplicateInvoice = await this.checkForDuplicateInvoice(documentId, document, extractedData, embeddings);
+      if (duplicateInvoice) {
+        extractedData.duplicate_invoice = duplicateInvoice;
+      }
+    }
     
     return {
       fullDocumentText,
       extractedData,
       embeddings,
       embeddingsCount: embeddings.length,
+      chunking,
+      textSource,
+      textLayerQuality,
+      imagePreprocessing,
+      pageCount: pdfPageCount,
       processingTime: Date.now() - startTime
     };
   }
+
+  // Read the embedded text layer of a PDF and judge whether it can replace AI OCR
+  async extractPdfTextLayer(fileBuffer, documentId) {
+    try {
+      const pageTexts = [];
+      const result = await withTimeout(
+        pdfParse(fileBuffer, { pagerender: createPageTextCollector(pageTexts) }),
+        this.config.processing.pdfTextLayer.timeoutMs,
+        'PDF text layer extraction timed out'
+      );
+      const text = (result.text || '').trim();
+      const pageCount = result.numpages || 1;
+      
+      return {
+        text,
+        pageCount,
+        pages: Array.from({ length: pageCount }, (_, index) => pageTexts[index] || ''),
+        quality: this.assessTextLayerQuality(text, pageCount)
+      };
+    } catch (error) {
+      this.logger.warn(`[${documentId}] Could not read PDF text layer: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Character density and garbage ratio checks for an extracted text layer
+  assessTextLayerQuality(text, pageCount) {
+    const { minCharsPerPage, maxGarbageRatio } = this.config.processing.pdfTextLayer;
+    const visibleChars = text.replace(/\s/g, '');
+    const charsPerPage = Math.round(visibleChars.length / Math.max(pageCount, 1));
+    
+    // Replacement characters, private-use glyphs and control characters indicate broken font encodings
+    const garbageChars = (visibleChars.match(/[\uFFFD\p{Co}\p{Cc}]|[^\p{L}\p{N}\p{P}\p{S}\p{M}]/gu) || []).length;
+    const garbageRatio = visibleChars.length > 0 ? garbageChars / visibleChars.length : 1;
+    
+    let reason = null;
+    if (charsPerPage < minCharsPerPage) {
+      reason = `low character density (${charsPerPage} chars/page)`;
+    } else if (garbageRatio > maxGarbageRatio) {
+      reason = `high garbage ratio (${(garbageRatio * 100).toFixed(1)}%)`;
+    }
+    
+    return {
+      charsPerPage,
+      garbageRatio: Number(garbageRatio.toFixed(4)),
+      isUsable: reason === null,
+      reason
+    };
+  }
   
   // Helper method to detect bank statements
   detectBankStatement(filename, documentType) {
@@ -520,14 +1155,16 @@ class DocumentProcessor {
       'heic': 'image/heic',
       'heif': 'image/heif',
       'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'xls': 'application/vnd.ms-excel'
+      'xls': 'application/vnd.ms-excel',
+      'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'doc': 'application/msword',
+      'txt': 'text/plain'
     };
     
     return mimeTypes[fileType] || 'application/octet-stream';
   }
 
   async processCombinedSmallFile(fileBuffer, document, xlsxText) {
-    const base64Data = fileBuffer.toString('base64');
     const mimeType = document.document_type || 'application/pdf';
     
     const combinedPrompt = `Analyze this document and provide both full text extraction and structured data extraction.
@@ -560,17 +1197,8 @@ RESPOND WITH THIS EXACT FORMAT:
 ${xlsxText ? `Additional spreadsheet data to consider: ${xlsxText.substring(0, 2000)}` : ''}`;
 
     try {
-      const result = await this.extractionModel.generateContent([
-        { text: combinedPrompt },
-        {
-          inlineData: {
-            mimeType: mimeType,
-            data: base64Data
-          }
-        }
-      ]);
-
-      const responseText = result.response.text();
+      const result = await this.aiProvider.generateWithFile(combinedPrompt, { data: fileBuffer, mimeType }, aiRequestOptions());
+      const responseText = result.text || '';
       
       // Parse response sections
       const fullTextMatch = responseText.match(/=== FULL TEXT ===\n(.*?)\n=== STRUCTURED DATA ===/s);
@@ -601,7 +1229,6 @@ ${xlsxText ? `Additional spreadsheet data to consider: ${xlsxText.substring(0, 2
   }
 
   async extractFullText(fileBuffer, document, xlsxText = null) {
-    const base64Data = fileBuffer.toString('base64');
     const mimeType = document.document_type || 'application/pdf';
     
     const fullTextPrompt = xlsxText ? 
@@ -609,17 +1236,8 @@ ${xlsxText ? `Additional spreadsheet data to consider: ${xlsxText.substring(0, 2
       "Extract all text content from the provided document, preserving structure and formatting where possible.";
 
     try {
-      const result = await this.extractionModel.generateContent([
-        { text: fullTextPrompt },
-        {
-          inlineData: {
-            mimeType: mimeType,
-            data: base64Data
-          }
-        }
-      ]);
-
-      return result.response.text();
+      const result = await this.aiProvider.generateWithFile(fullTextPrompt, { data: fileBuffer, mimeType }, aiRequestOptions());
+      return result.text;
     } catch (error) {
       this.logger.error('Full text extraction failed:', error);
       return xlsxText || "Text extraction failed";
@@ -627,7 +1245,6 @@ ${xlsxText ? `Additional spreadsheet data to consider: ${xlsxText.substring(0, 2
   }
 
   async extractStructuredData(fileBuffer, document, xlsxText = null) {
-    const base64Data = fileBuffer.toString('base64');
     const mimeType = document.document_type || 'application/pdf';
     
     // EXACT same prompt as Vercel
@@ -663,17 +1280,8 @@ ${xlsxText ? `Additional spreadsheet data to consider: ${xlsxText.substring(0, 2
 ${xlsxText ? `Additional spreadsheet data: ${xlsxText.substring(0, 1000)}` : ''}`;
 
     try {
-      const result = await this.extractionModel.generateContent([
-        { text: structuredPrompt },
-        {
-          inlineData: {
-            mimeType: mimeType,
-            data: base64Data
-          }
-        }
-      ]);
-
-      const responseText = result.response.text();
+      const result = await this.aiProvider.generateWithFile(structuredPrompt, { data: fileBuffer, mimeType }, aiRequestOptions());
+      const responseText = result.text || '';
       const jsonMatch = responseText.match(/\{[\s\S]*\}/);
       
       if (jsonMatch) {
@@ -750,58 +1358,44 @@ ${xlsxText ? `Additional spreadsheet data: ${xlsxText.substring(0, 1000)}` : ''}
     return isNaN(parsed) ? null : parsed;
   }
 
-  // Image processing - EXACT same as Vercel
-  async processImageFile(documentId, fileBuffer, document) {
+  // Build a WebP preview (image thumbnail, PDF first page, spreadsheet/text render) and upload it.
+  // Best-effort: a missing preview never fails the document. Legal documents get none:
+  // legal_documents has no preview columns to record it in.
+  async generateDocumentPreview(documentId, fileBuffer, document, vertical, fullDocumentText = null) {
+    if (vertical === 'legal') return null;
+
     try {
-      const fileName = document.original_filename;
-      const mimeType = document.document_type.toLowerCase();
-      const isHeic = mimeType.includes('heic') || mimeType.includes('heif') ||
-                     fileName.toLowerCase().endsWith('.heic') || fileName.toLowerCase().endsWith('.heif');
-      
-      let webpBuffer;
-      
-      if (isHeic) {
-        // Convert HEIC to JPEG first
-        const jpegArrayBuffer = await heicConvert({
-          buffer: fileBuffer,
-          format: 'JPEG',
-          quality: 0.85
-        });
-        const jpegBuffer = Buffer.from(jpegArrayBuffer);
-        
-        // Then convert to WebP
-        webpBuffer = await sharp(jpegBuffer)
-          .webp({ quality: 85, effort: 4, lossless: false })
-          .resize(this.config.image.resizeWidth, this.config.image.resizeHeight, { fit: 'inside', withoutEnlargement: true })
-          .toBuffer();
-      } else {
-        // Direct conversion to WebP
-        webpBuffer = await sharp(fileBuffer)
-          .webp({ quality: 85, effort: 4, lossless: false })
-          .resize(this.config.image.resizeWidth, this.config.image.resizeHeight, { fit: 'inside', withoutEnlargement: true })
-          .toBuffer();
+      const fileName = document.original_filename || document.file_path.split('/').pop();
+      const fileType = this.fileTypeOf(document);
+
+      const preview = await this.previewGenerator.generate({
+        fileBuffer,
+        fileType,
+        fullDocumentText,
+        documentId
+      });
+      if (!preview) {
+        this.logger.info(`[${documentId}] No preview generated for .${fileType} file`);
+        return null;
       }
 
-      // Upload to Supabase Storage
       const nameWithoutExt = fileName.substring(0, fileName.lastIndexOf('.')) || fileName;
-      const previewFileName = `${nameWithoutExt}_preview.webp`;
-      const previewPath = `documents/${documentId}/${previewFileName}`;
+      const previewPath = `documents/${documentId}/${nameWithoutExt}_preview.${preview.format}`;
 
-      const { error: uploadError } = await this.supabase.storage
-        .from('documents')
-        .upload(previewPath, webpBuffer, {
-          contentType: 'image/webp',
-          upsert: true
-        });
+      const stored = await this.getStorage(this.config.storage.previewBackend).upload(this.config.storage.previewBucket, previewPath, preview.buffer, {
+        contentType: `image/${preview.format}`,
+        upsert: true
+      });
 
-      if (uploadError) {
-        this.logger.error('Preview upload failed:', uploadError);
-        return null;
-      }
+      this.logger.info(`[${documentId}] Preview stored (${preview.source}, ${Math.round(preview.buffer.length / 1024)}KB): ${previewPath}`);
 
-      return previewPath;
+      return {
+        preview_path: previewPath,
+        preview_format: preview.format,
+        location: { storage_backend: stored.backend, bucket: stored.bucket }
+      };
     } catch (error) {
-      this.logger.error('Image processing failed:', error);
+      this.logger.warn(`[${documentId}] Preview generation failed: ${error.message}`);
       return null;
     }
   }
@@ -862,10 +1456,10 @@ ${xlsxText ? `Additional spreadsheet data: ${xlsxText.substring(0, 1000)}` : ''}
       
       for (let i = 0; i < chunks.length; i++) {
         try {
-          const result = await this.embeddingModel.embedContent(chunks[i]);
+          const embedding = await this.aiProvider.embed(chunks[i], aiRequestOptions());
           embeddings.push({
             content: chunks[i],
-            embedding: result.embedding.values,
+            embedding: embedding,
             chunk_index: i
           });
         } catch (error) {
@@ -974,6 +1568,64 @@ ${xlsxText ? `Additional spreadsheet data: ${xlsxText.substring(0, 1000)}` : ''}
     }
   }
 
+  // Word processing using mammoth (DOCX only - legacy binary .doc is not supported by mammoth).
+  // A DOCX mammoth can't read, or one without text, fails as corrupt_file: the AI providers
+  // don't accept Word files, so there is nothing to fall back to.
+  async wordToText(buffer, fileType = 'docx') {
+    if (fileType === 'doc') {
+      throw withFailureCategory(
+        new Error('Legacy Word .doc files are not supported. Please save the document as .docx and upload it again.'),
+        'unsupported_file_type'
+      );
+    }
+    
+    let result;
+    try {
+      this.logger.info('Parsing DOCX file using mammoth...');
+      // Go through HTML rather than raw text so headings and tables keep their structure;
+      // embedded images are dropped instead of being inlined as base64
+      result = await mammoth.convertToHtml(
+        { buffer },
+        { convertImage: mammoth.images.imgElement(() => ({ src: '' })) }
+      );
+    } catch (error) {
+      this.logger.error('Error converting DOCX to text:', error);
+      throw withFailureCategory(new Error(`DOCX file could not be read: ${error.message}`), 'corrupt_file');
+    }
+    
+    if (result.messages && result.messages.length > 0) {
+      this.logger.debug('DOCX conversion messages:', result.messages);
+    }
+    
+    const text = htmlToStructuredText(result.value || '');
+    if (!text) {
+      throw withFailureCategory(new Error('DOCX file contains no text'), 'corrupt_file');
+    }
+    this.logger.info(`Extracted ${text.length} characters from DOCX`);
+    return text;
+  }
+
+  // Plain text decoding (UTF-8 by default, UTF-16 when a byte order mark is present)
+  plainTextToText(buffer) {
+    let text;
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      text = buffer.subarray(2).toString('utf16le');
+    } else if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      // Node has no utf16be decoder, so swap bytes first
+      const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+      swapped.swap16();
+      text = swapped.toString('utf16le');
+    } else {
+      text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      // Not valid UTF-8 - most likely a Windows-1252/Latin-1 export
+      if (text.includes('\uFFFD')) {
+        text = buffer.toString('latin1');
+      }
+    }
+    
+    return text.replace(/\r\n?/g, '\n').trim();
+  }
+
   // Combined AI extraction for small documents (performance optimization from accountant-app)
   async performCombinedAIExtraction(fileBuffer, mimeType, documentId, fileSize = 0) {
     const combinedPrompt = `You are an expert accountant assistant. Analyze the provided document and extract both the complete text content AND structured information in a single response.
@@ -1008,23 +1660,13 @@ For the structured data JSON, extract these fields:
 
 CRITICAL: Return ALL numbers as clean values without formatting (e.g., 136000 not "136.000,00").`;
 
-    const textPart = { text: combinedPrompt };
-    const filePart = {
-      inlineData: {
-        data: this.bufferToBase64(fileBuffer),
-        mimeType: mimeType,
-      },
-    };
-
     this.logger.info(`[${documentId}] Calling combined AI extraction...`);
     const timeout = this.calculateDynamicTimeout(this.aiTimeouts.combinedExtraction, fileSize || 0);
     this.logger.info(`[${documentId}] Using dynamic timeout: ${timeout}ms for combined extraction`);
     
     const result = await withTimeout(
       withRetry(
-        () => this.extractionModel.generateContent({
-          contents: [{ role: "user", parts: [textPart, filePart] }],
-        }),
+        () => this.aiProvider.generateWithFile(combinedPrompt, { data: fileBuffer, mimeType }, aiRequestOptions()),
         this.aiTimeouts.retryAttempts,
         this.aiTimeouts.retryDelay,
         this.logger
@@ -1033,9 +1675,8 @@ CRITICAL: Return ALL numbers as clean values without formatting (e.g., 136000 no
       'Combined AI extraction timed out'
     );
 
-    const response = result.response;
-    if (response && response.candidates && response.candidates[0].content) {
-      const combinedText = response.text();
+    if (result.text) {
+      const combinedText = result.text;
       this.logger.info(`[${documentId}] Combined AI extraction completed`);
 
       // Parse the combined response
@@ -1061,7 +1702,14 @@ CRITICAL: Return ALL numbers as clean values without formatting (e.g., 136000 no
             const hasDescription = typeof extractedData.description === 'string' && extractedData.description.trim().length > 0;
             const hasCoreMeta = extractedData.vendor != null && extractedData.amount != null;
             
-            if (hasLineItems || hasDescription || hasCoreMeta) {
+            const validation = validateExtraction(extractedData, 'standard', { parseNumber: parseNumericValue });
+            
+            if (!validation.valid) {
+              // No repair round-trip here: the separate extraction call validates and retries
+              extractedData = null;
+              this.logger.info(`[${documentId}] Combined extraction failed schema validation (${validation.errors.length} errors), will use separate extraction`);
+            } else if (hasLineItems || hasDescription || hasCoreMeta) {
+              extractedData = finalizeExtraction(validation, 'standard', 1);
               this.logger.info(`[${documentId}] Extracted structured data from combined response (quality OK)`);
             } else {
               extractedData = null; // Quality not good enough, will trigger separate extraction
@@ -1083,14 +1731,6 @@ CRITICAL: Return ALL numbers as clean values without formatting (e.g., 136000 no
   async extractFullText(fileBuffer, mimeType) {
     const fullTextPrompt = "Extract all text content from the provided document. If handwriting is present (nota/receipt), perform OCR and preserve line breaks so items remain one per line. Output only the extracted text, no preamble.";
     
-    const textPart = { text: fullTextPrompt };
-    const filePart = {
-      inlineData: {
-        data: this.bufferToBase64(fileBuffer),
-        mimeType: mimeType,
-      },
-    };
-
     // Get file size from method context or estimate from buffer
     const estimatedFileSize = fileBuffer ? fileBuffer.length : 0;
     const timeout = this.calculateDynamicTimeout(this.aiTimeouts.textExtraction, estimatedFileSize);
@@ -1098,9 +1738,7 @@ CRITICAL: Return ALL numbers as clean values without formatting (e.g., 136000 no
 
     const result = await withTimeout(
       withRetry(
-        () => this.extractionModel.generateContent({
-          contents: [{ role: "user", parts: [textPart, filePart] }],
-        }),
+        () => this.aiProvider.generateWithFile(fullTextPrompt, { data: fileBuffer, mimeType }, aiRequestOptions()),
         this.aiTimeouts.retryAttempts,
         this.aiTimeouts.retryDelay,
         this.logger
@@ -1109,100 +1747,281 @@ CRITICAL: Return ALL numbers as clean values without formatting (e.g., 136000 no
       'AI full text extraction timed out'
     );
     
-    const response = result.response;
-    if (response && response.candidates && response.candidates[0].content) {
-      const fullText = response.text();
+    if (result.text) {
+      const fullText = result.text;
       this.logger.info(`Successfully extracted full text (length: ${fullText.length})`);
       return fullText;
-    } else {
-      const blockReason = response?.promptFeedback?.blockReason;
-      this.logger.warn(`AI full text extraction response blocked or empty. Reason: ${blockReason}`);
-      return null;
     }
+    
+    // A safety block repeats on retry; an empty response may not ('stop'/'length' are
+    // OpenAI-compatible finish reasons, not blocks)
+    const blockReason = result.blockReason;
+    const blocked = !!blockReason && !['stop', 'length'].includes(blockReason);
+    this.logger.warn(`AI full text extraction response blocked or empty. Reason: ${blockReason}`);
+    throw withFailureCategory(
+      new Error(blocked ? `AI full text extraction blocked (${blockReason})` : 'AI full text extraction returned an empty response'),
+      blocked ? 'ai_rejected' : 'ai_unavailable'
+    );
   }
 
   // Structured data extraction with support for bank statements
-  async extractStructuredData(fileBuffer, mimeType, filename, xlsxText, isLikelyBankStatement) {
+  // When documentText is given (spreadsheet, PDF text layer) the model works from that text instead of the file.
+  // The response is validated against the family's JSON schema; on failure the model gets one retry with the errors.
+  async extractStructuredData(fileBuffer, mimeType, filename, documentText, isLikelyBankStatement, vertical = 'accounting', extraInstructions = null) {
     let extractionPrompt;
-    let textPart;
-    let imagePart;
+    let schemaFamily;
     
-    if (xlsxText) {
-      // For XLSX files, use text-only prompt
-      extractionPrompt = `You are an expert accountant assistant. Analyze the following Excel/spreadsheet data and extract structured information:
-
-SPREADSHEET DATA:
-${xlsxText}
-
-Based on this spreadsheet data, extract the following fields:`;
-      textPart = { text: extractionPrompt };
+    if (vertical === 'legal') {
+      // Legal contracts use their own schema
+      extractionPrompt = this.getLegalExtractionPrompt();
+      schemaFamily = 'legal';
     } else if (isLikelyBankStatement) {
       // Special handling for bank statements (from accountant-app)
       extractionPrompt = this.getBankStatementPrompt();
-      textPart = { text: extractionPrompt };
-      imagePart = {
-        inlineData: {
-          data: this.bufferToBase64(fileBuffer),
-          mimeType: mimeType,
-        },
-      };
+      schemaFamily = 'bank_statement';
     } else {
       // Standard document extraction
       extractionPrompt = this.getStandardExtractionPrompt();
-      textPart = { text: extractionPrompt };
-      imagePart = {
-        inlineData: {
-          data: this.bufferToBase64(fileBuffer),
-          mimeType: mimeType,
-        },
-      };
+      schemaFamily = 'standard';
+    }
+    
+    if (extraInstructions) {
+      extractionPrompt = `${extractionPrompt}
+
+${extraInstructions}`;
     }
+    
+    const attachFile = !documentText;
+    if (documentText) {
+      extractionPrompt = `${extractionPrompt}
+
+The document content is provided below as extracted text instead of a file. Base your extraction only on this text. Filename: ${filename}
 
-    const contentParts = imagePart ? [textPart, imagePart] : [textPart];
+DOCUMENT TEXT:
+${documentText}`;
+    }
 
     // Estimate file size from buffer if available 
     const estimatedFileSize = fileBuffer ? fileBuffer.length : 0;
     const timeout = this.calculateDynamicTimeout(this.aiTimeouts.structuredExtraction, estimatedFileSize);
     this.logger.info(`Using dynamic timeout: ${timeout}ms for structured extraction`);
 
-    const result = await withTimeout(
-      withRetry(
-        () => this.extractionModel.generateContent({
-          contents: [{ role: "user", parts: contentParts }],
-        }),
-        this.aiTimeouts.retryAttempts,
-        this.aiTimeouts.retryDelay,
-        this.logger
-      ),
-      timeout,
-      'AI structured extraction timed out'
-    );
+    const requestExtraction = async (prompt) => {
+      const result = await withTimeout(
+        withRetry(
+          () => attachFile
+            ? this.aiProvider.generateWithFile(prompt, { data: fileBuffer, mimeType, filename }, aiRequestOptions())
+            : this.aiProvider.generate(prompt, aiRequestOptions()),
+          this.aiTimeouts.retryAttempts,
+          this.aiTimeouts.retryDelay,
+          this.logger
+        ),
+        timeout,
+        'AI structured extraction timed out'
+      );
+
+      if (!result.text) {
+        throw new Error(`AI response blocked or empty. Reason: ${result.blockReason || 'Empty response'}`);
+      }
+
+      this.logger.info("AI Extraction Raw Response received");
+      this.logger.debug("Raw AI response:", result.text);
+      return result.text;
+    };
+
+    const responseText = await requestExtraction(extractionPrompt);
+    let validation = this.validateExtractionResponse(responseText, schemaFamily);
+    let attempts = 1;
+
+    if (!validation.valid) {
+      const errorList = formatValidationErrors(validation.errors);
+      this.logger.warn(`Structured extraction failed ${schemaFamily} schema validation (${errorList.length} errors), re-prompting once`, {
+        errors: errorList.slice(0, 20)
+      });
+      attempts = 2;
+
+      try {
+        const repairText = await requestExtraction(
+          this.buildExtractionRepairPrompt(extractionPrompt, schemaFamily, responseText, errorList)
+        );
+        const repaired = this.validateExtractionResponse(repairText, schemaFamily);
 
-    const response = result.response;
-    if (!response || !response.candidates || response.candidates.length === 0 || !response.candidates[0].content) {
-      const blockReason = response?.promptFeedback?.blockReason;
-      throw new Error(`AI response blocked or empty. Reason: ${blockReason || 'Empty response'}`);
+        // Keep the first answer if the retry came back worse
+        if (repaired.data !== null && (validation.data === null || repaired.errors.length <= validation.errors.length)) {
+          validation = repaired;
+        }
+      } catch (error) {
+        if (validation.data === null) throw error;
+        this.logger.warn(`Schema repair re-prompt failed, keeping first extraction: ${error.message}`);
+      }
     }
 
-    const extractedJsonString = response.text();
-    this.logger.info("AI Extraction Raw Response received");
-    this.logger.debug("Raw AI response:", extractedJsonString);
+    if (validation.data === null) {
+      this.logger.error("Could not extract valid JSON from AI response:", responseText);
+      throw new Error('Could not find valid JSON object within AI response');
+    }
 
-    // Parse the JSON response safely - try multiple approaches
-    let jsonObjectString = null;
-    
-    // First try: Look for complete JSON object with curly braces
-    const match = extractedJsonString.match(/\{[\s\S]*\}/);
-    if (match && match[0]) {
-      jsonObjectString = match[0];
+    if (validation.valid) {
+      this.logger.info(`Structured extraction passed ${schemaFamily} schema validation (attempt ${attempts})`);
     } else {
-      // Second try: Look for JSON between triple backticks
-      const codeBlockMatch = extractedJsonString.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/i);
-      if (codeBlockMatch && codeBlockMatch[1]) {
-        jsonObjectString = codeBlockMatch[1];
+      this.logger.warn(`Structured extraction still has ${validation.errors.length} schema errors after retry, invalid fields will be cleared`);
+    }
+
+    return finalizeExtraction(validation, schemaFamily, attempts);
+  }
+
+  // Bank statements longer than one batch: extract each page batch separately, then merge.
+  // Uses the per-page text layer when available, otherwise sends each batch as its own PDF.
+  async extractBankStatementInBatches(documentId, fileBuffer, filename, pageCount, pageTexts = null) {
+    const pagesPerBatch = this.config.processing.bankStatementPagesPerBatch;
+    const batches = pageTexts
+      ? this.batchPageTexts(pageTexts, pagesPerBatch)
+      : await this.splitPdfIntoBatches(fileBuffer, pagesPerBatch);
+    
+    this.logger.info(`[${documentId}] Extracting bank statement in ${batches.length} batches of up to ${pagesPerBatch} pages (${pageCount} pages, ${pageTexts ? 'text layer' : 'PDF pages'})`);
+    
+    const results = [];
+    for (const [index, batch] of batches.entries()) {
+      throwIfAborted();
+      const range = { startPage: batch.startPage, endPage: batch.endPage };
+      
+      if (pageTexts && !batch.hasText) {
+        this.logger.info(`[${documentId}] Pages ${batch.startPage}-${batch.endPage} have no text, skipping`);
+        results.push({ ...range, data: { bank_transactions: [] } });
+      } else {
+        const instructions = `This is part of a longer bank statement: pages ${batch.startPage}-${batch.endPage} of ${pageCount}. ` +
+          'Extract every transaction on these pages only. Statement-level fields (bank, account number, period) may not appear on these pages; use null when they are not shown.';
+        
+        try {
+          const data = await this.extractStructuredData(
+            batch.buffer,
+            'application/pdf',
+            filename,
+            pageTexts ? batch.text : null,
+            true,
+            'accounting',
+            instructions
+          );
+          results.push({ ...range, data });
+          this.logger.info(`[${documentId}] Pages ${batch.startPage}-${batch.endPage}: ${Array.isArray(data.bank_transactions) ? data.bank_transactions.length : 0} transactions`);
+        } catch (error) {
+          this.logger.warn(`[${documentId}] Bank statement extraction failed for pages ${batch.startPage}-${batch.endPage}: ${error.message}`);
+          results.push({ ...range, data: null, error: error.message });
+        }
+      }
+      
+      // Structured extraction runs between 50% and 85%
+      await this.emitProcessingStatus(
+        documentId,
+        'processing',
+        50 + Math.round(((index + 1) / batches.length) * 35),
+        null,
+        null,
+        { pages_processed: batch.endPage, total_pages: pageCount, batch: index + 1, total_batches: batches.length }
+      );
+    }
+    
+    const failed = results.filter(result => !result.data);
+    if (failed.length === results.length) {
+      throw new Error(`Bank statement extraction failed for all ${results.length} page batches: ${failed[0].error}`);
+    }
+    
+    const merged = mergeBankStatementBatches(results);
+    this.logger.info(`[${documentId}] Merged ${merged.bank_transactions.length} transactions from ${results.length} page batches` +
+      ` (${merged.removed_overlap_rows.length} carry-over/overlap rows removed, ${failed.length} batches failed)`);
+    
+    return merged;
+  }
+
+  // Group per-page text into batches
+  batchPageTexts(pageTexts, pagesPerBatch) {
+    const batches = [];
+    for (let start = 0; start < pageTexts.length; start += pagesPerBatch) {
+      const end = Math.min(start + pagesPerBatch, pageTexts.length);
+      batches.push({
+        startPage: start + 1,
+        endPage: end,
+        text: pageTexts.slice(start, end)
+          .map((text, offset) => `--- Page ${start + offset + 1} ---\n${text}`)
+          .join('\n\n'),
+        hasText: pageTexts.slice(start, end).some(text => text.trim().length > 0),
+        buffer: null
+      });
+    }
+    return batches;
+  }
+
+  // Split a PDF into smaller PDFs of pagesPerBatch pages each
+  async splitPdfIntoBatches(fileBuffer, pagesPerBatch) {
+    const source = await PDFDocument.load(fileBuffer, { ignoreEncryption: true });
+    const pageCount = source.getPageCount();
+    const batches = [];
+    
+    for (let start = 0; start < pageCount; start += pagesPerBatch) {
+      const end = Math.min(start + pagesPerBatch, pageCount);
+      const batchDocument = await PDFDocument.create();
+      const pageIndices = Array.from({ length: end - start }, (_, offset) => start + offset);
+      const pages = await batchDocument.copyPages(source, pageIndices);
+      pages.forEach(page => batchDocument.addPage(page));
+      
+      batches.push({
+        startPage: start + 1,
+        endPage: end,
+        text: null,
+        buffer: Buffer.from(await batchDocument.save())
+      });
+    }
+    
+    return batches;
+  }
+
+  // Parse an AI response and validate it against an extraction schema
+  validateExtractionResponse(responseText, schemaFamily) {
+    const parsed = this.parseJsonObject(responseText);
+    if (!parsed) {
+      return {
+        data: null,
+        valid: false,
+        errors: [{ path: '', message: 'response did not contain a valid JSON object' }],
+        removedFields: []
+      };
+    }
+
+    return validateExtraction(parsed, schemaFamily, { parseNumber: parseNumericValue });
+  }
+
+  // Follow-up prompt carrying the validation errors of the previous answer
+  buildExtractionRepairPrompt(extractionPrompt, schemaFamily, previousResponse, errorList) {
+    return `${extractionPrompt}
+
+Your previous response did not match the required JSON schema. Validation errors:
+${errorList.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${previousResponse.substring(0, 20000)}
+
+Required JSON schema:
+${JSON.stringify(getExtractionSchema(schemaFamily))}
+
+Return ONLY the corrected JSON object. Include every required key, use null when a value cannot be determined, use the exact types from the schema and do not add any other keys.`;
+  }
+
+  // Pull a JSON object out of free text - try multiple approaches
+  parseJsonObject(responseText) {
+    let jsonObjectString = null;
+    
+    // First try: Look for complete JSON object with curly braces
+    const match = responseText.match(/\{[\s\S]*\}/);
+    if (match && match[0]) {
+      jsonObjectString = match[0];
+    } else {
+      // Second try: Look for JSON between triple backticks
+      const codeBlockMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/i);
+      if (codeBlockMatch && codeBlockMatch[1]) {
+        jsonObjectString = codeBlockMatch[1];
       } else {
         // Third try: Look for the first complete JSON object in the response
-        const lines = extractedJsonString.split('\n');
+        const lines = responseText.split('\n');
         let jsonStartIndex = -1;
         let braceCount = 0;
         let jsonEndIndex = -1;
@@ -1236,7 +2055,7 @@ Based on this spreadsheet data, extract the following fields:`;
     if (jsonObjectString) {
       try {
         const parsed = JSON.parse(jsonObjectString);
-        if (typeof parsed === 'object' && parsed !== null) {
+        if (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) {
           return parsed;
         }
       } catch (parseError) {
@@ -1245,12 +2064,12 @@ Based on this spreadsheet data, extract the following fields:`;
       }
     }
     
-    this.logger.error("Could not extract valid JSON from AI response:", extractedJsonString);
-    throw new Error('Could not find valid JSON object within AI response');
+    return null;
   }
 
   // Enhanced embeddings generation
-  async generateEnhancedEmbeddings(fullDocumentText, documentId, isSmallDocument) {
+  // When a chunking plan is given (legal documents), its chunks are embedded as-is
+  async generateEnhancedEmbeddings(fullDocumentText, documentId, isSmallDocument, chunking = null) {
     if (!fullDocumentText) {
       this.logger.warn(`[${documentId}] No text for embedding generation`);
       return [];
@@ -1261,13 +2080,13 @@ Based on this spreadsheet data, extract the following fields:`;
       const textSizeBytes = new TextEncoder().encode(fullDocumentText).length;
       const GOOGLE_EMBEDDING_SIZE_LIMIT = 35000; // 35KB to be safe
       
-      if (isSmallDocument && textSizeBytes < GOOGLE_EMBEDDING_SIZE_LIMIT) {
+      if (!chunking && isSmallDocument && textSizeBytes < GOOGLE_EMBEDDING_SIZE_LIMIT) {
         // Single embedding for small documents (performance optimization)
         this.logger.info(`[${documentId}] Generating single embedding for small document (${(textSizeBytes/1024).toFixed(1)}KB)`);
         
         const result = await withTimeout(
           withRetry(
-            () => this.embeddingModel.embedContent(fullDocumentText),
+            () => this.aiProvider.embed(fullDocumentText, aiRequestOptions()),
             this.aiTimeouts.retryAttempts,
             this.aiTimeouts.retryDelay,
             this.logger
@@ -1278,16 +2097,18 @@ Based on this spreadsheet data, extract the following fields:`;
         
         return [{
           text: fullDocumentText,
-          embedding: result.embedding.values
+          embedding: result
         }];
       } else {
         // Chunked embeddings for larger documents or text exceeding API limit
-        const reason = !isSmallDocument ? 'large document' : 'text exceeds API limit';
+        const reason = chunking ? `${chunking.strategy} chunking` : !isSmallDocument ? 'large document' : 'text exceeds API limit';
         this.logger.info(`[${documentId}] Generating chunked embeddings (${reason}, ${(textSizeBytes/1024).toFixed(1)}KB)`);
-        const chunks = chunkText(fullDocumentText, { 
-          chunkSize: this.config.processing.textChunkSize, 
-          chunkOverlap: this.config.processing.textChunkOverlap 
-        });
+        const chunks = chunking
+          ? chunking.chunks
+          : chunkText(fullDocumentText, { 
+              chunkSize: this.config.processing.textChunkSize, 
+              chunkOverlap: this.config.processing.textChunkOverlap 
+            }).map(content => ({ content, section_title: null, section_index: null }));
         const embeddings = [];
         
         // Batch process embeddings
@@ -1300,7 +2121,7 @@ Based on this spreadsheet data, extract the following fields:`;
             try {
               const result = await withTimeout(
                 withRetry(
-                  () => this.embeddingModel.embedContent(chunk),
+                  () => this.aiProvider.embed(chunk.content, aiRequestOptions()),
                   this.aiTimeouts.retryAttempts,
                   this.aiTimeouts.retryDelay,
                   this.logger
@@ -1308,7 +2129,12 @@ Based on this spreadsheet data, extract the following fields:`;
                 this.aiTimeouts.embedding,
                 `Embedding generation timed out for chunk ${globalIndex + 1}`
               );
-              return { text: chunk, embedding: result.embedding.values };
+              return {
+                text: chunk.content,
+                embedding: result,
+                section_title: chunk.section_title,
+                section_index: chunk.section_index
+              };
             } catch (error) {
               this.logger.warn(`[${documentId}] Failed embedding chunk ${globalIndex + 1}:`, error.message);
               return null;
@@ -1384,6 +2210,60 @@ Based on this spreadsheet data, extract the following fields:`;
     return cleanedData;
   }
 
+  // Process and clean legal extraction results (dates, party lists, contract value)
+  processLegalExtractedData(extractedData) {
+    if (!extractedData) return null;
+
+    const parties = normalizeStringArray(extractedData.parties);
+
+    return {
+      ...extractedData,
+      parties,
+      primary_party: extractedData.primary_party || parties[0] || null,
+      counterparty: extractedData.counterparty || parties[1] || null,
+      effective_date: normalizeDateValue(extractedData.effective_date),
+      expiry_date: normalizeDateValue(extractedData.expiry_date),
+      document_date: normalizeDateValue(extractedData.document_date),
+      key_terms: normalizeStringArray(extractedData.key_terms),
+      obligations: normalizeStringArray(extractedData.obligations),
+      rights: normalizeStringArray(extractedData.rights),
+      risk_factors: normalizeStringArray(extractedData.risk_factors),
+      contract_value: parseNumericValue(extractedData.contract_value),
+      currency: extractedData.currency ? String(extractedData.currency).toUpperCase() : null
+    };
+  }
+
+  // Map cleaned legal extraction results onto legal_documents columns
+  mapLegalExtractionResult(extractedData) {
+    const complianceNotes = Array.isArray(extractedData.compliance_notes)
+      ? normalizeStringArray(extractedData.compliance_notes).join('\n')
+      : extractedData.compliance_notes;
+
+    return {
+      document_title: extractedData.document_title || null,
+      document_type: extractedData.document_type || null,
+      contract_type: extractedData.contract_type || null,
+      document_date: extractedData.document_date || null,
+      effective_date: extractedData.effective_date || null,
+      expiry_date: extractedData.expiry_date || null,
+      parties: extractedData.parties || [],
+      primary_party: extractedData.primary_party || null,
+      counterparty: extractedData.counterparty || null,
+      governing_law: extractedData.governing_law || null,
+      jurisdiction: extractedData.jurisdiction || null,
+      language: extractedData.language || null,
+      legal_area: extractedData.legal_area || null,
+      key_terms: extractedData.key_terms || [],
+      obligations: extractedData.obligations || [],
+      rights: extractedData.rights || [],
+      risk_factors: extractedData.risk_factors || [],
+      compliance_notes: complianceNotes || null,
+      contract_value: extractedData.contract_value ?? null,
+      currency: extractedData.currency || null,
+      payment_terms: extractedData.payment_terms || null
+    };
+  }
+
   // Helper method to convert buffer to base64
   bufferToBase64(buffer) {
     const bytes = new Uint8Array(buffer);
@@ -1490,9 +2370,96 @@ CRITICAL INDONESIAN NUMBER FORMAT INSTRUCTIONS:
 Return the result ONLY as a valid JSON object with these exact keys. Use null for fields that cannot be determined.`;
   }
 
+  // Legal contract extraction prompt (maps onto legal_documents columns)
+  getLegalExtractionPrompt() {
+    return `You are an expert legal analyst. Analyze the provided legal document (contract, agreement, terms and conditions, power of attorney, etc.) and extract the following fields. Documents may be written in Indonesian (e.g., "Perjanjian", "PARA PIHAK", "Pasal") or English.
+
+- document_title (string): The title of the document as written (e.g., "Perjanjian Kerjasama", "Sale and Purchase Agreement").
+- document_type (string): The general document type (e.g., "Contract", "Agreement", "Power of Attorney", "Terms and Conditions", "Memorandum of Understanding").
+- contract_type (string): The specific contract type (e.g., "Services Contract", "Sale and Purchase Agreement", "Lease Agreement", "Employment Contract", "Non-Disclosure Agreement").
+- parties (array of strings): The names of ALL parties to the document, exactly as written. Company or person names only, no addresses.
+- primary_party (string): The party that issued or drafted the document, or the first party named ("Pihak Pertama").
+- counterparty (string): The other main party ("Pihak Kedua").
+- document_date (string): The date the document was signed or issued, in YYYY-MM-DD format.
+- effective_date (string): The date the agreement takes effect, in YYYY-MM-DD format.
+- expiry_date (string): The date the agreement ends or expires, in YYYY-MM-DD format. Calculate from the start date and duration if only a duration is given.
+- governing_law (string): The governing law (e.g., "Indonesian Law", "English Law").
+- jurisdiction (string): The courts or arbitration venue for disputes (e.g., "Pengadilan Negeri Jakarta Selatan", "BANI", "England").
+- language (string): The ISO 639-1 code of the main document language (e.g., "id", "en").
+- legal_area (string): The area of law (e.g., "Commercial", "Employment", "Real Estate", "Intellectual Property").
+- key_terms (array of strings): The headings or short names of the most important clauses and defined terms.
+- obligations (array of strings): Each material obligation, stated briefly with the obligated party (e.g., "Contractor to maintain insurance").
+- rights (array of strings): Each material right granted, stated briefly with the party holding it (e.g., "Client may terminate with 30 days notice").
+- risk_factors (array of strings): Clauses or gaps that create legal or commercial risk (e.g., unlimited liability, automatic renewal, missing termination clause, penalties).
+- compliance_notes (string): Regulatory or compliance requirements mentioned (licences, data protection, tax, stamp duty/materai), as a short paragraph.
+- contract_value (number): The total contract value as CLEAN NUMBER without formatting (e.g., 1000000000 not "1.000.000.000,00"). Use null if no value is stated.
+- currency (string): The 3-letter currency code of the contract value (e.g., 'IDR', 'USD').
+- payment_terms (string): A short description of when and how payment is made.
+- summary (string): A concise summary of the document's purpose and main commercial terms.
+
+CRITICAL INDONESIAN NUMBER FORMAT INSTRUCTIONS:
+- Indonesian documents use periods (.) as thousands separators and commas (,) as decimal separators
+- Example: "1.000.000.000,00" means 1,000,000,000.00 in international format
+- In your JSON response, return ALL numbers as clean values WITHOUT any separators (e.g., 1000000000)
+
+Return the result ONLY as a valid JSON object with these exact keys. Use null for fields that cannot be determined and [] for empty lists.`;
+  }
+
+  // Whether an organizations row exists (uploads name their organization directly)
+  async organizationExists(organizationId) {
+    const { data, error } = await this.supabase
+      .from('organizations')
+      .select('id')
+      .eq('id', organizationId)
+      .maybeSingle();
+
+    if (error) {
+      throw withFailureCategory(new Error(`Organization lookup failed: ${error.message}`), 'database_error');
+    }
+    return !!data;
+  }
+
+  // Store a file uploaded through POST /documents and create its document row. Returns
+  // the job data to process it with (processDocument or the queue). Uploads go under
+  // uploads/{organizationId}/{documentId}/ in the document storage, outside the prefixes
+  // S3 event notifications cover, so they aren't processed a second time.
+  async storeUpload({ buffer, filename, documentType, vertical, organizationId }) {
+    const documentId = uuidv4();
+    const storageBackend = this.config.storage.documentBackend;
+    const bucketName = this.config.storage.documentBucket;
+    const safeFilename = filename.replace(/[^\w.\- ]/g, '_').replace(/^\.+/, '') || 'upload';
+    const key = `uploads/${organizationId}/${documentId}/${safeFilename}`;
+
+    const storage = this.getStorage(storageBackend);
+    await storage.upload(bucketName, key, buffer, { contentType: documentType, upsert: false });
+    this.logger.info(`[${documentId}] Stored upload ${filename} (${buffer.length} bytes) at ${storageBackend}:${bucketName}/${key}`);
+
+    const jobData = {
+      documentId,
+      s3Key: key,
+      bucketName,
+      storageBackend,
+      originalFilename: filename,
+      documentType,
+      fileSize: buffer.length,
+      vertical,
+      organizationId
+    };
+    try {
+      await this.createOrFetchDocument(jobData);
+    } catch (error) {
+      // Without a row nothing refers to the file, so it is removed rather than left behind
+      await storage.remove(bucketName, key).catch(removeError => {
+        this.logger.warn(`[${documentId}] Failed to remove upload ${storageBackend}:${bucketName}/${key}: ${removeError.message}`);
+      });
+      throw error;
+    }
+    return jobData;
+  }
+
   // Create or fetch document record for S3 processing
   async createOrFetchDocument(params) {
-    const { documentId, s3Key, bucketName, originalFilename, documentType, fileSize, vertical, organizationId } = params;
+    const { documentId, s3Key, bucketName, storageBackend = 's3', originalFilename, documentType, fileSize, vertical, organizationId } = params;
     
     const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
     
@@ -1505,6 +2472,11 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
       
     if (existing && !fetchError) {
       this.logger.info(`[${documentId}] Found existing document record`);
+      // Rows created before file locations were recorded learn them from the event
+      if (!existing.storage_backend && s3Key && bucketName) {
+        await this.recordFileLocation(documentId, tableName, storageBackend, bucketName);
+        return { ...existing, storage_backend: storageBackend, storage_bucket: bucketName };
+      }
       return existing;
     }
     
@@ -1515,10 +2487,12 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
       id: documentId,
       original_filename: originalFilename,
       file_path: s3Key,
+      storage_backend: storageBackend,
+      storage_bucket: bucketName,
       document_type: documentType,
       organization_id: this.isValidUUID(organizationId) ? organizationId : null, // Only set if valid UUID
       uploaded_by: null, // Not available from S3 events, will need to be set by application
-      content_hash: null, // Not available from S3 events, could be calculated
+      content_hash: null, // Set from the downloaded file by checkForDuplicate
       file_size: fileSize,
       processing_status: 'processing', // Start with processing (not pending)
       uploaded_at: new Date().toISOString()
@@ -1536,6 +2510,15 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
       .single();
       
     if (createError) {
+      // Another worker created the row first (same event delivered twice)
+      if (createError.code === '23505') {
+        const { data: concurrent } = await this.supabase
+          .from(tableName)
+          .select('*')
+          .eq('id', documentId)
+          .single();
+        if (concurrent) return concurrent;
+      }
       throw new Error(`Failed to create document record: ${createError.message}`);
     }
     
@@ -1543,53 +2526,123 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
     return created;
   }
 
-  // Download file from S3
-  async downloadFileFromS3(bucketName, s3Key) {
-    let stream = null;
-    try {
-      this.logger.info(`Downloading from S3: ${bucketName}/${s3Key}`);
-      
-      const params = {
-        Bucket: bucketName,
-        Key: s3Key
-      };
-      
-      const command = new GetObjectCommand(params);
-      const data = await this.s3.send(command);
-      this.logger.info(`Successfully downloaded file: ${data.ContentLength} bytes`);
-      
-      // Convert stream to buffer for v3 SDK with proper cleanup
-      stream = data.Body;
-      const chunks = [];
-      
+  async recordFileLocation(documentId, tableName, backend, bucket) {
+    const { error } = await this.supabase
+      .from(tableName)
+      .update({ storage_backend: backend, storage_bucket: bucket })
+      .eq('id', documentId);
+
+    if (error) {
+      this.logger.warn(`[${documentId}] Failed to record file location: ${error.message}`);
+    }
+  }
+
+  // Where a document's file may live. Rows without a recorded location predate it: their
+  // file is looked for in the vertical's bucket, then in the configured default
+  // (DOCUMENT_STORAGE_BACKEND / DOCUMENT_STORAGE_BUCKET).
+  documentLocations(document, vertical = 'accounting') {
+    const { documentBackend, documentBucket } = this.config.storage;
+    const candidates = document.storage_backend
+      ? [{ backend: document.storage_backend, bucket: document.storage_bucket || documentBucket }]
+      : [
+        { backend: documentBackend, bucket: LEGACY_VERTICAL_BUCKETS[vertical] || LEGACY_VERTICAL_BUCKETS.accounting },
+        { backend: documentBackend, bucket: documentBucket }
+      ].filter((candidate, index, all) => index === 0 || candidate.bucket !== all[0].bucket);
+
+    return candidates.map(({ backend, bucket }) => {
+      // Older rows stored the bucket as part of file_path
+      const key = document.file_path.startsWith(`${bucket}/`)
+        ? document.file_path.substring(`${bucket}/`.length)
+        : document.file_path;
+      return { backend, bucket, key };
+    });
+  }
+
+  // Download a stored document's file, trying each of its possible locations. A location
+  // found for a row without one is recorded, so later runs go straight to it.
+  async downloadStoredFile(document, vertical = 'accounting') {
+    const locations = this.documentLocations(document, vertical);
+
+    for (let i = 0; i < locations.length; i++) {
       try {
-        for await (const chunk of stream) {
-          chunks.push(chunk);
+        const buffer = await this.downloadFile(locations[i]);
+        if (!document.storage_backend) {
+          const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+          await this.recordFileLocation(document.id, tableName, locations[i].backend, locations[i].bucket);
         }
-        const buffer = Buffer.concat(chunks);
-        
-        // Clear chunks array to free memory immediately
-        chunks.length = 0;
-        
         return buffer;
-      } finally {
-        // Ensure stream is properly cleaned up
-        if (stream && typeof stream.destroy === 'function') {
-          stream.destroy();
+      } catch (error) {
+        if (i === locations.length - 1 || classifyFailure(error).category !== 'file_not_found') {
+          throw error;
         }
+        this.logger.warn(`[${document.id}] File not in ${locations[i].bucket}, trying ${locations[i + 1].bucket}`);
       }
+    }
+  }
+
+  // Download a file from its storage backend ({ backend, bucket, key }), up to MAX_FILE_SIZE_BYTES
+  async downloadFile({ backend, bucket, key }) {
+    try {
+      this.logger.info(`Downloading from ${backend}: ${bucket}/${key}`);
+      const buffer = await this.getStorage(backend).download(bucket, key, {
+        signal: currentSignal(),
+        maxBytes: this.config.processing.maxFileSizeBytes
+      });
+      this.logger.info(`Successfully downloaded file: ${buffer.length} bytes`);
+      return buffer;
     } catch (error) {
-      // Clean up stream on error
-      if (stream && typeof stream.destroy === 'function') {
-        stream.destroy();
-      }
-      this.logger.error(`Failed to download from S3: ${bucketName}/${s3Key}`, error);
-      throw new Error(`S3 download failed: ${error.message}`);
+      this.logger.error(`Failed to download from ${backend}: ${bucket}/${key}`, error);
+      // A missing or oversized file stays that way; anything else may be a storage hiccup
+      const failure = classifyFailure(error);
+      const category = failure.permanent ? failure.category : 'storage_error';
+      throw withFailureCategory(new Error(`${backend} download failed: ${error.message}`), category);
+    }
+  }
+
+  // Check the file's extension against its magic bytes. Returns the document with
+  // file_type_check set; a mismatch is processed as the detected type (a JPEG named
+  // .pdf is handled as a JPEG, and a MIME document_type taken from the extension is
+  // corrected on the row), content that isn't a supported type is rejected.
+  async verifyFileType(documentId, fileBuffer, document, vertical = 'accounting') {
+    const filename = document.original_filename || document.file_path || '';
+    const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : null;
+    const check = resolveFileType(extension, fileBuffer);
+
+    if (check.action !== 'corrected') {
+      return { ...document, file_type_check: check };
     }
+
+    this.logger.warn(`[${documentId}] File named .${check.declared} is ${check.detected}, processing as ${check.detected}`);
+
+    // Extraction replaces document_type with the document's kind (invoice, receipt, ...);
+    // until then it is the MIME type guessed from the filename
+    const documentType = this.getMimeType(check.detected);
+    if (!document.document_type || !document.document_type.includes('/') || document.document_type === documentType) {
+      return { ...document, file_type_check: check };
+    }
+
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const { error } = await this.supabase
+      .from(tableName)
+      .update({ document_type: documentType })
+      .eq('id', documentId);
+    if (error) {
+      this.logger.warn(`[${documentId}] Failed to correct document_type: ${error.message}`);
+    }
+
+    return { ...document, document_type: documentType, file_type_check: check };
+  }
+
+  // Type used for processing: the verified type when known, otherwise the extension
+  fileTypeOf(document) {
+    if (document.file_type_check) return document.file_type_check.fileType;
+    const filename = document.original_filename || document.file_path || '';
+    return filename.split('.').pop()?.toLowerCase();
   }
 
   // Real-time processing status updates (like accountant-app)
-  async emitProcessingStatus(documentId, status, progress, extractedData, error) {
+  // pageProgress ({ pages_processed, total_pages, batch, total_batches }) reports page-batched extraction
+  async emitProcessingStatus(documentId, status, progress, extractedData, error, pageProgress = null) {
     try {
       const updateData = {
         processing_status: status,
@@ -1597,18 +2650,23 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
       };
 
       // For intermediate status updates, temporarily store preview data
-      if (status === 'processing' && extractedData) {
+      if (status === 'processing' && (extractedData || pageProgress)) {
         const processingInfo = {
           progress: progress || 0,
-          preview: {
+          timestamp: new Date().toISOString()
+        };
+        if (extractedData) {
+          processingInfo.preview = {
             vendor: extractedData.vendor,
             amount: extractedData.amount,
             currency: extractedData.currency,
             type: extractedData.type,
             confidence: extractedData.confidence
-          },
-          timestamp: new Date().toISOString()
-        };
+          };
+        }
+        if (pageProgress) {
+          processingInfo.pages = pageProgress;
+        }
         
         // Store as JSON in description field for intermediate updates (like accountant-app)
         updateData.description = JSON.stringify(processingInfo);
@@ -1620,7 +2678,14 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
         .update(updateData)
         .eq('id', documentId);
 
-      this.logger.info(`Status update emitted for document ${documentId}: ${status} (${progress || 0}%)`);
+      // Final job states are set by the queue worker, which knows whether a failure is retried
+      const jobId = jobContext.getStore()?.jobId;
+      if (jobId && status !== 'failed') {
+        await this.jobs.updateProgress(jobId, progress || 0);
+      }
+
+      this.logger.info(`Status update emitted for document ${documentId}: ${status} (${progress || 0}%)` +
+        (pageProgress ? ` - page ${pageProgress.pages_processed}/${pageProgress.total_pages}` : ''));
       if (extractedData) {
         this.logger.info(`Extraction preview: ${extractedData.vendor} • ${extractedData.amount} ${extractedData.currency}`);
       }
@@ -1631,20 +2696,18 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
 
   // Update document with final processing results
   async updateDocumentWithResults(documentId, processingResult, startTime, vertical = 'accounting') {
-    const { extractedData, embeddings } = processingResult;
+    const { extractedData, embeddings, chunking, preview, duplicateCheck, fileTypeCheck } = processingResult;
     
     if (!extractedData) {
       throw new Error('No extracted data to save');
     }
 
     // Generate vendor_normalized for search (like accountant-app)
-    const vendor_normalized = extractedData.vendor 
-      ? extractedData.vendor.toLowerCase().replace(/[^a-z0-9]/g, '') 
-      : null;
+    const vendor_normalized = normalizeVendor(extractedData.vendor);
     
-    // Process tax type lookup
+    // Process tax type lookup (accounting documents only)
     let taxTypeId = null;
-    if (extractedData.tax_type_name) {
+    if (vertical !== 'legal' && extractedData.tax_type_name) {
       const { data: taxType } = await this.supabase
         .from('tax_types')
         .select('id')
@@ -1661,12 +2724,18 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
     let updateData = {};
     
     if (vertical === 'legal') {
-      // Legal documents table has different schema - no ai_extracted_data field
+      // Legal documents table has different schema - contract fields instead of accounting fields
       updateData = {
+        ...this.mapLegalExtractionResult(extractedData),
+        extracted_data: extractedData,
         processing_status: 'complete',
         processing_time_ms: Date.now() - startTime,
         embedding_status: embeddings.length > 0 ? 'completed' : 'no_embeddings'
       };
+
+      if (chunking) {
+        Object.assign(updateData, this.summarizeLegalChunking(chunking, embeddings));
+      }
     } else {
       // Accounting documents table - full field set like original accountant-app
       updateData = {
@@ -1692,6 +2761,24 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
         embedding_status: embeddings.length > 0 ? 'completed' : 'no_embeddings',
         extracted_data: extractedData // Store full AI-extracted data - production table uses extracted_data field
       };
+
+      // Preview columns only exist on the documents table; its storage location is kept
+      // in extracted_data.preview_location
+      if (preview) {
+        updateData.preview_path = preview.preview_path;
+        updateData.preview_format = preview.preview_format;
+        updateData.extracted_data = { ...updateData.extracted_data, preview_location: preview.location };
+      }
+    }
+
+    if (duplicateCheck) {
+      updateData.content_hash = duplicateCheck.content_hash;
+      updateData.file_hash = duplicateCheck.content_hash;
+      updateData.extracted_data = { ...updateData.extracted_data, duplicate_check: duplicateCheck };
+    }
+
+    if (fileTypeCheck) {
+      updateData.extracted_data = { ...updateData.extracted_data, file_type_check: fileTypeCheck };
     }
 
     // Determine correct table based on vertical
@@ -1729,6 +2816,286 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
     this.logger.info(`[${documentId}] Successfully updated document with all extracted data`);
   }
 
+  // Hash the downloaded file (SHA-256, plus a perceptual hash for images) and look for an
+  // already processed document with the same content in the same organization. Only an
+  // exact copy is a duplicate (duplicate_of); a perceptual near-match may be a different
+  // document from the same template, so it is only flagged for review (similar_to).
+  // Returns the duplicate_check block stored in extracted_data.
+  async checkForDuplicate(documentId, fileBuffer, document, vertical = 'accounting', { lookup = true } = {}) {
+    const fileType = this.fileTypeOf(document);
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const { contentHash, perceptualHash } = await this.fingerprinter.fingerprint(fileBuffer, { fileType, documentId });
+    
+    const duplicateCheck = {
+      content_hash: contentHash,
+      perceptual_hash: perceptualHash,
+      decision: 'unique',
+      duplicate_of: null,
+      match: null,
+      similar_to: null,
+      distance: null,
+      checked_at: new Date().toISOString()
+    };
+    
+    // Record the hash right away so uploads arriving while this one is processing can see it
+    const { error: hashError } = await this.supabase
+      .from(tableName)
+      .update({ content_hash: contentHash, file_hash: contentHash })
+      .eq('id', documentId);
+    if (hashError) {
+      this.logger.warn(`[${documentId}] Failed to store content hash: ${hashError.message}`);
+    }
+    
+    const { action, perceptualHashMaxDistance, perceptualCandidateLimit } = this.config.processing.duplicates;
+    if (!lookup || action === 'off' || !this.isValidUUID(document.organization_id)) {
+      return duplicateCheck;
+    }
+    
+    try {
+      // Exact copy: same bytes, earliest completed upload wins
+      const { data: exactMatches, error: exactError } = await this.supabase
+        .from(tableName)
+        .select('id')
+        .eq('organization_id', document.organization_id)
+        .eq('content_hash', contentHash)
+        .eq('processing_status', 'complete')
+        .neq('id', documentId)
+        .order('uploaded_at', { ascending: true })
+        .limit(1);
+      
+      if (exactError) throw new Error(exactError.message);
+      
+      if (exactMatches && exactMatches.length > 0) {
+        duplicateCheck.duplicate_of = exactMatches[0].id;
+        duplicateCheck.match = 'content_hash';
+        duplicateCheck.distance = 0;
+        duplicateCheck.decision = action === 'process' ? 'processed' : action === 'skip' ? 'skipped' : 'linked';
+        this.logger.info(`[${documentId}] Duplicate of ${duplicateCheck.duplicate_of} found by content hash`);
+        return duplicateCheck;
+      }
+      
+      // Possibly the same picture re-encoded or resized (e.g. forwarded through a chat app)
+      if (perceptualHash) {
+        const { data: candidates, error: candidatesError } = await this.supabase
+          .from(tableName)
+          .select('id, perceptual_hash:extracted_data->duplicate_check->>perceptual_hash')
+          .eq('organization_id', document.organization_id)
+          .eq('processing_status', 'complete')
+          .neq('id', documentId)
+          .not('extracted_data->duplicate_check->>perceptual_hash', 'is', null)
+          .order('uploaded_at', { ascending: false })
+          .limit(perceptualCandidateLimit);
+        
+        if (candidatesError) throw new Error(candidatesError.message);
+        
+        let closest = null;
+        for (const candidate of candidates || []) {
+          const distance = this.fingerprinter.hammingDistance(perceptualHash, candidate.perceptual_hash);
+          if (distance <= perceptualHashMaxDistance && (!closest || distance <= closest.distance)) {
+            closest = { id: candidate.id, distance };
+          }
+        }
+        
+        if (closest) {
+          duplicateCheck.similar_to = closest.id;
+          duplicateCheck.match = 'perceptual_hash';
+          duplicateCheck.distance = closest.distance;
+          duplicateCheck.decision = 'review';
+          this.logger.info(`[${documentId}] Looks like ${closest.id} (perceptual hash distance ${closest.distance}), flagged for review`);
+        }
+      }
+    } catch (error) {
+      // Duplicate detection is an optimisation; never fail the document because of it
+      this.logger.warn(`[${documentId}] Duplicate lookup failed, processing normally: ${error.message}`);
+    }
+    
+    return duplicateCheck;
+  }
+
+  // Compare the extracted vendor, number, amount and date against completed documents of
+  // the same organization; embedding similarity decides borderline and tied candidates.
+  // Returns the duplicate_invoice block for extracted_data, or null when the check can't run.
+  async checkForDuplicateInvoice(documentId, document, extractedData, embeddings) {
+    const settings = this.config.processing.invoiceDuplicates;
+    if (!settings.enabled || !this.isValidUUID(document.organization_id)) return null;
+    
+    const current = {
+      vendor_normalized: normalizeVendor(extractedData.vendor),
+      document_number: extractedData.document_number,
+      amount: extractedData.amount,
+      currency: extractedData.currency,
+      date: extractedData.date
+    };
+    
+    // Narrow the search to rows sharing at least the vendor, the number or the amount
+    const filters = [];
+    if (current.vendor_normalized) filters.push(`vendor_normalized.eq.${quoteFilterValue(current.vendor_normalized)}`);
+    if (current.document_number) filters.push(`document_number.eq.${quoteFilterValue(current.document_number)}`);
+    if (typeof current.amount === 'number') filters.push(`total_amount.eq.${current.amount}`);
+    if (filters.length === 0) return null;
+    
+    try {
+      const { data: rows, error } = await this.supabase
+        .from('documents')
+        .select('id, vendor_normalized, document_number, total_amount, currency, document_date')
+        .eq('organization_id', document.organization_id)
+        .eq('processing_status', 'complete')
+        .neq('id', documentId)
+        .or(filters.join(','))
+        .order('uploaded_at', { ascending: false })
+        .limit(settings.candidateLimit);
+      
+      if (error) throw new Error(error.message);
+      
+      const { absoluteTolerance, relativeTolerance } = this.config.processing.reconciliation;
+      const amountTolerance = amount => Math.max(absoluteTolerance, Math.abs(amount) * relativeTolerance);
+      
+      const candidates = [];
+      for (const row of rows || []) {
+        const match = scoreInvoiceMatch(current, row, { amountTolerance, dateWindowDays: settings.dateWindowDays });
+        if (match) candidates.push({ id: row.id, similarity: null, ...match });
+      }
+      
+      // Embedding similarity only for candidates close enough for it to matter
+      const contenders = candidates.filter(candidate => candidate.score >= settings.reviewScore);
+      const ownEmbedding = embeddings.length > 0 ? embeddings[0].embedding : null;
+      if (contenders.length > 0 && ownEmbedding) {
+        const { data: chunks, error: chunksError } = await this.supabase
+          .from('document_chunks')
+          .select('document_id, embedding')
+          .in('document_id', contenders.map(candidate => candidate.id))
+          .eq('chunk_index', 0);
+        
+        if (chunksError) {
+          this.logger.warn(`[${documentId}] Could not load candidate embeddings: ${chunksError.message}`);
+        } else {
+          for (const chunk of chunks || []) {
+            const candidate = contenders.find(entry => entry.id === chunk.document_id);
+            candidate.similarity = cosineSimilarity(ownEmbedding, parseEmbedding(chunk.embedding));
+          }
+        }
+      }
+      
+      const result = {
+        ...classifyInvoiceDuplicates(candidates, settings),
+        candidates_checked: candidates.length,
+        checked_at: new Date().toISOString()
+      };
+      
+      if (result.status !== 'unique') {
+        this.logger.warn(`[${documentId}] ${result.status === 'likely_duplicate' ? 'Likely' : 'Possible'} duplicate of ${result.duplicate_of} ` +
+          `(score ${result.score}${result.similarity !== null ? `, similarity ${result.similarity}` : ''}, matched ${result.matched_fields.join(', ')})`);
+      }
+      
+      return result;
+    } catch (error) {
+      this.logger.warn(`[${documentId}] Duplicate invoice check failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Finish a duplicate upload without AI extraction.
+  // 'link' copies the original's extraction results (and line items/transactions); 'skip' only records the link.
+  async completeAsDuplicate(documentId, duplicateCheck, action, startTime, vertical = 'accounting') {
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const { data: original, error: fetchError } = await this.supabase
+      .from(tableName)
+      .select('*')
+      .eq('id', duplicateCheck.duplicate_of)
+      .single();
+    
+    if (fetchError || !original) {
+      throw new Error(`Failed to load original document ${duplicateCheck.duplicate_of}: ${fetchError?.message || 'not found'}`);
+    }
+    
+    const updateData = {
+      processing_status: 'complete',
+      processing_time_ms: Date.now() - startTime,
+      processing_strategy: action === 'link' ? 'duplicate_linked' : 'duplicate_skipped',
+      embedding_status: 'no_embeddings',
+      content_hash: duplicateCheck.content_hash,
+      file_hash: duplicateCheck.content_hash
+    };
+    
+    if (action === 'link') {
+      const linkedColumns = vertical === 'legal' ? LINKED_LEGAL_COLUMNS : LINKED_ACCOUNTING_COLUMNS;
+      for (const column of linkedColumns) {
+        if (original[column] !== undefined) updateData[column] = original[column];
+      }
+      updateData.extracted_data = { ...(original.extracted_data || {}), duplicate_check: duplicateCheck };
+    } else {
+      updateData.extracted_data = { duplicate_check: duplicateCheck };
+      if (vertical !== 'legal') {
+        updateData.description = `Duplicate of document ${duplicateCheck.duplicate_of}`;
+      }
+    }
+    
+    const { error: updateError } = await this.supabase
+      .from(tableName)
+      .update(updateData)
+      .eq('id', documentId);
+    
+    if (updateError) {
+      throw new Error(`Failed to update duplicate document: ${updateError.message}`);
+    }
+    
+    if (action === 'link' && vertical !== 'legal') {
+      await this.copyDocumentRows('document_line_items', duplicateCheck.duplicate_of, documentId);
+      await this.copyDocumentRows('bank_statement_transactions', duplicateCheck.duplicate_of, documentId);
+    }
+  }
+
+  // Copy child rows (line items, bank transactions) from one document to another
+  async copyDocumentRows(tableName, sourceDocumentId, targetDocumentId) {
+    const { data: rows, error } = await this.supabase
+      .from(tableName)
+      .select('*')
+      .eq('document_id', sourceDocumentId);
+    
+    if (error) {
+      this.logger.warn(`Failed to read ${tableName} of ${sourceDocumentId}: ${error.message}`);
+      return;
+    }
+    if (!rows || rows.length === 0) return;
+    
+    await this.supabase
+      .from(tableName)
+      .delete()
+      .eq('document_id', targetDocumentId);
+    
+    const copies = rows.map(({ id, created_at, updated_at, ...row }) => ({ ...row, document_id: targetDocumentId }));
+    const { error: insertError } = await this.supabase
+      .from(tableName)
+      .insert(copies);
+    
+    if (insertError) {
+      this.logger.warn(`Failed to copy ${tableName} to ${targetDocumentId}: ${insertError.message}`);
+    } else {
+      this.logger.info(`Copied ${copies.length} ${tableName} rows from ${sourceDocumentId} to ${targetDocumentId}`);
+    }
+  }
+
+  // Summarize legal chunking into legal_documents chunking columns
+  summarizeLegalChunking(chunking, embeddings) {
+    const embeddedBySection = new Map();
+    for (const embedding of embeddings) {
+      if (embedding.section_index === null || embedding.section_index === undefined) continue;
+      embeddedBySection.set(embedding.section_index, (embeddedBySection.get(embedding.section_index) || 0) + 1);
+    }
+
+    const sectionResults = chunking.sections.map(section => ({
+      ...section,
+      embedded_chunks: embeddedBySection.get(section.section_index) || 0
+    }));
+
+    return {
+      chunking_strategy: chunking.strategy,
+      processing_chunks: chunking.chunks.length,
+      section_processing_results: sectionResults,
+      processed_sections_count: sectionResults.filter(section => section.embedded_chunks === section.chunk_count).length
+    };
+  }
+
   // Save line items with classification (simplified version from accountant-app)
   async saveLineItems(documentId, lineItems, apArStatus) {
     // Delete existing line items
@@ -1812,7 +3179,9 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
       credit_amount: transaction.credit_amount,
       running_balance: transaction.running_balance,
       transaction_type: transaction.transaction_type,
-      sort_order: index + 1
+      sort_order: index + 1,
+      is_reconciled: transaction.reconciled ?? null,
+      balance_difference: transaction.balance_difference ?? null
     }));
     
     const { error } = await this.supabase
@@ -1839,11 +3208,13 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
         .delete()
         .eq(documentIdField, documentId);
       
+      // Legal chunks keep the title of the section they came from (see chunkTextBySections)
       const chunksToInsert = embeddings.map((embedding, index) => ({
         [documentIdField]: documentId,
         content: embedding.text,
         embedding: embedding.embedding,
-        chunk_index: index
+        chunk_index: index,
+        ...(vertical === 'legal' && { section_title: embedding.section_title || null })
       }));
       
       const { error } = await this.supabase
@@ -1862,16 +3233,28 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
   }
 
   // Handle processing errors
-  async handleProcessingError(documentId, error, startTime) {
+  // Marks the document failed and records the failure category (see utils/failures.js)
+  async handleProcessingError(documentId, error, startTime, vertical = 'accounting') {
     try {
-      await this.supabase
-        .from('documents')
-        .update({
-          processing_status: 'failed',
-          processing_time_ms: Date.now() - startTime,
-          updated_at: new Date().toISOString()
-        })
+      const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+      const failure = classifyFailure(error);
+      const updateData = {
+        processing_status: 'failed',
+        processing_time_ms: Date.now() - startTime,
+        failure_category: failure.category,
+        updated_at: new Date().toISOString()
+      };
+      
+      const { error: updateError } = await this.supabase
+        .from(tableName)
+        .update(updateData)
         .eq('id', documentId);
+      
+      if (updateError) {
+        this.logger.warn(`[${documentId}] Failed to mark document failed: ${updateError.message}`);
+      }
+      
+      this.logger.warn(`[${documentId}] Failure classified as ${failure.category} (${failure.permanent ? 'permanent' : 'transient'})`);
         
       await this.emitProcessingStatus(
         documentId, 
@@ -1887,8 +3270,87 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
     }
   }
 
+  // Mark a document held back by its organization's quota: 'deferred' when it waits for the
+  // daily document quota to reset, 'quota_exceeded' when the monthly AI token quota rejected
+  // it. The quota (see QuotaManager.check) is kept in description, like progress data.
+  async markOverQuota(jobData, status, quota) {
+    const { documentId, vertical = 'accounting' } = jobData;
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+
+    // S3 uploads may not have a row yet
+    if (jobData.s3Key) {
+      await this.createOrFetchDocument({ ...jobData, storageBackend: jobData.storageBackend || 's3' });
+    }
+
+    const updateData = {
+      processing_status: status,
+      description: JSON.stringify({ quota }),
+      updated_at: new Date().toISOString()
+    };
+    if (status === 'quota_exceeded') {
+      updateData.failure_category = 'quota_exceeded';
+    }
+
+    const { error } = await this.supabase
+      .from(tableName)
+      .update(updateData)
+      .eq('id', documentId);
+
+    if (error) {
+      this.logger.warn(`[${documentId}] Failed to mark document ${status}: ${error.message}`);
+    }
+  }
+
+  // Processing status of a document row for GET /documents/:id/status; null when not found.
+  // Progress, or the quota that held the document back, comes from the JSON kept in description.
+  async getDocumentStatus(documentId, vertical = 'accounting') {
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const { data: document, error } = await this.supabase
+      .from(tableName)
+      .select('*')
+      .eq('id', documentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read document ${documentId}: ${error.message}`);
+    }
+    if (!document) {
+      return null;
+    }
+
+    let processingInfo = null;
+    const statusInDescription = ['processing', 'deferred', 'quota_exceeded'];
+    if (statusInDescription.includes(document.processing_status) && document.description) {
+      try {
+        processingInfo = JSON.parse(document.description);
+      } catch (parseError) {
+        // A regular description, not progress data
+      }
+    }
+
+    const progressByStatus = { complete: 100, failed: 0 };
+    return {
+      documentId: document.id,
+      vertical,
+      organizationId: document.organization_id,
+      filename: document.original_filename,
+      status: document.processing_status,
+      progress: processingInfo?.progress ?? progressByStatus[document.processing_status] ?? 0,
+      pages: processingInfo?.pages || null,
+      failureCategory: document.failure_category || null,
+      quota: processingInfo?.quota || null,
+      processingTimeMs: document.processing_time_ms || null,
+      createdAt: document.created_at,
+      updatedAt: document.updated_at
+    };
+  }
+
   // Process existing document (compatibility with accountant-app cloud-run)
-  async processExistingDocument(params) {
+  async processExistingDocument(params, { signal = null } = {}) {
+    return jobContext.run({ signal, jobId: params.jobId || null }, () => this.runExistingDocumentJob(params));
+  }
+
+  async runExistingDocumentJob(params) {
     const { documentId, vertical = 'accounting', organizationId = 'default' } = params;
     const startTime = Date.now();
     
@@ -1897,67 +3359,55 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
     try {
       // Get document from database
       const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
-      const { data: document, error: fetchError } = await this.supabase
+      const { data: storedDocument, error: fetchError } = await this.supabase
         .from(tableName)
         .select('*')
         .eq('id', documentId)
         .single();
         
-      if (fetchError || !document) {
+      if (fetchError || !storedDocument) {
         throw new Error(`Document not found: ${documentId}`);
       }
 
-      this.logger.info(`[${documentId}] Found document in database: ${document.original_filename}`);
+      if (!await this.leases.acquire(documentId, vertical)) {
+        const lockedError = new Error(`Document ${documentId} is already being processed`);
+        lockedError.code = 'DOCUMENT_LOCKED';
+        lockedError.lockedUntil = await this.leases.expiresAt(documentId, vertical);
+        throw lockedError;
+      }
 
-      // Download file from S3 using the file_path
-      let fileBuffer;
-      let bucketName;
-      
-      if (document.file_path) {
-        // Determine bucket from file path or document context
-        bucketName = vertical === 'legal' ? 'legal-docs' : 'documents';
-        
-        // If file_path starts with bucket name, extract the key
-        let s3Key = document.file_path;
-        if (s3Key.startsWith(`${bucketName}/`)) {
-          s3Key = s3Key.substring(`${bucketName}/`.length);
-        }
-        
-        try {
-          fileBuffer = await this.downloadFileFromS3(bucketName, s3Key);
-        } catch (s3Error) {
-          // Fallback: try different bucket configurations
-          this.logger.warn(`[${documentId}] Primary S3 download failed, trying alternatives`);
-          const altBuckets = ['documents', 'legal-docs', this.config.aws.s3BucketName].filter(Boolean);
-          
-          for (const altBucket of altBuckets) {
-            try {
-              fileBuffer = await this.downloadFileFromS3(altBucket, document.file_path);
-              bucketName = altBucket;
-              this.logger.info(`[${documentId}] Successfully downloaded from alternative bucket: ${altBucket}`);
-              break;
-            } catch (altError) {
-              this.logger.warn(`[${documentId}] Alternative bucket ${altBucket} also failed`);
-            }
-          }
-          
-          if (!fileBuffer) {
-            throw new Error(`Could not download file from any S3 bucket: ${document.file_path}`);
-          }
-        }
-      } else {
-        throw new Error('Document has no file_path for S3 download');
+      this.logger.info(`[${documentId}] Found document in database: ${storedDocument.original_filename}`);
+
+      if (!storedDocument.file_path) {
+        throw withFailureCategory(new Error('Document has no file_path to download'), 'file_not_found');
       }
 
+      const fileBuffer = await this.downloadStoredFile(storedDocument, vertical);
+      const document = await this.verifyFileType(documentId, fileBuffer, storedDocument, vertical);
+
       await this.emitProcessingStatus(documentId, 'processing', 25);
 
+      // Explicit reprocessing always re-extracts; only the hashes are refreshed
+      const duplicateCheck = await this.checkForDuplicate(documentId, fileBuffer, document, vertical, { lookup: false });
+
       // Process the file content using enhanced logic
       const processingResult = await this.processFileContentEnhanced(
         documentId, 
         fileBuffer, 
         document, 
         startTime,
-        fileBuffer.byteLength // Use buffer length as file size for existing documents
+        fileBuffer.byteLength, // Use buffer length as file size for existing documents
+        vertical
+      );
+      processingResult.duplicateCheck = duplicateCheck;
+      processingResult.fileTypeCheck = document.file_type_check;
+
+      processingResult.preview = await this.generateDocumentPreview(
+        documentId,
+        fileBuffer,
+        document,
+        vertical,
+        processingResult.fullDocumentText
       );
       
       await this.emitProcessingStatus(documentId, 'processing', 90);
@@ -1982,83 +3432,17 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
         status: 'complete',
         analysis: processingResult.extractedData?.description || 'Processing completed',
         structuredData: processingResult.extractedData,
-        embeddings: processingResult.embeddingsCount || 0
+        embeddings: processingResult.embeddingsCount || 0,
+        estimatedAiTokens: QuotaManager.estimateTokens(processingResult)
       };
 
     } catch (error) {
       this.logger.error(`[${documentId}] Existing document processing failed:`, error);
-      await this.handleProcessingError(documentId, error, startTime);
-      throw error;
-    }
-  }
-
-  async downloadDocumentFromS3(s3Key, documentId, originalFilename, documentType) {
-    try {
-      this.logger.info(`[${documentId}] Downloading from S3: ${s3Key}`);
-      
-      const params = {
-        Bucket: this.config.aws.s3BucketName,
-        Key: s3Key
-      };
-      
-      const command = new GetObjectCommand(params);
-      const result = await this.s3.send(command);
-      
-      // Convert stream to buffer for v3 SDK
-      const chunks = [];
-      for await (const chunk of result.Body) {
-        chunks.push(chunk);
+      if (error.code !== 'DOCUMENT_LOCKED') {
+        await this.handleProcessingError(documentId, error, startTime, vertical);
       }
-      const fileBuffer = Buffer.concat(chunks);
-      
-      // Create document metadata object (similar to Supabase structure)
-      const document = {
-        id: documentId,
-        original_filename: originalFilename,
-        document_type: documentType,
-        file_path: s3Key,
-        file_size: result.ContentLength,
-        uploaded_at: new Date().toISOString(),
-        s3_etag: result.ETag
-      };
-      
-      this.logger.info(`[${documentId}] Downloaded ${result.ContentLength} bytes from S3`);
-      
-      return { document, fileBuffer };
-    } catch (error) {
-      this.logger.error(`[${documentId}] S3 download failed:`, error);
-      throw new Error(`Failed to download file from S3: ${s3Key} - ${error.message}`);
-    }
-  }
-
-  // Keep the original method for backward compatibility (if needed)
-  async downloadDocument(documentId, vertical) {
-    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
-    
-    // Get document metadata
-    const { data: document, error: docError } = await this.supabase
-      .from(tableName)
-      .select('*')
-      .eq('id', documentId)
-      .single();
-      
-    if (docError || !document) {
-      throw new Error(`Document not found: ${documentId}`);
-    }
-    
-    // Download file from storage
-    const bucketName = vertical === 'legal' ? 'legal-docs' : 'documents';
-    const { data: fileData, error: downloadError } = await this.supabase.storage
-      .from(bucketName)
-      .download(document.file_path);
-      
-    if (downloadError || !fileData) {
-      throw new Error(`Failed to download file: ${document.file_path}`);
+      throw error;
     }
-    
-    const fileBuffer = Buffer.from(await fileData.arrayBuffer());
-    
-    return { document, fileBuffer };
   }
 
   getDefaultStructuredData() {
@@ -2091,17 +3475,17 @@ Return the result ONLY as a valid JSON object with these exact keys. Use null fo
 
   async checkAIHealth() {
     try {
-      const result = await this.extractionModel.generateContent([
-        { text: 'Test health check - respond with "OK"' }
-      ]);
-      return result.response.text().includes('OK') ? 'healthy' : 'unhealthy';
+      const result = await this.aiProvider.generate('Test health check - respond with "OK"');
+      return result.text && result.text.includes('OK') ? 'healthy' : 'unhealthy';
     } catch (error) {
       return 'unhealthy';
     }
   }
 
   async cleanup() {
-    // Cleanup connections if needed in the future
+    if (this.webhooks) {
+      this.webhooks.close();
+    }
   }
 }
 
@@ -0,0 +1,197 @@
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { getConfig } = require('../utils/environment');
+
+// Width used for skew detection - large enough to resolve text lines, small enough to stay fast
+const SKEW_SAMPLE_WIDTH = 800;
+// Cap on dark pixels sampled for skew detection
+const SKEW_MAX_POINTS = 60000;
+
+// Image preprocessing before AI OCR: HEIC conversion, EXIF auto-rotate, downscaling,
+// deskew and contrast/grayscale normalisation (see docs/IMAGE_PREPROCESSING_IMPLEMENTATION.md)
+class ImagePreprocessor {
+  constructor({ logger }) {
+    this.logger = logger;
+    this.config = getConfig().image.preprocessing;
+  }
+
+  // Main preprocessing pipeline
+  // Returns the processed buffer and mime type plus the list of steps that were applied.
+  // On failure the original buffer is returned so extraction can still proceed.
+  async preprocess(imageBuffer, { documentId = 'unknown', filename = '', mimeType = '' } = {}) {
+    const startTime = Date.now();
+    const steps = [];
+    let buffer = imageBuffer;
+
+    try {
+      // Step 1: HEIC/HEIF -> JPEG (not every model accepts image/heic)
+      if (this.isHeic(imageBuffer, filename, mimeType)) {
+        const jpegArrayBuffer = await heicConvert({
+          buffer: imageBuffer,
+          format: 'JPEG',
+          quality: 0.92
+        });
+        buffer = Buffer.from(jpegArrayBuffer);
+        steps.push({ step: 'heic_to_jpeg' });
+      }
+
+      // Step 2: EXIF auto-rotate and downscale in one pass, kept lossless for the next steps
+      const metadata = await sharp(buffer).metadata();
+      const maxDimension = this.config.maxDimension;
+      if (metadata.orientation && metadata.orientation > 1) {
+        steps.push({ step: 'exif_auto_rotate', orientation: metadata.orientation });
+      }
+
+      const oriented = await sharp(buffer)
+        .rotate()
+        .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      buffer = oriented.data;
+
+      // EXIF orientations 5-8 swap width and height
+      const [sourceWidth, sourceHeight] = metadata.orientation >= 5
+        ? [metadata.height, metadata.width]
+        : [metadata.width, metadata.height];
+      if (oriented.info.width < sourceWidth || oriented.info.height < sourceHeight) {
+        steps.push({
+          step: 'downscale',
+          from: { width: sourceWidth, height: sourceHeight },
+          to: { width: oriented.info.width, height: oriented.info.height }
+        });
+      }
+
+      // Step 3: deskew, then contrast/grayscale normalisation, encoded once as JPEG
+      let pipeline = sharp(buffer);
+
+      if (this.config.deskew) {
+        const angle = await this.detectSkewAngle(buffer);
+        if (Math.abs(angle) >= this.config.minSkewAngle) {
+          pipeline = pipeline.rotate(-angle, { background: { r: 255, g: 255, b: 255, alpha: 1 } });
+          steps.push({ step: 'deskew', angle });
+        }
+      }
+
+      if (this.config.grayscale) {
+        pipeline = pipeline.grayscale();
+        steps.push({ step: 'grayscale' });
+      }
+
+      if (this.config.normalize) {
+        pipeline = pipeline.normalize();
+        steps.push({ step: 'normalize_contrast' });
+      }
+
+      const output = await pipeline
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .jpeg({ quality: 90 })
+        .toBuffer({ resolveWithObject: true });
+
+      const processingTime = Date.now() - startTime;
+      this.logger.info(`[${documentId}] Image preprocessing completed in ${processingTime}ms: ${steps.map(s => s.step).join(', ') || 'no changes'}`);
+
+      return {
+        buffer: output.data,
+        mimeType: 'image/jpeg',
+        steps,
+        width: output.info.width,
+        height: output.info.height,
+        originalSize: imageBuffer.length,
+        processedSize: output.data.length,
+        processingTime
+      };
+    } catch (error) {
+      this.logger.warn(`[${documentId}] Image preprocessing failed, using original image: ${error.message}`);
+      return {
+        buffer: imageBuffer,
+        mimeType,
+        steps,
+        originalSize: imageBuffer.length,
+        processedSize: imageBuffer.length,
+        processingTime: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  isHeic(buffer, filename, mimeType) {
+    const lowerName = (filename || '').toLowerCase();
+    const lowerMime = (mimeType || '').toLowerCase();
+    if (lowerMime.includes('heic') || lowerMime.includes('heif')) return true;
+    if (lowerName.endsWith('.heic') || lowerName.endsWith('.heif')) return true;
+
+    // ISO-BMFF "ftyp" box with a HEIF brand
+    const brand = buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp'
+      ? buffer.toString('ascii', 8, 12)
+      : null;
+    return ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand);
+  }
+
+  // Detect text skew with a projection profile: dark pixels are projected onto the vertical axis
+  // at each candidate angle, and the angle with the sharpest profile (text lines aligned) wins.
+  // Returns the clockwise skew in degrees.
+  async detectSkewAngle(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .grayscale()
+      .resize(SKEW_SAMPLE_WIDTH, null, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i];
+    const darkThreshold = (sum / data.length) * 0.6;
+
+    const darkPixels = [];
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] < darkThreshold) darkPixels.push(i);
+    }
+    if (darkPixels.length < 100) return 0;
+
+    const stride = Math.max(1, Math.ceil(darkPixels.length / SKEW_MAX_POINTS));
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i < darkPixels.length; i += stride) {
+      xs.push(darkPixels[i] % info.width);
+      ys.push(Math.floor(darkPixels[i] / info.width));
+    }
+
+    const offset = info.width + info.height;
+    const bins = new Float64Array(offset * 2 + 1);
+    const profileScore = (angle) => {
+      const theta = angle * Math.PI / 180;
+      const sin = Math.sin(theta);
+      const cos = Math.cos(theta);
+      bins.fill(0);
+      for (let i = 0; i < xs.length; i++) {
+        bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+      }
+      let score = 0;
+      for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+      return score;
+    };
+
+    // Coarse search, then refine around the best coarse angle
+    const maxAngle = this.config.maxSkewAngle;
+    let bestAngle = 0;
+    let bestScore = profileScore(0);
+    for (let angle = -maxAngle; angle <= maxAngle; angle += 0.5) {
+      const score = profileScore(angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+    const coarseAngle = bestAngle;
+    for (let angle = coarseAngle - 0.5; angle <= coarseAngle + 0.5; angle += 0.1) {
+      const score = profileScore(angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    return Math.round(bestAngle * 10) / 10;
+  }
+}
+
+module.exports = ImagePreprocessor;
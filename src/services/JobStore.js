@@ -0,0 +1,161 @@
+// Status of jobs submitted through the HTTP API (POST /process, /process-document,
+// /documents), kept in the processing_jobs table so the API and the queue workers of
+// every task see the same state. The API creates the job as 'queued'; the worker that
+// picks up the message moves it through 'processing' (with stage and progress from the
+// pipeline), 'retrying' after a transient failure, and 'complete' or 'failed'. A job over
+// its organization's daily document quota waits as 'deferred' until the quota resets.
+
+const JOBS_TABLE = 'processing_jobs';
+
+function elapsed(from, to) {
+  return from && to ? new Date(to).getTime() - new Date(from).getTime() : null;
+}
+
+class JobStore {
+  constructor({ supabase, logger }) {
+    this.supabase = supabase;
+    this.logger = logger;
+  }
+
+  // Pipeline stage by progress checkpoint (see DocumentProcessor.emitProcessingStatus)
+  static stageForProgress(progress) {
+    if (progress >= 100) return 'complete';
+    if (progress >= 90) return 'saving';
+    if (progress >= 50) return 'extracting_data';
+    if (progress >= 25) return 'extracting_text';
+    if (progress >= 10) return 'downloading';
+    return 'queued';
+  }
+
+  async create({ id, type, documentId, vertical, organizationId }) {
+    const { data, error } = await this.supabase
+      .from(JOBS_TABLE)
+      .insert({
+        id,
+        type,
+        document_id: documentId,
+        vertical,
+        organization_id: organizationId || null,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        attempts: 0,
+        queued_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create job: ${error.message}`);
+    }
+    return data;
+  }
+
+  async get(jobId) {
+    const { data, error } = await this.supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read job ${jobId}: ${error.message}`);
+    }
+    return data;
+  }
+
+  async latestForDocument(documentId) {
+    const { data, error } = await this.supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('document_id', documentId)
+      .order('queued_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to read jobs for document ${documentId}: ${error.message}`);
+    }
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async markStarted(jobId, attempt) {
+    await this.update(jobId, {
+      status: 'processing',
+      stage: 'downloading',
+      progress: 0,
+      attempts: attempt,
+      started_at: new Date().toISOString(),
+      error: null,
+      failure_category: null
+    });
+  }
+
+  async updateProgress(jobId, progress) {
+    await this.update(jobId, { stage: JobStore.stageForProgress(progress), progress });
+  }
+
+  // result: the processor's result, reduced to what a caller polling the job needs
+  async complete(jobId, result = {}) {
+    await this.update(jobId, {
+      status: 'complete',
+      stage: 'complete',
+      progress: 100,
+      completed_at: new Date().toISOString(),
+      result: {
+        document_id: result.documentId || null,
+        processing_time_ms: result.processingTime || null,
+        skipped: result.skipped ? result.reason : null,
+        duplicate_of: result.duplicateOf || null
+      }
+    });
+  }
+
+  // final: no more attempts will be made (permanent failure or retries exhausted)
+  async fail(jobId, failure, { final }) {
+    await this.update(jobId, {
+      status: final ? 'failed' : 'retrying',
+      error: failure.reason,
+      failure_category: failure.category,
+      ...(final ? { completed_at: new Date().toISOString() } : {})
+    });
+  }
+
+  async update(jobId, updateData) {
+    const { error } = await this.supabase
+      .from(JOBS_TABLE)
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', jobId);
+
+    if (error) {
+      this.logger.warn(`Failed to update job ${jobId}: ${error.message}`);
+    }
+  }
+
+  // API representation of a job row
+  describe(job) {
+    const finishedAt = job.completed_at || (job.status === 'processing' ? new Date().toISOString() : null);
+    return {
+      jobId: job.id,
+      type: job.type,
+      documentId: job.document_id,
+      vertical: job.vertical,
+      organizationId: job.organization_id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      attempts: job.attempts,
+      error: job.error ? { message: job.error, category: job.failure_category } : null,
+      result: job.result || null,
+      timings: {
+        queuedAt: job.queued_at,
+        startedAt: job.started_at || null,
+        completedAt: job.completed_at || null,
+        queueMs: elapsed(job.queued_at, job.started_at),
+        processingMs: elapsed(job.started_at, finishedAt),
+        totalMs: elapsed(job.queued_at, job.completed_at)
+      }
+    };
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,201 @@
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const ExcelJS = require('exceljs');
+const { getConfig } = require('../utils/environment');
+
+// Rendered text previews use a fixed A4-like page
+const PAGE_WIDTH = 850;
+const PAGE_HEIGHT = 1100;
+const PAGE_MARGIN = 40;
+const FONT_SIZE = 13;
+const LINE_HEIGHT = 18;
+const MAX_LINE_CHARS = 95;
+// Only the beginning of a PDF is scanned for an embedded page image
+const PDF_SCAN_LIMIT_BYTES = 20 * 1024 * 1024;
+// Embedded images narrower than this are usually logos, not scanned pages
+const MIN_EMBEDDED_IMAGE_WIDTH = 500;
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// First-page/thumbnail WebP previews for images, PDFs, spreadsheets and text documents
+class PreviewGenerator {
+  constructor({ logger }) {
+    this.logger = logger;
+    this.config = getConfig().image;
+  }
+
+  // Returns { buffer, format, source } or null when no preview could be produced
+  async generate({ fileBuffer, fileType, fullDocumentText = null, documentId = 'unknown' }) {
+    try {
+      if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif'].includes(fileType)) {
+        return await this.renderImage(fileBuffer, fileType, 'image');
+      }
+
+      if (fileType === 'pdf') {
+        return await this.renderPdf(fileBuffer, fullDocumentText, documentId);
+      }
+
+      if (['xlsx', 'xls'].includes(fileType)) {
+        return await this.renderSpreadsheet(fileBuffer);
+      }
+
+      if (fullDocumentText) {
+        return await this.renderText(fullDocumentText.split('\n'), 'text_render');
+      }
+
+      return null;
+    } catch (error) {
+      this.logger.warn(`[${documentId}] Preview generation failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async renderImage(imageBuffer, fileType, source) {
+    let input = imageBuffer;
+    if (fileType === 'heic' || fileType === 'heif') {
+      // Convert HEIC to JPEG first
+      input = Buffer.from(await heicConvert({
+        buffer: imageBuffer,
+        format: 'JPEG',
+        quality: 0.85
+      }));
+    }
+
+    const buffer = await sharp(input, { pages: 1 })
+      .rotate()
+      .resize(this.config.resizeWidth, this.config.resizeHeight, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 85, effort: 4, lossless: false })
+      .toBuffer();
+
+    return { buffer, format: 'webp', source };
+  }
+
+  // PDFs: render the first page when libvips has PDF support, otherwise use the first
+  // embedded page image (scanned PDFs), otherwise render the extracted text
+  async renderPdf(pdfBuffer, fullDocumentText, documentId) {
+    if (sharp.format.pdf && sharp.format.pdf.input.buffer) {
+      const buffer = await sharp(pdfBuffer, { page: 0, density: 100 })
+        .resize(this.config.resizeWidth, this.config.resizeHeight, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .webp({ quality: 85, effort: 4, lossless: false })
+        .toBuffer();
+      return { buffer, format: 'webp', source: 'pdf_render' };
+    }
+
+    const embeddedImage = this.findEmbeddedPageImage(pdfBuffer);
+    if (embeddedImage) {
+      try {
+        return await this.renderImage(embeddedImage, 'jpg', 'pdf_embedded_image');
+      } catch (error) {
+        this.logger.warn(`[${documentId}] Embedded PDF image could not be decoded: ${error.message}`);
+      }
+    }
+
+    if (fullDocumentText) {
+      // Text-only fallback; renderText keeps as many lines as fit on one page
+      return this.renderText(fullDocumentText.split('\n'), 'pdf_text_render');
+    }
+
+    return null;
+  }
+
+  // Find the first JPEG (DCTDecode) image stream wide enough to be a scanned page
+  findEmbeddedPageImage(pdfBuffer) {
+    const content = pdfBuffer.subarray(0, PDF_SCAN_LIMIT_BYTES).toString('latin1');
+    const streamPattern = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(content)) !== null) {
+      const dictionary = match[1];
+      if (!dictionary.includes('/DCTDecode')) continue;
+
+      const widthMatch = dictionary.match(/\/Width\s+(\d+)/);
+      if (!widthMatch || parseInt(widthMatch[1]) < MIN_EMBEDDED_IMAGE_WIDTH) continue;
+
+      const start = match.index + match[0].length;
+      const end = content.indexOf('endstream', start);
+      if (end === -1) break;
+
+      const imageBuffer = pdfBuffer.subarray(start, end);
+      // JPEG start-of-image marker
+      if (imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8) {
+        return imageBuffer;
+      }
+    }
+
+    return null;
+  }
+
+  // Spreadsheets: first sheet as an aligned text table
+  async renderSpreadsheet(fileBuffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(fileBuffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return null;
+
+    const rows = [];
+    worksheet.eachRow((row) => {
+      if (rows.length >= 50) return;
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+        if (colNumber > 8) return;
+        values.push(String(cell.text ?? '').replace(/\s+/g, ' ').trim());
+      });
+      rows.push(values);
+    });
+    if (rows.length === 0) return null;
+
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const columnWidth = Math.max(6, Math.floor(MAX_LINE_CHARS / columnCount) - 1);
+    const lines = [`Sheet: ${worksheet.name}`, ''];
+    for (const row of rows) {
+      lines.push(row.map(value => value.substring(0, columnWidth).padEnd(columnWidth)).join(' '));
+    }
+
+    return this.renderText(lines, 'spreadsheet_render');
+  }
+
+  // Draw lines of text onto a white page (SVG rasterized by sharp)
+  async renderText(lines, source) {
+    const maxLines = Math.floor((PAGE_HEIGHT - PAGE_MARGIN * 2) / LINE_HEIGHT);
+    const wrapped = [];
+    for (const line of lines) {
+      if (wrapped.length >= maxLines) break;
+      const text = line.replace(/\t/g, '    ').trimEnd();
+      if (text.length === 0) {
+        wrapped.push('');
+        continue;
+      }
+      for (let i = 0; i < text.length && wrapped.length < maxLines; i += MAX_LINE_CHARS) {
+        wrapped.push(text.substring(i, i + MAX_LINE_CHARS));
+      }
+    }
+
+    const textElements = wrapped
+      .map((line, index) => line
+        ? `<text x="${PAGE_MARGIN}" y="${PAGE_MARGIN + (index + 1) * LINE_HEIGHT}" xml:space="preserve">${escapeXml(line)}</text>`
+        : '')
+      .join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH}" height="${PAGE_HEIGHT}">` +
+      `<rect width="100%" height="100%" fill="#ffffff" stroke="#d0d0d0" stroke-width="2"/>` +
+      `<g font-family="DejaVu Sans Mono, monospace" font-size="${FONT_SIZE}" fill="#222222">${textElements}</g>` +
+      `</svg>`;
+
+    const buffer = await sharp(Buffer.from(svg))
+      .webp({ quality: 85, effort: 4, lossless: false })
+      .toBuffer();
+
+    return { buffer, format: 'webp', source };
+  }
+}
+
+module.exports = PreviewGenerator;
@@ -0,0 +1,133 @@
+// Guards against two workers processing the same document at once (SQS redelivers a
+// message when processing outlives the visibility timeout).
+//
+// Document lease: processing_started_at doubles as the lease. A worker takes it with a
+// single conditional UPDATE that only matches when the row is not being processed, or
+// when the previous lease is older than leaseMs (the worker died), so only one of two
+// concurrent workers gets the row back. Completing or failing the document
+// (processing_status leaves 'processing') frees it.
+//
+// Event idempotency: every S3 event gets a key (bucket, key, sequencer/etag) recorded in
+// document_processing_events, so a redelivered event that already completed is a no-op.
+
+const EVENTS_TABLE = 'document_processing_events';
+
+// PostgREST error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+class ProcessingLeases {
+  constructor({ supabase, logger, leaseMs }) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.leaseMs = leaseMs;
+  }
+
+  // Idempotency key for an S3 event record. The sequencer orders events for the same
+  // key; the etag identifies the object version when the sequencer is missing.
+  static eventKey(bucketName, s3Key, { sequencer, eTag } = {}) {
+    const version = sequencer || (eTag ? eTag.replace(/"/g, '') : null);
+    return version ? `s3:${bucketName}/${s3Key}:${version}` : null;
+  }
+
+  // Take the document lease. Returns the lease token (the processing_started_at value
+  // written) or null when another worker holds an unexpired lease.
+  async acquire(documentId, vertical = 'accounting') {
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const token = new Date().toISOString();
+    const expiredBefore = new Date(Date.now() - this.leaseMs).toISOString();
+
+    const { data, error } = await this.supabase
+      .from(tableName)
+      .update({ processing_status: 'processing', processing_started_at: token })
+      .eq('id', documentId)
+      .or(`processing_status.neq.processing,processing_started_at.is.null,processing_started_at.lt.${expiredBefore}`)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to acquire processing lease: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      this.logger.warn(`[${documentId}] Processing lease held by another worker`);
+      return null;
+    }
+
+    this.logger.info(`[${documentId}] Processing lease acquired (expires ${new Date(Date.now() + this.leaseMs).toISOString()})`);
+    return token;
+  }
+
+  // When the lease another worker holds on the document runs out, or null when the row
+  // can't be read (the caller falls back to a full lease from now)
+  async expiresAt(documentId, vertical = 'accounting') {
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const { data, error } = await this.supabase
+      .from(tableName)
+      .select('processing_started_at')
+      .eq('id', documentId)
+      .single();
+
+    if (error || !data?.processing_started_at) return null;
+    return new Date(new Date(data.processing_started_at).getTime() + this.leaseMs).toISOString();
+  }
+
+  // Record that an event is being processed. Returns 'claimed' for a new (or previously
+  // failed) event, 'complete' when it was already processed, 'processing' when another
+  // attempt is still recorded as running.
+  async claimEvent(idempotencyKey, documentId) {
+    const { error } = await this.supabase
+      .from(EVENTS_TABLE)
+      .insert({
+        idempotency_key: idempotencyKey,
+        document_id: documentId,
+        status: 'processing',
+        attempts: 1
+      });
+
+    if (!error) return 'claimed';
+    if (error.code !== UNIQUE_VIOLATION) {
+      throw new Error(`Failed to record processing event: ${error.message}`);
+    }
+
+    const { data: existing, error: fetchError } = await this.supabase
+      .from(EVENTS_TABLE)
+      .select('status, attempts')
+      .eq('idempotency_key', idempotencyKey)
+      .single();
+
+    if (fetchError || !existing) {
+      throw new Error(`Failed to read processing event: ${fetchError?.message || 'not found'}`);
+    }
+
+    if (existing.status === 'complete' || existing.status === 'processing') {
+      return existing.status;
+    }
+
+    // A failed attempt may be retried
+    await this.supabase
+      .from(EVENTS_TABLE)
+      .update({ status: 'processing', attempts: (existing.attempts || 1) + 1, error: null, completed_at: null })
+      .eq('idempotency_key', idempotencyKey);
+    return 'claimed';
+  }
+
+  async completeEvent(idempotencyKey) {
+    await this.updateEvent(idempotencyKey, { status: 'complete', completed_at: new Date().toISOString() });
+  }
+
+  async failEvent(idempotencyKey, error) {
+    await this.updateEvent(idempotencyKey, { status: 'failed', error: error?.message || String(error) });
+  }
+
+  async updateEvent(idempotencyKey, updateData) {
+    const { error } = await this.supabase
+      .from(EVENTS_TABLE)
+      .update(updateData)
+      .eq('idempotency_key', idempotencyKey);
+
+    if (error) {
+      this.logger.warn(`Failed to update processing event ${idempotencyKey}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ProcessingLeases;
@@ -1,19 +1,25 @@
-const { SQSClient, ReceiveMessageCommand, DeleteMessageCommand, GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
 const { v4: uuidv4 } = require('uuid');
 const { createClient } = require('@supabase/supabase-js');
 const { getConfig } = require('../utils/environment');
+const ProcessingLeases = require('./ProcessingLeases');
+const { createQueue } = require('./queue');
+const { classifyFailure, withFailureCategory } = require('../utils/failures');
+
+// Longest message delay SQS accepts (15 minutes)
+const MAX_DELAY_SECONDS = 900;
 
 class QueueManager {
-  constructor({ documentProcessor, logger }) {
+  // queue: an already-created queue driver (e.g. a MemoryQueue shared with a test);
+  // otherwise one is created from QUEUE_DRIVER
+  constructor({ documentProcessor, logger, queue = null }) {
     this.documentProcessor = documentProcessor;
     this.logger = logger;
     this.config = getConfig();
-    this.sqs = null;
+    this.queue = null;
     this.supabase = null;
     this.isRunning = false;
     this.workers = [];
     this.processingJobs = new Set();
-    this.queueUrl = this.config.aws.sqsQueueUrl;
     
     // Initialize Supabase client
     if (this.config.supabase.url && this.config.supabase.serviceRoleKey) {
@@ -32,10 +38,16 @@ class QueueManager {
       this.logger.warn('No Supabase configuration, organization validation disabled');
     }
     
-    // Initialize SQS if queue URL is provided
-    if (this.config.aws.sqsQueueUrl) {
-      this.sqs = new SQSClient({ region: this.config.aws.region });
-      this.logger.info('SQS client initialized');
+    // Initialize the queue driver; SQS needs a queue URL
+    const driver = this.config.queue.driver;
+    if (queue) {
+      this.queue = queue;
+    } else if (driver !== 'sqs' || this.config.aws.sqsQueueUrl) {
+      this.queue = createQueue(driver, { config: this.config, logger: this.logger });
+    }
+    
+    if (this.queue) {
+      this.logger.info(`Queue driver initialized: ${this.queue.name}`);
     } else {
       this.logger.warn('No SQS queue URL provided, running without queue');
     }
@@ -45,8 +57,8 @@ class QueueManager {
     this.isRunning = true;
     this.logger.info('Queue manager starting...');
     
-    if (!this.sqs) {
-      this.logger.warn('No SQS configuration, queue manager running in standalone mode');
+    if (!this.queue) {
+      this.logger.warn('No queue configured, queue manager running in standalone mode');
       return;
     }
     
@@ -78,19 +90,16 @@ class QueueManager {
   async pollQueue(worker) {
     while (this.isRunning && worker.isRunning) {
       try {
-        // Poll SQS for new messages
-        const command = new ReceiveMessageCommand({
-          QueueUrl: this.config.aws.sqsQueueUrl,
-          MaxNumberOfMessages: 1,           // Process one at a time per worker
-          WaitTimeSeconds: 20,              // Long polling
-          MessageAttributeNames: ['All'],
-          VisibilityTimeout: Math.floor(this.config.processing.maxTimeMs / 1000) // Convert to seconds
+        // Poll the queue for new messages
+        const messages = await this.queue.receive('main', {
+          maxMessages: 1,                                         // Process one at a time per worker
+          waitSeconds: this.config.aws.sqsWaitTimeSeconds,        // Long polling
+          visibilityTimeout: this.config.aws.sqsVisibilityTimeout // Extended by the heartbeat while the job runs
         });
-        const messages = await this.sqs.send(command);
 
-        if (messages.Messages && messages.Messages.length > 0) {
-          const message = messages.Messages[0];
-          await this.processMessage(message, worker);
+        // A message received while stopping is left for redelivery
+        if (messages.length > 0 && this.isRunning && worker.isRunning) {
+          await this.processMessage(messages[0], worker);
         }
       } catch (error) {
         this.logger.error(`[Worker-${worker.id}] Queue polling error:`, error);
@@ -105,33 +114,41 @@ class QueueManager {
   async processMessage(message, worker) {
     const jobId = message.MessageId;
     const startTime = Date.now();
+    const receiveCount = parseInt(message.Attributes?.ApproximateReceiveCount || '1');
+    const failureContext = { receiveCount };
+    let trackedJobId = null; // API-submitted jobs have a status record (JobStore)
+    let notifyJobData = null; // For the failure webhook once the job has parsed
+    
+    // Keep the message invisible while we work on it, and abort the job at the hard limit
+    const stopHeartbeat = this.startVisibilityHeartbeat(message, worker);
+    const abortController = new AbortController();
+    const hardLimitTimer = setTimeout(() => {
+      this.logger.error(`[Worker-${worker.id}] Job exceeded ${this.config.processing.maxTimeMs}ms, aborting`, { jobId });
+      abortController.abort(new Error(`Processing aborted after exceeding the ${this.config.processing.maxTimeMs}ms limit`));
+    }, this.config.processing.maxTimeMs);
     
     try {
-      const messageBody = JSON.parse(message.Body);
+      const parsed = this.parseMessage(message);
+      
+      // A message deferred by a quota waits until its deferredUntil attribute
+      const deferredUntil = message.MessageAttributes?.deferredUntil?.StringValue;
+      if (deferredUntil && new Date(deferredUntil).getTime() > Date.now()) {
+        stopHeartbeat();
+        await this.deferMessage(message, worker, deferredUntil);
+        return;
+      }
       
       // Handle S3 event notifications
-      if (messageBody.Records && messageBody.Records[0] && messageBody.Records[0].s3) {
-        const s3Record = messageBody.Records[0].s3;
-        const s3Key = decodeURIComponent(s3Record.object.key.replace(/\+/g, ' '));
-        const bucketName = s3Record.bucket.name;
-        
-        // Extract metadata from message attributes or detect from S3 key path
-        const documentId = message.MessageAttributes?.documentId?.StringValue || this.generateDocumentId(s3Key);
-        const vertical = message.MessageAttributes?.vertical?.StringValue || this.detectVerticalFromS3Key(s3Key);
-        const organizationId = message.MessageAttributes?.organizationId?.StringValue || this.extractOrganizationFromS3Key(s3Key);
+      if (parsed.format === 's3') {
+        const { jobData } = parsed;
+        const { s3Key, bucketName, documentId, vertical, organizationId } = jobData;
+        Object.assign(failureContext, { documentId, s3Key, bucketName });
+        notifyJobData = jobData;
         
-        // Validate that organization ID exists - skip message if not found
+        // Validate that organization ID exists - dead-letter the message if not found
         if (!organizationId) {
           this.logger.error(`[Worker-${worker.id}] Skipping message - No organization ID found in S3 key: ${s3Key}`);
-          
-          // Delete message from queue to prevent reprocessing
-          const deleteCommand = new DeleteMessageCommand({
-            QueueUrl: this.queueUrl,
-            ReceiptHandle: message.ReceiptHandle
-          });
-          await this.sqs.send(deleteCommand);
-          
-          return; // Skip processing this message
+          throw withFailureCategory(new Error(`No organization ID found in S3 key: ${s3Key}`), 'invalid_organization');
         }
         
         // Validate organization exists in Supabase before processing
@@ -142,6 +159,11 @@ class QueueManager {
             .eq('id', organizationId)
             .single();
           
+          // A failed lookup (not "no rows") is retried rather than dead-lettered
+          if (error && error.code !== 'PGRST116') {
+            throw withFailureCategory(new Error(`Organization lookup failed: ${error.message}`), 'database_error');
+          }
+          
           if (error || !organization) {
             this.logger.error(`[Worker-${worker.id}] Organization validation failed`, {
               organizationId,
@@ -157,15 +179,7 @@ class QueueManager {
               bucketName
             });
             
-            // Delete message from queue to prevent reprocessing
-            const deleteCommand = new DeleteMessageCommand({
-              QueueUrl: this.queueUrl,
-              ReceiptHandle: message.ReceiptHandle
-            });
-            await this.sqs.send(deleteCommand);
-            this.logger.info(`[Worker-${worker.id}] Message deleted from queue due to invalid organization`);
-            
-            return; // Skip processing this message
+            throw withFailureCategory(new Error(`Organization ${organizationId} does not exist`), 'invalid_organization');
           }
           
           this.logger.info(`[Worker-${worker.id}] Organization validated successfully`, {
@@ -174,21 +188,12 @@ class QueueManager {
           });
         }
         
-        // Extract file information from S3 key and metadata
-        const originalFilename = this.extractFilename(s3Key);
-        const documentType = this.detectDocumentType(originalFilename);
-        
-        const jobData = {
-          s3Key,
-          bucketName,
-          documentId,
-          vertical,
-          organizationId,
-          originalFilename,
-          documentType,
-          fileSize: s3Record.object.size,
-          s3EventName: messageBody.Records[0].eventName
-        };
+        const usage = await this.enforceQuota(jobData, { canDefer: true });
+        if (usage.deferUntil) {
+          stopHeartbeat();
+          await this.deferMessage(message, worker, usage.deferUntil);
+          return;
+        }
         
         this.logger.info(`[Worker-${worker.id}] Processing S3 event`, {
           jobId,
@@ -202,11 +207,20 @@ class QueueManager {
         this.processingJobs.add(jobId);
         
         // Process the document
-        const result = await this.documentProcessor.processDocument(jobData);
+        const result = await this.runJob(jobData, abortController.signal);
         
         // Remove from processing set
         this.processingJobs.delete(jobId);
         
+        if (this.isLockedResult(result)) {
+          stopHeartbeat();
+          await this.deferLockedMessage(result, message, worker);
+          return;
+        }
+        
+        await this.recordUsage(jobData, usage.usageKey, result);
+        await this.notifyWebhook('document.completed', jobData, { result });
+        
         const processingTime = Date.now() - startTime;
         this.logger.info(`[Worker-${worker.id}] Job completed successfully`, {
           jobId,
@@ -217,35 +231,36 @@ class QueueManager {
         
       } else {
         // Handle legacy direct job data format (for backward compatibility)
-        const actualJobData = messageBody.Message ? JSON.parse(messageBody.Message) : messageBody;
+        const actualJobData = parsed.jobData;
         const { documentId, vertical, organizationId } = actualJobData;
+        failureContext.documentId = documentId;
+        trackedJobId = actualJobData.jobId || null;
+        notifyJobData = actualJobData;
         
         if (!documentId || !vertical) {
-          throw new Error('Invalid job data: missing documentId or vertical');
+          throw withFailureCategory(new Error('Invalid job data: missing documentId or vertical'), 'invalid_message');
         }
         
-        // Validate organization ID for legacy format too
-        if (!organizationId) {
+        // Validate organization ID for legacy format too. Re-processing an existing
+        // document may leave it out: the document row already has its organization.
+        if (!organizationId && actualJobData.jobType !== 'existing_document') {
           this.logger.error(`[Worker-${worker.id}] Skipping legacy message - No organization ID provided for documentId: ${documentId}`);
-          
-          // Delete message from queue to prevent reprocessing
-          const deleteCommand = new DeleteMessageCommand({
-            QueueUrl: this.queueUrl,
-            ReceiptHandle: message.ReceiptHandle
-          });
-          await this.sqs.send(deleteCommand);
-          
-          return; // Skip processing this message
+          throw withFailureCategory(new Error(`No organization ID provided for document ${documentId}`), 'invalid_organization');
         }
         
         // Validate organization exists in Supabase for legacy format
-        if (this.supabase) {
+        if (this.supabase && organizationId) {
           const { data: organization, error } = await this.supabase
             .from('organizations')
             .select('id, name')
             .eq('id', organizationId)
             .single();
           
+          // A failed lookup (not "no rows") is retried rather than dead-lettered
+          if (error && error.code !== 'PGRST116') {
+            throw withFailureCategory(new Error(`Organization lookup failed: ${error.message}`), 'database_error');
+          }
+          
           if (error || !organization) {
             this.logger.error(`[Worker-${worker.id}] Organization validation failed for legacy format`, {
               organizationId,
@@ -259,15 +274,7 @@ class QueueManager {
               vertical
             });
             
-            // Delete message from queue to prevent reprocessing
-            const deleteCommand = new DeleteMessageCommand({
-              QueueUrl: this.queueUrl,
-              ReceiptHandle: message.ReceiptHandle
-            });
-            await this.sqs.send(deleteCommand);
-            this.logger.info(`[Worker-${worker.id}] Legacy message deleted from queue due to invalid organization`);
-            
-            return; // Skip processing this message
+            throw withFailureCategory(new Error(`Organization ${organizationId} does not exist`), 'invalid_organization');
           }
           
           this.logger.info(`[Worker-${worker.id}] Organization validated successfully for legacy format`, {
@@ -276,6 +283,14 @@ class QueueManager {
           });
         }
         
+        const usage = await this.enforceQuota(actualJobData, { canDefer: true });
+        if (usage.deferUntil) {
+          stopHeartbeat();
+          if (trackedJobId) await this.documentProcessor.jobs.update(trackedJobId, { status: 'deferred' });
+          await this.deferMessage(message, worker, usage.deferUntil);
+          return;
+        }
+        
         this.logger.info(`[Worker-${worker.id}] Processing legacy job format`, {
           jobId,
           documentId,
@@ -285,21 +300,23 @@ class QueueManager {
 
         // Track active processing
         this.processingJobs.add(jobId);
-
-        // Set processing timeout
-        const timeoutId = setTimeout(() => {
-          this.logger.error(`[Worker-${worker.id}] Job timeout after ${this.config.processing.maxTimeMs}ms`, {
-            jobId,
-            documentId
-          });
-        }, this.config.processing.maxTimeMs);
+        if (trackedJobId) await this.documentProcessor.jobs.markStarted(trackedJobId, receiveCount);
 
         // Process the document using the same logic as Vercel
-        const result = await this.documentProcessor.processDocument(actualJobData);
+        const result = await this.runJob(actualJobData, abortController.signal);
 
-        clearTimeout(timeoutId);
         this.processingJobs.delete(jobId);
 
+        if (this.isLockedResult(result)) {
+          stopHeartbeat();
+          await this.deferLockedMessage(result, message, worker, trackedJobId);
+          return;
+        }
+
+        await this.recordUsage(actualJobData, usage.usageKey, result);
+        if (trackedJobId) await this.documentProcessor.jobs.complete(trackedJobId, result);
+        await this.notifyWebhook('document.completed', actualJobData, { result });
+
         // Calculate processing time
         const processingTime = Date.now() - startTime;
         
@@ -312,33 +329,509 @@ class QueueManager {
       }
 
       // Delete message from queue on success
-      const deleteCommand = new DeleteMessageCommand({
-        QueueUrl: this.config.aws.sqsQueueUrl,
-        ReceiptHandle: message.ReceiptHandle
-      });
-      await this.sqs.send(deleteCommand);
+      await this.deleteMessage(message);
 
       this.logger.info(`[Worker-${worker.id}] Message deleted from queue`, { jobId });
 
     } catch (error) {
       this.logger.error(`[Worker-${worker.id}] Job processing failed:`, error);
       
-      // Don't delete message - let it retry or go to DLQ
-      // SQS will handle retries based on queue configuration
-      
       const processingTime = Date.now() - startTime;
+      const failure = classifyFailure(error);
+      const maxReceiveCount = this.config.aws.sqsMaxReceiveCount;
       this.logger.error(`[Worker-${worker.id}] Job failed after ${processingTime}ms`, {
         jobId,
         error: error.message,
+        category: failure.category,
+        permanent: failure.permanent,
+        receiveCount,
         stack: error.stack
       });
       
+      // Permanent failures won't succeed on retry; transient ones get up to maxReceiveCount attempts.
+      // Otherwise the message is left on the queue and redelivered after the visibility timeout.
+      const final = failure.permanent || receiveCount >= maxReceiveCount;
+      if (final) {
+        await this.deadLetterMessage(message, worker, failure, failureContext);
+      } else {
+        this.logger.warn(`[Worker-${worker.id}] Transient failure (${failure.category}), message will be retried (attempt ${receiveCount}/${maxReceiveCount})`, { jobId });
+      }
+      
+      if (trackedJobId) {
+        await this.documentProcessor.jobs.fail(trackedJobId, failure, { final });
+      }
+      if (final && notifyJobData) {
+        await this.notifyWebhook('document.failed', notifyJobData, { failure });
+      }
+      
     } finally {
       // Cleanup tracking
+      clearTimeout(hardLimitTimer);
+      stopHeartbeat();
+      this.processingJobs.delete(jobId);
+    }
+  }
+
+  // Run a job with the processor. Jobs naming their file (S3 events, uploads, /process with
+  // s3Key) go through processDocument; the others (/process-document, /process for a
+  // document with a row) re-process the stored document from the location on its row.
+  // A locked document comes back as a skipped result either way.
+  async runJob(jobData, signal) {
+    if (jobData.jobType !== 'existing_document' && jobData.s3Key) {
+      return this.documentProcessor.processDocument(jobData, { signal });
+    }
+    
+    try {
+      return await this.documentProcessor.processExistingDocument(jobData, { signal });
+    } catch (error) {
+      if (error.code === 'DOCUMENT_LOCKED') {
+        return { success: false, skipped: true, reason: 'locked', documentId: jobData.documentId, lockedUntil: error.lockedUntil || null };
+      }
+      throw error;
+    }
+  }
+
+  // Check the job's organization against its quotas (see QuotaManager) and count the
+  // document. Over the daily document quota, a job that can wait for the reset is marked
+  // 'deferred' and { deferUntil } returned. Over the monthly AI token quota (or the daily
+  // one, when the job can't wait) the document is marked 'quota_exceeded' and a permanent
+  // quota_exceeded error thrown. Otherwise returns { usageKey } for recordUsage.
+  // A document already counted today (a retry or redelivery) isn't checked again.
+  async enforceQuota(jobData, { canDefer }) {
+    const quotas = this.documentProcessor?.quotas;
+    const { organizationId, documentId, vertical } = jobData;
+    if (!quotas || !organizationId) return { usageKey: null };
+    
+    const recordedKey = await quotas.recordedToday(documentId);
+    if (recordedKey) return { usageKey: recordedKey };
+    
+    const quota = await quotas.check(organizationId);
+    if (quota.allowed) {
+      return { usageKey: await quotas.recordDocument(organizationId, documentId, vertical) };
+    }
+    
+    const { allowed, ...details } = quota;
+    if (quota.quota === 'documents_per_day' && canDefer) {
+      this.logger.warn(`Organization ${organizationId} reached its daily document quota, deferring document ${documentId} until ${quota.resetsAt}`);
+      await this.documentProcessor.markOverQuota(jobData, 'deferred', details);
+      return { deferUntil: quota.resetsAt };
+    }
+    
+    await this.documentProcessor.markOverQuota(jobData, 'quota_exceeded', details);
+    throw withFailureCategory(
+      new Error(`Organization ${organizationId} exceeded its ${quota.quota} quota (${quota.used}/${quota.limit}) until ${quota.resetsAt}`),
+      'quota_exceeded'
+    );
+  }
+  
+  // Record a finished job's estimated AI tokens against its organization's monthly quota
+  async recordUsage(jobData, usageKey, result) {
+    if (!usageKey || result?.skipped) return;
+    await this.documentProcessor.quotas.recordTokens(jobData.organizationId, usageKey, result?.estimatedAiTokens || 0);
+  }
+  
+  // Put a deferred message back on the queue as a new message, delayed and carrying its
+  // deferredUntil time, and delete the original. Being new, it starts again at receive
+  // count 1, so waiting for a quota never uses up retries or triggers the redrive policy.
+  // SQS delays are at most 15 minutes: until deferredUntil the message is re-sent each time.
+  async deferMessage(message, worker, deferUntil) {
+    const seconds = Math.ceil((new Date(deferUntil).getTime() - Date.now()) / 1000);
+    const delaySeconds = Math.min(MAX_DELAY_SECONDS, Math.max(0, seconds));
+    const attributes = {
+      ...this.copyMessageAttributes(message),
+      deferredUntil: { DataType: 'String', StringValue: deferUntil }
+    };
+    
+    try {
+      await this.queue.send('main', { body: message.Body, attributes, delaySeconds });
+    } catch (error) {
+      // Keep the original; it comes back after the visibility timeout and is deferred again
+      this.logger.warn(`[Worker-${worker.id}] Failed to defer message: ${error.message}`, { jobId: message.MessageId });
+      return;
+    }
+    await this.deleteMessage(message);
+    this.logger.info(`[Worker-${worker.id}] Message deferred until ${deferUntil}`, { jobId: message.MessageId });
+  }
+
+  // Completion/failure webhook for a finished document (see WebhookNotifier). Skipped
+  // results (an event already processed) were notified the first time. A notification
+  // problem never fails the job.
+  async notifyWebhook(event, jobData, details) {
+    const webhooks = this.documentProcessor?.webhooks;
+    if (!webhooks || !jobData.documentId || details.result?.skipped) return;
+    
+    try {
+      await webhooks.notify(event, jobData, details);
+    } catch (error) {
+      this.logger.warn(`Webhook notification for document ${jobData.documentId} failed: ${error.message}`);
+    }
+  }
+
+  // Periodically push the message's visibility timeout out again so the queue doesn't
+  // hand it to another worker while a long job is still running.
+  // Returns a function that stops the heartbeat.
+  startVisibilityHeartbeat(message, worker) {
+    const visibilityTimeout = this.config.aws.sqsVisibilityTimeout;
+    const intervalMs = Math.max(5, Math.floor(visibilityTimeout / 3)) * 1000;
+    
+    const timer = setInterval(async () => {
+      try {
+        await this.queue.changeVisibility('main', message.ReceiptHandle, visibilityTimeout);
+        this.logger.debug(`[Worker-${worker.id}] Extended message visibility by ${visibilityTimeout}s`, { jobId: message.MessageId });
+      } catch (error) {
+        this.logger.warn(`[Worker-${worker.id}] Failed to extend message visibility: ${error.message}`, { jobId: message.MessageId });
+      }
+    }, intervalMs);
+    
+    return () => clearInterval(timer);
+  }
+
+  // Turn a queue message into job data. S3 event notifications get their document, vertical
+  // and organization from message attributes when present, otherwise from the S3 key;
+  // anything else is the legacy direct job format (optionally wrapped in an SNS envelope).
+  // Throws SyntaxError for a body that isn't JSON.
+  parseMessage(message) {
+    const messageBody = JSON.parse(message.Body);
+    
+    if (messageBody.Records && messageBody.Records[0] && messageBody.Records[0].s3) {
+      const s3Record = messageBody.Records[0].s3;
+      const s3Key = decodeURIComponent(s3Record.object.key.replace(/\+/g, ' '));
+      const bucketName = s3Record.bucket.name;
+      const originalFilename = this.extractFilename(s3Key);
+      
+      return {
+        format: 's3',
+        jobData: {
+          s3Key,
+          bucketName,
+          documentId: message.MessageAttributes?.documentId?.StringValue || this.generateDocumentId(s3Key),
+          vertical: message.MessageAttributes?.vertical?.StringValue || this.detectVerticalFromS3Key(s3Key),
+          organizationId: message.MessageAttributes?.organizationId?.StringValue || this.extractOrganizationFromS3Key(s3Key),
+          originalFilename,
+          documentType: this.detectDocumentType(originalFilename),
+          fileSize: s3Record.object.size,
+          s3EventName: messageBody.Records[0].eventName,
+          idempotencyKey: ProcessingLeases.eventKey(bucketName, s3Key, s3Record.object)
+        }
+      };
+    }
+    
+    return {
+      format: 'legacy',
+      jobData: messageBody.Message ? JSON.parse(messageBody.Message) : messageBody
+    };
+  }
+
+  // Move a failed message to the dead-letter queue with a structured reason, then remove it
+  // from the work queue. Without a DLQ, permanent failures are dropped (logged) and
+  // exhausted transient ones are left to the queue's own redrive policy.
+  async deadLetterMessage(message, worker, failure, context = {}) {
+    const jobId = message.MessageId;
+    
+    if (!this.queue.hasQueue('dead-letter')) {
+      if (!failure.permanent) {
+        this.logger.error(`[Worker-${worker.id}] Retries exhausted and no dead-letter queue configured, leaving message to the queue redrive policy`, { jobId });
+        return;
+      }
+      this.logger.error(`[Worker-${worker.id}] Permanent failure (${failure.category}) and no dead-letter queue configured, dropping message`, {
+        jobId,
+        reason: failure.reason
+      });
+      await this.deleteMessage(message);
+      return;
+    }
+    
+    const payload = {
+      failure: {
+        category: failure.category,
+        permanent: failure.permanent,
+        reason: failure.reason
+      },
+      receive_count: context.receiveCount || null,
+      document_id: context.documentId || null,
+      s3_key: context.s3Key || null,
+      bucket_name: context.bucketName || null,
+      worker_id: worker.id,
+      failed_at: new Date().toISOString(),
+      original: {
+        message_id: jobId,
+        body: message.Body,
+        message_attributes: message.MessageAttributes || {}
+      }
+    };
+    
+    const messageAttributes = {
+      failureCategory: { DataType: 'String', StringValue: failure.category }
+    };
+    if (context.documentId) {
+      messageAttributes.documentId = { DataType: 'String', StringValue: context.documentId };
+    }
+    
+    try {
+      await this.queue.send('dead-letter', {
+        body: JSON.stringify(payload),
+        attributes: messageAttributes
+      });
+      await this.deleteMessage(message);
+      this.logger.warn(`[Worker-${worker.id}] Message moved to dead-letter queue (${failure.category})`, {
+        jobId,
+        documentId: context.documentId,
+        permanent: failure.permanent,
+        receiveCount: context.receiveCount
+      });
+    } catch (error) {
+      // Keep the original message; it will be redelivered and dead-lettered again
+      this.logger.error(`[Worker-${worker.id}] Failed to move message to dead-letter queue: ${error.message}`, { jobId });
+    }
+  }
+
+  async deleteMessage(message) {
+    await this.queue.delete('main', message.ReceiptHandle);
+  }
+
+  // Hand an API-submitted job (with jobId) to the workers. Without a queue (standalone
+  // mode) it runs in the background in this process instead, without retries.
+  async submitJob(jobData) {
+    if (this.queue) {
+      return this.enqueueJob(jobData);
+    }
+    
+    this.logger.warn('No queue configured, running job in this process', { jobId: jobData.jobId });
+    setImmediate(() => this.runStandaloneJob(jobData));
+    return null;
+  }
+  
+  async runStandaloneJob(jobData) {
+    const { jobId } = jobData;
+    const jobs = this.documentProcessor.jobs;
+    const abortController = new AbortController();
+    const hardLimitTimer = setTimeout(() => {
+      abortController.abort(new Error(`Processing aborted after exceeding the ${this.config.processing.maxTimeMs}ms limit`));
+    }, this.config.processing.maxTimeMs);
+    
+    this.processingJobs.add(jobId);
+    try {
+      // Without a queue there is nothing to defer to, so any exceeded quota rejects the job
+      const usage = await this.enforceQuota(jobData, { canDefer: false });
+      await jobs.markStarted(jobId, 1);
+      const result = await this.runJob(jobData, abortController.signal);
+      
+      if (this.isLockedResult(result)) {
+        await jobs.fail(jobId, { category: 'unknown', reason: 'Document is already being processed' }, { final: true });
+      } else {
+        await this.recordUsage(jobData, usage.usageKey, result);
+        await jobs.complete(jobId, result);
+        await this.notifyWebhook('document.completed', jobData, { result });
+      }
+    } catch (error) {
+      this.logger.error('Standalone job failed:', error);
+      const failure = classifyFailure(error);
+      await jobs.fail(jobId, failure, { final: true });
+      await this.notifyWebhook('document.failed', jobData, { failure });
+    } finally {
+      clearTimeout(hardLimitTimer);
       this.processingJobs.delete(jobId);
     }
   }
 
+  // Queue a job in the legacy direct format (processed like any other message)
+  async enqueueJob(jobData) {
+    if (!this.queue) {
+      throw new Error('No queue configured');
+    }
+    const { messageId } = await this.queue.send('main', { body: JSON.stringify(jobData) });
+    this.logger.info('Job queued', { jobId: messageId, documentId: jobData.documentId });
+    return messageId;
+  }
+
+  // Dead-letter queue inspection and replay (admin endpoint and scripts/dlq.js).
+  // Listing receives messages with a short visibility timeout and releases them again
+  // afterwards, so it does not consume them; their DLQ receive count does go up.
+  async listDeadLetterMessages({ category = null, limit = 50 } = {}) {
+    const received = await this.receiveDeadLetterMessages(limit);
+    try {
+      return received
+        .map(message => this.describeDeadLetterMessage(message).entry)
+        .filter(entry => !category || entry.failure.category === category);
+    } finally {
+      await this.releaseDeadLetterMessages(received);
+    }
+  }
+
+  // Re-enqueue dead-lettered messages on the main queue and remove them from the DLQ.
+  // Selection by message id and/or failure category; overrides (vertical, organizationId)
+  // replace what the original message carried.
+  async replayDeadLetterMessages({ messageIds = null, category = null, limit = 50, overrides = {}, dryRun = false } = {}) {
+    const received = await this.receiveDeadLetterMessages(limit);
+    const replayed = [];
+    const failed = [];
+    const release = [];
+    
+    try {
+      for (const message of received) {
+        const { entry, original } = this.describeDeadLetterMessage(message);
+        const selected = (!messageIds || messageIds.includes(entry.messageId)) &&
+          (!category || entry.failure.category === category);
+        
+        if (!selected || dryRun) {
+          if (selected) replayed.push(entry);
+          release.push(message);
+          continue;
+        }
+        
+        try {
+          await this.queue.send('main', this.buildReplayMessage(original, entry.format, overrides));
+          await this.queue.delete('dead-letter', message.ReceiptHandle);
+          replayed.push(entry);
+          this.logger.info(`Replayed dead-lettered message ${entry.messageId}`, {
+            documentId: entry.documentId,
+            category: entry.failure.category,
+            overrides
+          });
+        } catch (error) {
+          failed.push({ ...entry, replayError: error.message });
+          release.push(message);
+          this.logger.error(`Failed to replay dead-lettered message ${entry.messageId}: ${error.message}`);
+        }
+      }
+    } finally {
+      await this.releaseDeadLetterMessages(release);
+    }
+    
+    return { dryRun, replayed, failed, inspected: received.length };
+  }
+
+  async receiveDeadLetterMessages(limit) {
+    if (!this.queue || !this.queue.hasQueue('dead-letter')) {
+      throw new Error('Dead-letter queue is not configured (SQS_DEAD_LETTER_QUEUE_URL)');
+    }
+    
+    const messages = [];
+    while (messages.length < limit) {
+      const received = await this.queue.receive('dead-letter', {
+        maxMessages: Math.min(10, limit - messages.length),
+        waitSeconds: 1,
+        visibilityTimeout: 60 // Long enough to list or replay the batch
+      });
+      if (received.length === 0) break;
+      messages.push(...received);
+    }
+    return messages;
+  }
+
+  // Make received DLQ messages visible again right away
+  async releaseDeadLetterMessages(messages) {
+    for (const message of messages) {
+      try {
+        await this.queue.changeVisibility('dead-letter', message.ReceiptHandle, 0);
+      } catch (error) {
+        this.logger.warn(`Failed to release dead-lettered message ${message.MessageId}: ${error.message}`);
+      }
+    }
+  }
+
+  // Messages dead-lettered by this service carry a JSON envelope (see deadLetterMessage);
+  // messages moved by the queue's redrive policy are the original message as-is
+  describeDeadLetterMessage(message) {
+    let envelope = null;
+    try {
+      const body = JSON.parse(message.Body);
+      if (body && body.failure && body.original) envelope = body;
+    } catch (error) {
+      // Not JSON: an original message that was never parseable
+    }
+    
+    const original = envelope
+      ? { MessageId: envelope.original.message_id, Body: envelope.original.body, MessageAttributes: envelope.original.message_attributes || {} }
+      : { MessageId: message.MessageId, Body: message.Body, MessageAttributes: message.MessageAttributes || {} };
+    
+    let job = {};
+    let format = null;
+    let parseError = null;
+    try {
+      const parsed = this.parseMessage(original);
+      format = parsed.format;
+      job = parsed.jobData;
+    } catch (error) {
+      parseError = error.message;
+    }
+    
+    const failure = envelope
+      ? envelope.failure
+      : { category: parseError ? 'invalid_message' : 'unknown', permanent: null, reason: 'Moved by the queue redrive policy' };
+    
+    const sentTimestamp = parseInt(message.Attributes?.SentTimestamp || '0');
+    
+    return {
+      original,
+      entry: {
+        messageId: message.MessageId,
+        originalMessageId: original.MessageId,
+        failure,
+        failedAt: envelope?.failed_at || (sentTimestamp ? new Date(sentTimestamp).toISOString() : null),
+        receiveCount: envelope?.receive_count ?? null,
+        format,
+        documentId: envelope?.document_id || job.documentId || null,
+        organizationId: job.organizationId || null,
+        vertical: job.vertical || null,
+        s3Key: job.s3Key || envelope?.s3_key || null,
+        bucketName: job.bucketName || envelope?.bucket_name || null,
+        parseError
+      }
+    };
+  }
+
+  // A received message's attributes in the form send() takes
+  copyMessageAttributes(message) {
+    const attributes = {};
+    for (const [name, attribute] of Object.entries(message.MessageAttributes || {})) {
+      attributes[name] = attribute.BinaryValue
+        ? { DataType: attribute.DataType, BinaryValue: attribute.BinaryValue }
+        : { DataType: attribute.DataType, StringValue: attribute.StringValue };
+    }
+    return attributes;
+  }
+
+  // Queue send input for a replayed message. S3 events take overrides as message
+  // attributes (read by parseMessage); legacy jobs have them merged into the job data.
+  buildReplayMessage(original, format, overrides = {}) {
+    const messageAttributes = this.copyMessageAttributes(original);
+    // A replayed message runs now
+    delete messageAttributes.deferredUntil;
+    
+    let body = original.Body;
+    if (format === 'legacy') {
+      const jobData = this.parseMessage(original).jobData;
+      body = JSON.stringify({
+        ...jobData,
+        ...(overrides.vertical ? { vertical: overrides.vertical } : {}),
+        ...(overrides.organizationId ? { organizationId: overrides.organizationId } : {})
+      });
+    } else {
+      if (overrides.vertical) messageAttributes.vertical = { DataType: 'String', StringValue: overrides.vertical };
+      if (overrides.organizationId) messageAttributes.organizationId = { DataType: 'String', StringValue: overrides.organizationId };
+    }
+    
+    return { body, attributes: messageAttributes };
+  }
+
+  // A job skipped because another worker holds the document lease
+  isLockedResult(result) {
+    return !!result && result.skipped && result.reason === 'locked';
+  }
+  
+  // Defer a locked job's message (see deferMessage) until the other worker's lease expires,
+  // so waiting for it doesn't use up receives: once that worker finishes the redelivery is
+  // a no-op, and if it died its lease can be taken over.
+  async deferLockedMessage(result, message, worker, trackedJobId = null) {
+    const retryAt = result.lockedUntil || new Date(Date.now() + this.config.processing.leaseMs).toISOString();
+    this.logger.warn(`[Worker-${worker.id}] Document ${result.documentId} is being processed by another worker, deferring message until ${retryAt}`, {
+      jobId: message.MessageId
+    });
+    if (trackedJobId) await this.documentProcessor.jobs.update(trackedJobId, { status: 'queued' });
+    await this.deferMessage(message, worker, retryAt);
+  }
+
   // Helper methods for S3 event processing
   generateDocumentId(s3Key) {
     // Generate document ID from S3 key or use UUID
@@ -458,6 +951,10 @@ class QueueManager {
       this.logger.warn(`Force stopping with ${this.processingJobs.size} jobs still processing`);
     }
     
+    if (this.queue) {
+      await this.queue.close();
+    }
+    
     this.logger.info('Queue manager stopped');
   }
 
@@ -471,23 +968,16 @@ class QueueManager {
       uptime: process.uptime()
     };
     
-    // Add SQS metrics if available
-    if (this.sqs && this.config.aws.sqsQueueUrl) {
+    // Add queue metrics if available
+    if (this.queue) {
       try {
-        const attributesCommand = new GetQueueAttributesCommand({
-          QueueUrl: this.config.aws.sqsQueueUrl,
-          AttributeNames: [
-            'ApproximateNumberOfMessages',
-            'ApproximateNumberOfMessagesNotVisible',
-            'ApproximateNumberOfMessagesDelayed'
-          ]
-        });
-        const attributes = await this.sqs.send(attributesCommand);
+        const stats = await this.queue.stats('main');
         
         metrics.queue = {
-          availableMessages: parseInt(attributes.Attributes.ApproximateNumberOfMessages),
-          inFlightMessages: parseInt(attributes.Attributes.ApproximateNumberOfMessagesNotVisible),
-          delayedMessages: parseInt(attributes.Attributes.ApproximateNumberOfMessagesDelayed)
+          driver: this.queue.name,
+          availableMessages: stats.available,
+          inFlightMessages: stats.inFlight,
+          delayedMessages: stats.delayed
         };
       } catch (error) {
         this.logger.warn('Failed to get queue metrics:', error);
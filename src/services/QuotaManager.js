@@ -0,0 +1,212 @@
+// Per-organization processing quotas: documents per day and estimated AI tokens per
+// month (UTC). Defaults come from QUOTA_DOCUMENTS_PER_DAY / QUOTA_AI_TOKENS_PER_MONTH;
+// organizations.settings.quotas = { documentsPerDay, aiTokensPerMonth } overrides them,
+// and 0 means unlimited.
+//
+// Usage is a ledger in processing_usage, one row per document per day: the row is written
+// when processing starts (counting the document) and gets the token estimate when it
+// completes. Retries and redeliveries of a document on the same day count once and
+// aren't held back by the quota again.
+// The limits are soft: check and record aren't atomic and usage is cached per process,
+// so concurrent documents can overshoot a little.
+
+const { withFailureCategory } = require('../utils/failures');
+
+const USAGE_TABLE = 'processing_usage';
+
+// Rows per request when summing token usage (PostgREST caps responses at 1000 rows)
+const PAGE_SIZE = 1000;
+
+// Limits and usage are re-read after this long
+const CACHE_TTL_MS = 30000;
+
+// Token estimate: Gemini counts 258 tokens per PDF page or image, text about 4 characters
+// per token, plus the prompts and JSON output of a document's AI calls
+const TOKENS_PER_PAGE = 258;
+const CHARS_PER_TOKEN = 4;
+const PROMPT_OVERHEAD_TOKENS = 2000;
+
+// Text sources that didn't need the AI to read the file (see processFileContentEnhanced)
+const LOCAL_TEXT_SOURCES = ['spreadsheet', 'word', 'plain_text', 'pdf_text_layer'];
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+class QuotaManager {
+  constructor({ supabase, logger, config }) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.config = config;
+    this.cache = new Map();
+  }
+
+  // Estimated AI tokens spent on a processed document (processFileContentEnhanced result)
+  static estimateTokens(processingResult) {
+    if (!processingResult) return 0;
+
+    const textTokens = Math.ceil((processingResult.fullDocumentText || '').length / CHARS_PER_TOKEN);
+    const readByAI = !LOCAL_TEXT_SOURCES.includes(processingResult.textSource);
+    const fileTokens = readByAI ? (processingResult.pageCount || 1) * TOKENS_PER_PAGE : 0;
+
+    // The text is written once by the AI (when it read the file), then read by the
+    // structured extraction and the embeddings
+    return PROMPT_OVERHEAD_TOKENS + fileTokens + textTokens * (readByAI ? 3 : 2);
+  }
+
+  // -> { allowed } or { allowed: false, quota, limit, used, resetsAt }. quota is
+  // 'documents_per_day' or 'ai_tokens_per_month'; resetsAt is when usage starts over.
+  async check(organizationId) {
+    const limits = await this.limitsFor(organizationId);
+    const now = new Date();
+
+    if (limits.documentsPerDay > 0) {
+      const used = await this.documentsToday(organizationId);
+      if (used >= limits.documentsPerDay) {
+        const resetsAt = startOfDay(now);
+        resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+        return { allowed: false, quota: 'documents_per_day', limit: limits.documentsPerDay, used, resetsAt: resetsAt.toISOString() };
+      }
+    }
+
+    if (limits.aiTokensPerMonth > 0) {
+      const used = await this.tokensThisMonth(organizationId);
+      if (used >= limits.aiTokensPerMonth) {
+        const resetsAt = startOfMonth(now);
+        resetsAt.setUTCMonth(resetsAt.getUTCMonth() + 1);
+        return { allowed: false, quota: 'ai_tokens_per_month', limit: limits.aiTokensPerMonth, used, resetsAt: resetsAt.toISOString() };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Ledger row of a document on the given (UTC) day
+  static usageKey(documentId, date = new Date()) {
+    return `${documentId}:${date.toISOString().substring(0, 10)}`;
+  }
+
+  // Usage key of a document already counted today (a retry or redelivery), or null
+  async recordedToday(documentId) {
+    const usageKey = QuotaManager.usageKey(documentId);
+    const { data, error } = await this.supabase
+      .from(USAGE_TABLE)
+      .select('usage_key')
+      .eq('usage_key', usageKey)
+      .maybeSingle();
+
+    if (error) {
+      throw withFailureCategory(new Error(`Failed to read document usage: ${error.message}`), 'database_error');
+    }
+    return data ? usageKey : null;
+  }
+
+  // Count a document against today's quota. Returns the usage key for recordTokens.
+  async recordDocument(organizationId, documentId, vertical) {
+    const now = new Date();
+    const usageKey = QuotaManager.usageKey(documentId, now);
+
+    const { error } = await this.supabase
+      .from(USAGE_TABLE)
+      .upsert({
+        usage_key: usageKey,
+        organization_id: organizationId,
+        document_id: documentId,
+        vertical,
+        estimated_tokens: 0,
+        recorded_at: now.toISOString()
+      }, { onConflict: 'usage_key', ignoreDuplicates: true });
+
+    if (error) {
+      this.logger.warn(`Failed to record usage for document ${documentId}: ${error.message}`);
+    }
+    this.cache.delete(`documents:${organizationId}`);
+    return usageKey;
+  }
+
+  async recordTokens(organizationId, usageKey, estimatedTokens) {
+    const { error } = await this.supabase
+      .from(USAGE_TABLE)
+      .update({ estimated_tokens: estimatedTokens })
+      .eq('usage_key', usageKey);
+
+    if (error) {
+      this.logger.warn(`Failed to record token usage ${usageKey}: ${error.message}`);
+    }
+    this.cache.delete(`tokens:${organizationId}`);
+  }
+
+  async limitsFor(organizationId) {
+    return this.cached(`limits:${organizationId}`, async () => {
+      const { data, error } = await this.supabase
+        .from('organizations')
+        .select('settings')
+        .eq('id', organizationId)
+        .maybeSingle();
+
+      if (error) {
+        this.logger.warn(`Could not read quota settings for organization ${organizationId}: ${error.message}`);
+      }
+      const overrides = data?.settings?.quotas || {};
+      return {
+        documentsPerDay: overrides.documentsPerDay ?? this.config.documentsPerDay,
+        aiTokensPerMonth: overrides.aiTokensPerMonth ?? this.config.aiTokensPerMonth
+      };
+    });
+  }
+
+  async documentsToday(organizationId) {
+    return this.cached(`documents:${organizationId}`, async () => {
+      const { count, error } = await this.supabase
+        .from(USAGE_TABLE)
+        .select('usage_key', { count: 'exact', head: true })
+        .eq('organization_id', organizationId)
+        .gte('recorded_at', startOfDay(new Date()).toISOString());
+
+      if (error) {
+        throw withFailureCategory(new Error(`Failed to read document usage: ${error.message}`), 'database_error');
+      }
+      return count || 0;
+    });
+  }
+
+  async tokensThisMonth(organizationId) {
+    return this.cached(`tokens:${organizationId}`, async () => {
+      const monthStart = startOfMonth(new Date()).toISOString();
+      let total = 0;
+
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await this.supabase
+          .from(USAGE_TABLE)
+          .select('estimated_tokens')
+          .eq('organization_id', organizationId)
+          .gte('recorded_at', monthStart)
+          .order('usage_key')
+          .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) {
+          throw withFailureCategory(new Error(`Failed to read token usage: ${error.message}`), 'database_error');
+        }
+        total += data.reduce((sum, row) => sum + (row.estimated_tokens || 0), 0);
+        if (data.length < PAGE_SIZE) return total;
+      }
+    });
+  }
+
+  async cached(cacheKey, lookup) {
+    const entry = this.cache.get(cacheKey);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    const value = await lookup();
+    this.cache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+}
+
+module.exports = QuotaManager;
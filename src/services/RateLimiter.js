@@ -0,0 +1,70 @@
+// Token bucket per caller: each bucket holds up to `burst` tokens, refills at
+// requestsPerMinute, and every request takes one. Buckets live in this process, so with
+// several tasks behind the load balancer a caller's effective limit is per task.
+
+// Full buckets of callers that went quiet are dropped once there are this many
+const MAX_BUCKETS = 10000;
+
+class RateLimiter {
+  constructor({ requestsPerMinute, burst }) {
+    this.capacity = burst;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.buckets = new Map();
+  }
+
+  // -> { allowed, remaining, retryAfterSeconds }
+  take(key) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      if (this.buckets.size >= MAX_BUCKETS) this.prune(now);
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    this.refill(bucket, now);
+    if (bucket.tokens < 1) {
+      return this.refused(bucket);
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+  }
+
+  // Like take, without using a token (or creating a bucket for a new caller)
+  check(key) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) {
+      return { allowed: true, remaining: this.capacity, retryAfterSeconds: 0 };
+    }
+
+    this.refill(bucket, Date.now());
+    if (bucket.tokens < 1) {
+      return this.refused(bucket);
+    }
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+  }
+
+  refill(bucket, now) {
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  refused(bucket) {
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterSeconds: Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000)
+    };
+  }
+
+  prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
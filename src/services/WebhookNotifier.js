@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+// Push notifications when a document completes or fails for good. The webhook comes
+// from the request (webhookUrl on POST /process, /process-document) or the
+// organization's settings.webhook = { url, secret }. Payloads are signed with the
+// organization's secret (WEBHOOK_SIGNING_SECRET when it has none):
+//
+//   X-Floucast-Timestamp: <unix seconds>
+//   X-Floucast-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// Every delivery is logged in webhook_deliveries. Failed attempts (network errors,
+// timeouts, 408/429/5xx) are retried with exponential backoff up to maxAttempts; other
+// responses, redirects included, fail the delivery at once. Retries are timers in this
+// process; deliveries left 'pending' by a stopped task are resumed by resumePending.
+//
+// Webhook URLs come from callers, so they must be https and must not resolve to a
+// loopback, private or link-local address (except with NODE_ENV=development).
+
+const DELIVERIES_TABLE = 'webhook_deliveries';
+
+// Extracted fields included in the payload, by vertical
+const SUMMARY_FIELDS = {
+  accounting: ['vendor', 'type', 'date', 'due_date', 'amount', 'currency', 'tax_amount', 'document_number'],
+  legal: ['document_title', 'document_type', 'contract_type', 'parties', 'document_date', 'effective_date', 'expiry_date']
+};
+
+const RETRYABLE_STATUSES = [408, 429];
+
+// A pending delivery whose next attempt is this overdue was left by a stopped task
+const ORPHANED_AFTER_MS = 60000;
+
+// Addresses webhooks may not be sent to
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+class WebhookNotifier {
+  constructor({ supabase, logger, config }) {
+    this.supabase = supabase;
+    this.logger = logger;
+    this.config = config;
+    this.timers = new Set();
+  }
+
+  // allowHttp: also accept http:// URLs (development)
+  static isValidUrl(value, { allowHttp = false } = {}) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || (allowHttp && url.protocol === 'http:');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Why the URL's host can't receive webhooks (it resolves to a blocked address), or null.
+  // Checked before every attempt, since DNS can change between attempts.
+  async blockedTarget(value) {
+    if (this.config.allowLocalTargets) return null;
+
+    const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.lookup(hostname, { all: true, verbatim: true });
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked ? `${hostname} resolves to non-public address ${blocked.address}` : null;
+  }
+
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Extracted summary from either processor result shape (processDocument nests the
+  // extraction under result, processExistingDocument returns it as structuredData)
+  static summarize(result, vertical) {
+    const extractedData = result?.result?.extractedData || result?.structuredData;
+    if (!extractedData) return null;
+
+    const summary = {};
+    for (const field of SUMMARY_FIELDS[vertical] || SUMMARY_FIELDS.accounting) {
+      if (extractedData[field] !== undefined) summary[field] = extractedData[field];
+    }
+    return summary;
+  }
+
+  // event: 'document.completed' with the processor's result, or 'document.failed' with
+  // the classified failure. Resolves once the delivery is logged; sending happens after.
+  async notify(event, jobData, { result = null, failure = null } = {}) {
+    const { documentId, vertical = 'accounting', jobId = null } = jobData;
+    const organizationId = jobData.organizationId || await this.documentOrganization(documentId, vertical);
+    const target = await this.resolveTarget(organizationId, jobData.webhookUrl);
+    if (!target) return null;
+
+    const payload = {
+      id: uuidv4(),
+      event,
+      createdAt: new Date().toISOString(),
+      data: {
+        documentId,
+        vertical,
+        organizationId,
+        jobId,
+        status: event === 'document.completed' ? 'complete' : 'failed',
+        processingTimeMs: result?.processingTime || null,
+        duplicateOf: result?.duplicateOf || null,
+        summary: result ? WebhookNotifier.summarize(result, vertical) : null,
+        error: failure ? { message: failure.reason, category: failure.category } : null
+      }
+    };
+
+    const delivery = {
+      id: payload.id,
+      event,
+      url: target.url,
+      secret: target.secret,
+      body: JSON.stringify(payload),
+      attempts: 0
+    };
+
+    await this.recordDelivery(delivery, { organizationId, documentId, jobId, payload });
+
+    if (!delivery.secret) {
+      this.logger.warn(`Webhook ${delivery.id} not sent: no signing secret for organization ${organizationId}`);
+      await this.updateDelivery(delivery.id, { status: 'failed', last_error: 'No signing secret configured' });
+      return delivery.id;
+    }
+
+    this.schedule(delivery, 0);
+    return delivery.id;
+  }
+
+  // Per-request URL first, then the organization's; null when there's nowhere to send
+  async resolveTarget(organizationId, requestUrl) {
+    let settings = {};
+    if (organizationId) {
+      const { data, error } = await this.supabase
+        .from('organizations')
+        .select('settings')
+        .eq('id', organizationId)
+        .maybeSingle();
+
+      if (error) {
+        this.logger.warn(`Could not read webhook settings for organization ${organizationId}: ${error.message}`);
+      }
+      settings = data?.settings?.webhook || {};
+    }
+
+    const url = requestUrl || settings.url;
+    if (!url) return null;
+    if (!WebhookNotifier.isValidUrl(url, { allowHttp: this.config.allowLocalTargets })) {
+      this.logger.warn(`Ignoring invalid webhook URL for organization ${organizationId}: ${url}`);
+      return null;
+    }
+
+    return { url, secret: settings.secret || this.config.signingSecret };
+  }
+
+  // Re-schedule deliveries a stopped task left 'pending' (their retry timers died with
+  // it). A delivery is taken over only when its next attempt is overdue, and claimed
+  // with a conditional update so two starting tasks don't both send it.
+  async resumePending() {
+    const cutoff = new Date(Date.now() - ORPHANED_AFTER_MS).toISOString();
+    const { data: rows, error } = await this.supabase
+      .from(DELIVERIES_TABLE)
+      .select('id, organization_id, event, url, attempts, payload, updated_at')
+      .eq('status', 'pending')
+      .or(`next_attempt_at.lt.${cutoff},and(next_attempt_at.is.null,created_at.lt.${cutoff})`)
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to read pending webhook deliveries: ${error.message}`);
+    }
+
+    let resumed = 0;
+    for (const row of rows) {
+      const { data: claimed, error: claimError } = await this.supabase
+        .from(DELIVERIES_TABLE)
+        .update({ next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('updated_at', row.updated_at)
+        .select('id');
+      if (claimError || claimed.length === 0) continue;
+
+      const target = await this.resolveTarget(row.organization_id, row.url);
+      if (!target || !target.secret) {
+        await this.updateDelivery(row.id, { status: 'failed', last_error: 'Webhook URL or signing secret no longer valid', next_attempt_at: null });
+        continue;
+      }
+
+      this.schedule({
+        id: row.id,
+        event: row.event,
+        url: row.url,
+        secret: target.secret,
+        body: JSON.stringify(row.payload),
+        attempts: row.attempts || 0
+      }, 0);
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      this.logger.info(`Resumed ${resumed} pending webhook deliveries`);
+    }
+    return resumed;
+  }
+
+  // Existing-document jobs may be submitted without an organization; the row has it
+  async documentOrganization(documentId, vertical) {
+    const tableName = vertical === 'legal' ? 'legal_documents' : 'documents';
+    const { data } = await this.supabase
+      .from(tableName)
+      .select('organization_id')
+      .eq('id', documentId)
+      .maybeSingle();
+    return data?.organization_id || null;
+  }
+
+  schedule(delivery, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.attempt(delivery).catch(error => {
+        this.logger.error(`Webhook ${delivery.id} attempt crashed:`, error);
+      });
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  async attempt(delivery) {
+    delivery.attempts += 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let blockedReason = null;
+    try {
+      blockedReason = await this.blockedTarget(delivery.url);
+    } catch (error) {
+      // Unresolvable host: retried like a network error below
+    }
+    if (blockedReason) {
+      this.logger.error(`Webhook ${delivery.id} not sent: ${blockedReason}`);
+      await this.updateDelivery(delivery.id, {
+        status: 'failed',
+        attempts: delivery.attempts,
+        last_error: `Blocked: ${blockedReason}`,
+        next_attempt_at: null
+      });
+      return;
+    }
+
+    let statusCode = null;
+    let errorMessage = null;
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Floucast-Event': delivery.event,
+          'X-Floucast-Delivery': delivery.id,
+          'X-Floucast-Timestamp': timestamp,
+          'X-Floucast-Signature': `sha256=${WebhookNotifier.sign(delivery.secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        // A redirect could point anywhere, including addresses blockedTarget rejects
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        errorMessage = `Endpoint returned ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError'
+        ? `Timed out after ${this.config.timeoutMs}ms`
+        : `Request failed: ${error.cause?.code || error.message}`;
+    }
+
+    if (!errorMessage) {
+      this.logger.info(`Webhook ${delivery.id} (${delivery.event}) delivered to ${delivery.url}`);
+      await this.updateDelivery(delivery.id, {
+        status: 'delivered',
+        attempts: delivery.attempts,
+        last_status_code: statusCode,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString()
+      });
+      return;
+    }
+
+    const retryable = statusCode === null || statusCode >= 500 || RETRYABLE_STATUSES.includes(statusCode);
+    if (retryable && delivery.attempts < this.config.maxAttempts) {
+      const delayMs = this.config.retryBaseMs * 2 ** (delivery.attempts - 1);
+      this.logger.warn(`Webhook ${delivery.id} attempt ${delivery.attempts} failed (${errorMessage}), retrying in ${delayMs}ms`);
+      await this.updateDelivery(delivery.id, {
+        attempts: delivery.attempts,
+        last_status_code: statusCode,
+        last_error: errorMessage,
+        next_attempt_at: new Date(Date.now() + delayMs).toISOString()
+      });
+      this.schedule(delivery, delayMs);
+      return;
+    }
+
+    this.logger.error(`Webhook ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempt(s): ${errorMessage}`);
+    await this.updateDelivery(delivery.id, {
+      status: 'failed',
+      attempts: delivery.attempts,
+      last_status_code: statusCode,
+      last_error: errorMessage,
+      next_attempt_at: null
+    });
+  }
+
+  async recordDelivery(delivery, { organizationId, documentId, jobId, payload }) {
+    const { error } = await this.supabase
+      .from(DELIVERIES_TABLE)
+      .insert({
+        id: delivery.id,
+        organization_id: organizationId,
+        document_id: documentId,
+        job_id: jobId,
+        event: delivery.event,
+        url: delivery.url,
+        status: 'pending',
+        attempts: 0,
+        payload,
+        created_at: new Date().toISOString()
+      });
+
+    // The notification still goes out; only the log entry is missing
+    if (error) {
+      this.logger.warn(`Failed to log webhook delivery ${delivery.id}: ${error.message}`);
+    }
+  }
+
+  async updateDelivery(deliveryId, updateData) {
+    const { error } = await this.supabase
+      .from(DELIVERIES_TABLE)
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', deliveryId);
+
+    if (error) {
+      this.logger.warn(`Failed to update webhook delivery ${deliveryId}: ${error.message}`);
+    }
+  }
+
+  // Drop scheduled attempts on shutdown
+  close() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = WebhookNotifier;
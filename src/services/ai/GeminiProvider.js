@@ -0,0 +1,57 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini implementation of the AI provider interface
+class GeminiProvider {
+  constructor({ config, logger }) {
+    this.name = 'gemini';
+    this.logger = logger;
+    this.genAI = new GoogleGenerativeAI(config.geminiApiKey);
+    this.extractionModel = this.genAI.getGenerativeModel({ 
+      model: config.model 
+    });
+    this.embeddingModel = this.genAI.getGenerativeModel({ 
+      model: config.embeddingModel 
+    });
+  }
+
+  // Text-only generation
+  async generate(prompt, options = {}) {
+    return this.generateContent([{ text: prompt }], options);
+  }
+
+  // Generation with an inline file (PDF, image, ...) attached to the prompt
+  async generateWithFile(prompt, file, options = {}) {
+    return this.generateContent([
+      { text: prompt },
+      {
+        inlineData: {
+          data: Buffer.from(file.data).toString('base64'),
+          mimeType: file.mimeType,
+        },
+      },
+    ], options);
+  }
+
+  async generateContent(parts, options = {}) {
+    const requestOptions = options.signal ? { signal: options.signal } : undefined;
+    const result = await this.extractionModel.generateContent({
+      contents: [{ role: "user", parts }],
+    }, requestOptions);
+
+    const response = result.response;
+    if (!response || !response.candidates || response.candidates.length === 0 || !response.candidates[0].content) {
+      return { text: null, blockReason: response?.promptFeedback?.blockReason || null };
+    }
+
+    return { text: response.text(), blockReason: null };
+  }
+
+  // Returns the embedding vector for a piece of text
+  async embed(text, options = {}) {
+    const requestOptions = options.signal ? { signal: options.signal } : undefined;
+    const result = await this.embeddingModel.embedContent(text, requestOptions);
+    return result.embedding.values;
+  }
+}
+
+module.exports = GeminiProvider;
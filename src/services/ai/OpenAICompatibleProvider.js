@@ -0,0 +1,95 @@
+// OpenAI-compatible HTTP implementation of the AI provider interface
+// Works with any server exposing /chat/completions and /embeddings (vLLM, Ollama, LocalAI, a test stub, ...)
+class OpenAICompatibleProvider {
+  constructor({ config, logger }) {
+    if (!config.baseUrl) {
+      throw new Error('OpenAI-compatible AI provider requires a base URL');
+    }
+
+    this.name = 'openai-compatible';
+    this.logger = logger;
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+    this.model = config.model;
+    this.embeddingModel = config.embeddingModel;
+  }
+
+  // Text-only generation
+  async generate(prompt, options = {}) {
+    return this.chat([{ type: 'text', text: prompt }], options);
+  }
+
+  // Generation with an inline file attached as a data URL
+  // Images use image_url parts, other documents (PDF, ...) use file parts
+  async generateWithFile(prompt, file, options = {}) {
+    const dataUrl = `data:${file.mimeType};base64,${Buffer.from(file.data).toString('base64')}`;
+    const filePart = file.mimeType.startsWith('image/')
+      ? { type: 'image_url', image_url: { url: dataUrl } }
+      : { type: 'file', file: { filename: file.filename || 'document', file_data: dataUrl } };
+
+    return this.chat([{ type: 'text', text: prompt }, filePart], options);
+  }
+
+  async chat(content, options = {}) {
+    const data = await this.request('/chat/completions', {
+      model: this.model,
+      messages: [{ role: 'user', content }]
+    }, options);
+
+    const choice = data.choices && data.choices[0];
+    const text = choice?.message?.content;
+    if (!text) {
+      return { text: null, blockReason: choice?.finish_reason || null };
+    }
+
+    return {
+      text: text,
+      blockReason: choice.finish_reason === 'content_filter' ? 'content_filter' : null
+    };
+  }
+
+  // Returns the embedding vector for a piece of text
+  async embed(text, options = {}) {
+    const data = await this.request('/embeddings', {
+      model: this.embeddingModel,
+      input: text
+    }, options);
+
+    if (!data.data || !data.data[0] || !Array.isArray(data.data[0].embedding)) {
+      throw new Error('AI provider returned no embedding');
+    }
+
+    return data.data[0].embedding;
+  }
+
+  async request(path, body, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: options.signal
+      });
+    } catch (error) {
+      // Surface the socket error code so withRetry can recognise network failures
+      const requestError = new Error(`AI provider request failed: ${error.message}`);
+      requestError.code = error.cause?.code || error.code;
+      throw requestError;
+    }
+
+    if (!response.ok) {
+      const responseText = await response.text().catch(() => '');
+      const statusError = new Error(`AI provider returned ${response.status}: ${responseText.substring(0, 500)}`);
+      statusError.status = response.status;
+      throw statusError;
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,24 @@
+const GeminiProvider = require('./GeminiProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+
+// AI provider interface:
+//   generate(prompt, options)               -> { text, blockReason }
+//   generateWithFile(prompt, file, options) -> { text, blockReason }, file = { data: Buffer, mimeType, filename? }
+//   embed(text, options)                    -> number[]
+// text is null when the model returned nothing or the request was blocked.
+function createAIProvider(aiConfig, logger) {
+  switch (aiConfig.provider) {
+    case 'gemini':
+      return new GeminiProvider({ config: aiConfig, logger });
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({ config: aiConfig.openaiCompatible, logger });
+    default:
+      throw new Error(`Unsupported AI provider: ${aiConfig.provider}`);
+  }
+}
+
+module.exports = {
+  createAIProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider
+};
@@ -0,0 +1,194 @@
+// Running-balance verification for bank statements: previous balance + credit - debit
+// must equal each row's running_balance. Also finds the opening (SALDO AWAL) and closing
+// balance rows, duplicated rows and gaps where transactions are probably missing.
+
+const OPENING_BALANCE_PATTERN = /saldo\s+awal|opening\s+balance|beginning\s+balance|balance\s+(brought|b\/)\s*f(orwar)?d|saldo\s+sebelumnya|previous\s+balance/i;
+const CLOSING_BALANCE_PATTERN = /saldo\s+akhir|closing\s+balance|ending\s+balance|balance\s+carried\s+forward|balance\s+c\/f/i;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function amountOf(value) {
+  return isNumber(value) ? Math.abs(value) : 0;
+}
+
+function rowText(transaction) {
+  return `${transaction.transaction_type || ''} ${transaction.description || ''}`;
+}
+
+// Balance rows carry a balance but no movement
+function isBalanceRow(transaction, pattern) {
+  return pattern.test(rowText(transaction)) &&
+    amountOf(transaction.debit_amount) === 0 &&
+    amountOf(transaction.credit_amount) === 0;
+}
+
+function duplicateKey(transaction) {
+  return [
+    transaction.transaction_date || '',
+    (transaction.description || '').replace(/\s+/g, ' ').trim().toLowerCase(),
+    amountOf(transaction.debit_amount),
+    amountOf(transaction.credit_amount),
+    isNumber(transaction.running_balance) ? transaction.running_balance : ''
+  ].join('|');
+}
+
+// Returns the transactions annotated with row_role / reconciled / balance_difference
+// (duplicates removed) and a validation block for extracted_data
+function reconcileBankTransactions(bankTransactions, { balanceTolerance }) {
+  const issues = [];
+  const duplicates = [];
+  const gaps = [];
+
+  // Duplicated rows: same date, description, amounts and running balance. A real ledger
+  // cannot show the same non-zero movement twice with an unchanged balance.
+  const seen = new Map();
+  const rows = [];
+  bankTransactions.forEach((transaction, index) => {
+    const key = duplicateKey(transaction);
+    const hasMovement = amountOf(transaction.debit_amount) > 0 || amountOf(transaction.credit_amount) > 0;
+    if (hasMovement && isNumber(transaction.running_balance) && seen.has(key)) {
+      duplicates.push({ index, duplicate_of: seen.get(key), description: transaction.description || null });
+      return;
+    }
+    seen.set(key, index);
+    rows.push({ ...transaction, source_index: index });
+  });
+  for (const duplicate of duplicates) {
+    issues.push(`Row ${duplicate.index + 1} duplicates row ${duplicate.duplicate_of + 1} and was removed`);
+  }
+
+  const openingRow = rows.find(row => isBalanceRow(row, OPENING_BALANCE_PATTERN));
+  const closingRow = [...rows].reverse().find(row => isBalanceRow(row, CLOSING_BALANCE_PATTERN));
+
+  let balance = openingRow && isNumber(openingRow.running_balance) ? openingRow.running_balance : null;
+  let previousIndex = openingRow ? openingRow.source_index : null;
+  let checkedRows = 0;
+  let mismatchedRows = 0;
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  const annotated = rows.map(row => {
+    const { source_index: sourceIndex, ...transaction } = row;
+
+    if (row === openingRow) {
+      return { ...transaction, row_role: 'opening_balance', reconciled: balance !== null, balance_difference: null };
+    }
+
+    if (row === closingRow) {
+      // Checked against the computed balance after all movements below
+      return { ...transaction, row_role: 'closing_balance', reconciled: null, balance_difference: null };
+    }
+
+    const debit = amountOf(transaction.debit_amount);
+    const credit = amountOf(transaction.credit_amount);
+    totalDebits += debit;
+    totalCredits += credit;
+
+    const runningBalance = isNumber(transaction.running_balance) ? transaction.running_balance : null;
+    let reconciled = null;
+    let difference = null;
+
+    if (balance === null) {
+      // No opening balance: the first printed balance becomes the starting point
+      balance = runningBalance !== null ? runningBalance : null;
+    } else {
+      const expected = roundAmount(balance + credit - debit);
+      if (runningBalance === null) {
+        balance = expected;
+      } else {
+        checkedRows++;
+        difference = roundAmount(runningBalance - expected);
+        reconciled = Math.abs(difference) <= balanceTolerance;
+
+        if (!reconciled) {
+          mismatchedRows++;
+          const swapped = Math.abs(runningBalance - roundAmount(balance - credit + debit)) <= balanceTolerance;
+          if (swapped) {
+            issues.push(`Row ${sourceIndex + 1}: debit and credit appear to be swapped`);
+          } else {
+            // Later rows usually line up again, so the difference is most likely missing rows
+            gaps.push({
+              after_row: previousIndex !== null ? previousIndex + 1 : null,
+              before_row: sourceIndex + 1,
+              expected_balance: expected,
+              running_balance: runningBalance,
+              unexplained_amount: difference
+            });
+            issues.push(`Row ${sourceIndex + 1}: expected balance ${expected}, statement shows ${runningBalance} (difference ${difference})`);
+          }
+        }
+        // Continue from the printed balance so one gap is reported once
+        balance = runningBalance;
+      }
+    }
+
+    previousIndex = sourceIndex;
+    return { ...transaction, row_role: 'transaction', reconciled, balance_difference: difference };
+  });
+
+  const computedClosingBalance = balance;
+  let closingBalance = computedClosingBalance;
+  let closingMatches = null;
+
+  if (closingRow && isNumber(closingRow.running_balance)) {
+    closingBalance = closingRow.running_balance;
+    if (computedClosingBalance !== null) {
+      const difference = roundAmount(closingBalance - computedClosingBalance);
+      closingMatches = Math.abs(difference) <= balanceTolerance;
+      const closing = annotated.find(transaction => transaction.row_role === 'closing_balance');
+      closing.reconciled = closingMatches;
+      closing.balance_difference = difference;
+      if (!closingMatches) {
+        issues.push(`Closing balance ${closingBalance} does not match computed balance ${computedClosingBalance} (difference ${difference})`);
+      }
+    }
+  }
+
+  if (!openingRow) {
+    issues.push('No opening balance (SALDO AWAL) row found; the first running balance was used as the starting point');
+  }
+
+  let status;
+  if (checkedRows === 0 && closingMatches === null) {
+    status = 'unverifiable';
+    issues.push('No running balances to verify');
+  } else if (mismatchedRows === 0 && closingMatches !== false) {
+    status = 'reconciled';
+  } else {
+    status = 'mismatch';
+  }
+
+  return {
+    transactions: annotated,
+    validation: {
+      status,
+      needs_review: status !== 'reconciled',
+      opening_balance: openingRow && isNumber(openingRow.running_balance) ? openingRow.running_balance : null,
+      closing_balance: closingBalance,
+      computed_closing_balance: computedClosingBalance,
+      closing_balance_matches: closingMatches,
+      total_debits: roundAmount(totalDebits),
+      total_credits: roundAmount(totalCredits),
+      transaction_count: annotated.filter(transaction => transaction.row_role === 'transaction').length,
+      checked_rows: checkedRows,
+      mismatched_rows: mismatchedRows,
+      gaps,
+      duplicates,
+      issues
+    }
+  };
+}
+
+module.exports = {
+  reconcileBankTransactions,
+  isBalanceRow,
+  duplicateKey,
+  OPENING_BALANCE_PATTERN,
+  CLOSING_BALANCE_PATTERN
+};
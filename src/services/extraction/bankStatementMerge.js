@@ -0,0 +1,118 @@
+// Merge bank statement extractions made page batch by page batch into one statement.
+// Page carry-over rows (opening balance repeated at the top of a page, closing balance
+// at the bottom) and rows repeated across a batch boundary are dropped, and the result
+// is ordered by date with the original sequence kept within a day.
+
+const {
+  isBalanceRow,
+  duplicateKey,
+  OPENING_BALANCE_PATTERN,
+  CLOSING_BALANCE_PATTERN
+} = require('./bankReconciliation');
+
+// Rows at the start of a batch compared against the end of the previous one
+const OVERLAP_WINDOW = 5;
+
+const HEADER_FIELDS = [
+  'vendor', 'date', 'type', 'amount', 'currency', 'description', 'discount', 'deposit_amount',
+  'document_number', 'tax_amount', 'tax_type_name', 'service_charge_amount', 'service_charge_type',
+  'due_date', 'ap_ar_status'
+];
+
+function firstValue(batches, field) {
+  for (const batch of batches) {
+    const value = batch.data[field];
+    if (value !== null && value !== undefined && value !== '') return value;
+  }
+  return null;
+}
+
+function mergeSchemaValidation(batches) {
+  const validations = batches
+    .map(batch => ({ pages: `${batch.startPage}-${batch.endPage}`, validation: batch.data.schema_validation }))
+    .filter(entry => entry.validation);
+  if (validations.length === 0) return null;
+
+  const fields = {};
+  for (const { validation } of validations) {
+    for (const [field, valid] of Object.entries(validation.fields || {})) {
+      fields[field] = (fields[field] ?? true) && valid;
+    }
+  }
+
+  return {
+    schema: 'bank_statement',
+    valid: validations.every(({ validation }) => validation.valid),
+    attempts: validations.reduce((sum, { validation }) => sum + (validation.attempts || 1), 0),
+    fields,
+    errors: validations.flatMap(({ pages, validation }) => (validation.errors || []).map(error => `pages ${pages}: ${error}`)),
+    removed_fields: validations.flatMap(({ validation }) => validation.removed_fields || [])
+  };
+}
+
+// batches: [{ startPage, endPage, data, error }] in page order; data is null for failed batches
+function mergeBankStatementBatches(batches) {
+  const succeeded = batches.filter(batch => batch.data);
+  const merged = [];
+  const removedRows = [];
+
+  succeeded.forEach((batch, batchIndex) => {
+    const pages = `${batch.startPage}-${batch.endPage}`;
+    const rows = Array.isArray(batch.data.bank_transactions) ? batch.data.bank_transactions : [];
+    const isFirst = batchIndex === 0;
+    const isLast = batchIndex === succeeded.length - 1;
+    const previousTail = new Set(merged.slice(-OVERLAP_WINDOW).map(duplicateKey));
+
+    rows.forEach((row, rowIndex) => {
+      let reason = null;
+      if (!isFirst && isBalanceRow(row, OPENING_BALANCE_PATTERN)) {
+        reason = 'carried_forward_opening_balance';
+      } else if (!isLast && isBalanceRow(row, CLOSING_BALANCE_PATTERN)) {
+        reason = 'intermediate_closing_balance';
+      } else if (!isFirst && rowIndex < OVERLAP_WINDOW && previousTail.has(duplicateKey(row))) {
+        reason = 'batch_overlap_duplicate';
+      }
+
+      if (reason) {
+        removedRows.push({ pages, row: rowIndex + 1, reason, description: row.description || null });
+        return;
+      }
+      merged.push({ ...row, source_pages: pages });
+    });
+  });
+
+  // Stable date sort; undated rows stay after the row they followed
+  let lastDate = '';
+  const ordered = merged
+    .map((row, sequence) => {
+      if (row.transaction_date) lastDate = row.transaction_date;
+      return { row, sequence, sortDate: row.transaction_date || lastDate };
+    })
+    .sort((a, b) => a.sortDate.localeCompare(b.sortDate) || a.sequence - b.sequence)
+    .map(entry => entry.row);
+
+  const header = {};
+  for (const field of HEADER_FIELDS) {
+    header[field] = succeeded.length > 0 ? firstValue(succeeded, field) : null;
+  }
+
+  return {
+    ...header,
+    type: header.type || 'Bank Statement',
+    line_items: null,
+    bank_transactions: ordered,
+    schema_validation: mergeSchemaValidation(succeeded),
+    page_batches: batches.map(batch => ({
+      start_page: batch.startPage,
+      end_page: batch.endPage,
+      status: batch.data ? 'complete' : 'failed',
+      transactions: batch.data && Array.isArray(batch.data.bank_transactions) ? batch.data.bank_transactions.length : 0,
+      error: batch.error || null
+    })),
+    removed_overlap_rows: removedRows
+  };
+}
+
+module.exports = {
+  mergeBankStatementBatches
+};
@@ -0,0 +1,86 @@
+const { EXTRACTION_SCHEMAS, getExtractionSchema } = require('./schemas');
+const { validateAgainstSchema, normalizeToSchema, sanitizeToSchema } = require('./validator');
+const { reconcileInvoiceTotals } = require('./reconciliation');
+const { reconcileBankTransactions } = require('./bankReconciliation');
+const { mergeBankStatementBatches } = require('./bankStatementMerge');
+const {
+  normalizeVendor,
+  parseEmbedding,
+  cosineSimilarity,
+  scoreInvoiceMatch,
+  classifyInvoiceDuplicates
+} = require('./invoiceDuplicates');
+
+// Schema validation for AI structured extraction:
+//   validateExtraction(data, family, { parseNumber }) -> { data, valid, errors, removedFields }
+//   finalizeExtraction(result, family, attempts)      -> data with a schema_validation block
+// family is 'standard', 'bank_statement' or 'legal'.
+// Arithmetic checks on the validated data live in ./reconciliation.js (invoices)
+// and ./bankReconciliation.js (bank statement running balances); page-batched bank
+// statement results are combined by ./bankStatementMerge.js. Likely duplicate invoices
+// within an organization are scored by ./invoiceDuplicates.js.
+
+function validateExtraction(data, family, { parseNumber = null } = {}) {
+  const schema = getExtractionSchema(family);
+  const removedFields = [];
+  const normalized = normalizeToSchema(data, schema, { parseNumber }, '', removedFields);
+  const errors = validateAgainstSchema(normalized, schema);
+
+  return {
+    data: normalized,
+    valid: errors.length === 0,
+    errors,
+    removedFields
+  };
+}
+
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path || '(root)'}: ${error.message}`);
+}
+
+// A top-level field is valid when no error points at it or anything nested inside it
+function buildFieldValidity(schema, errors) {
+  const fields = {};
+  for (const key of Object.keys(schema.properties)) {
+    fields[key] = !errors.some(error =>
+      error.path === key || error.path.startsWith(`${key}.`) || error.path.startsWith(`${key}[`)
+    );
+  }
+  return fields;
+}
+
+// Final result after the last attempt: invalid values are replaced (null, [] or dropped
+// list items) so nothing off-schema reaches the database, and the outcome is recorded
+// per field in schema_validation.fields
+function finalizeExtraction(result, family, attempts) {
+  const schema = getExtractionSchema(family);
+  const data = sanitizeToSchema(result.data, schema) || {};
+
+  return {
+    ...data,
+    schema_validation: {
+      schema: family,
+      valid: result.valid,
+      attempts,
+      fields: buildFieldValidity(schema, result.errors),
+      errors: formatValidationErrors(result.errors),
+      removed_fields: result.removedFields
+    }
+  };
+}
+
+module.exports = {
+  EXTRACTION_SCHEMAS,
+  getExtractionSchema,
+  validateExtraction,
+  finalizeExtraction,
+  formatValidationErrors,
+  reconcileInvoiceTotals,
+  reconcileBankTransactions,
+  mergeBankStatementBatches,
+  normalizeVendor,
+  parseEmbedding,
+  cosineSimilarity,
+  scoreInvoiceMatch,
+  classifyInvoiceDuplicates
+};
@@ -0,0 +1,168 @@
+// Semantic duplicate detection for invoices and receipts: the same invoice scanned twice
+// or uploaded as both PDF and photo has different bytes but the same vendor, number,
+// amount and date. Field agreement gives the score; embedding similarity of the document
+// text breaks ties and confirms borderline matches.
+
+const FIELD_WEIGHTS = {
+  document_number: 0.35,
+  vendor: 0.2,
+  amount: 0.25,
+  date: 0.2
+};
+
+// Without a document number on both sides (most receipts) the same vendor, amount and
+// day can be a genuine repeat purchase, so the score is discounted
+const NO_DOCUMENT_NUMBER_FACTOR = 0.85;
+
+// Fewer comparable fields than this is not enough evidence either way
+const MIN_COMPARABLE_FIELDS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function roundScore(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Same normalization as documents.vendor_normalized
+function normalizeVendor(vendor) {
+  return vendor ? vendor.toLowerCase().replace(/[^a-z0-9]/g, '') : null;
+}
+
+// "INV/2024/001", "inv-2024-001" and "INV 2024 001" are the same number
+function normalizeDocumentNumber(documentNumber) {
+  if (documentNumber === null || documentNumber === undefined) return null;
+  const normalized = String(documentNumber).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return normalized || null;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// pgvector columns come back from PostgREST as a "[0.1,0.2,...]" string
+function parseEmbedding(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return null;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// current: { vendor_normalized, document_number, amount, currency, date }
+// candidate: a documents row (vendor_normalized, document_number, total_amount, currency, document_date)
+// Returns { score, comparable_fields, matched_fields, conflicting_fields } or null when too few
+// fields can be compared
+function scoreInvoiceMatch(current, candidate, { amountTolerance, dateWindowDays }) {
+  const comparisons = [];
+
+  const currentNumber = normalizeDocumentNumber(current.document_number);
+  const candidateNumber = normalizeDocumentNumber(candidate.document_number);
+  if (currentNumber && candidateNumber) {
+    comparisons.push({ field: 'document_number', match: currentNumber === candidateNumber ? 1 : 0 });
+  }
+
+  if (current.vendor_normalized && candidate.vendor_normalized) {
+    comparisons.push({ field: 'vendor', match: current.vendor_normalized === candidate.vendor_normalized ? 1 : 0 });
+  }
+
+  if (isNumber(current.amount) && isNumber(candidate.total_amount)) {
+    const sameCurrency = !current.currency || !candidate.currency || current.currency === candidate.currency;
+    const withinTolerance = Math.abs(current.amount - candidate.total_amount) <= amountTolerance(current.amount);
+    comparisons.push({ field: 'amount', match: sameCurrency && withinTolerance ? 1 : 0 });
+  }
+
+  const currentDate = parseDate(current.date);
+  const candidateDate = parseDate(candidate.document_date);
+  if (currentDate !== null && candidateDate !== null) {
+    // Full credit for the same day, fading out over the window (OCR'd day/month slips)
+    const days = Math.abs(currentDate - candidateDate) / DAY_MS;
+    comparisons.push({ field: 'date', match: days < 1 ? 1 : Math.max(0, 1 - days / (dateWindowDays + 1)) });
+  }
+
+  if (comparisons.length < MIN_COMPARABLE_FIELDS) return null;
+
+  const possible = comparisons.reduce((sum, comparison) => sum + FIELD_WEIGHTS[comparison.field], 0);
+  const matched = comparisons.reduce((sum, comparison) => sum + FIELD_WEIGHTS[comparison.field] * comparison.match, 0);
+  const hasDocumentNumbers = comparisons.some(comparison => comparison.field === 'document_number');
+
+  return {
+    score: roundScore((matched / possible) * (hasDocumentNumbers ? 1 : NO_DOCUMENT_NUMBER_FACTOR)),
+    comparable_fields: comparisons.map(comparison => comparison.field),
+    matched_fields: comparisons.filter(comparison => comparison.match === 1).map(comparison => comparison.field),
+    conflicting_fields: comparisons.filter(comparison => comparison.match === 0).map(comparison => comparison.field)
+  };
+}
+
+// Rank scored candidates and decide. candidates: [{ id, score, similarity, matched_fields, conflicting_fields }]
+//   likely_duplicate:   score >= flagScore, or a borderline score confirmed by similarity
+//                       (never when the document numbers differ: same template, different invoice)
+//   possible_duplicate: borderline score without confirming similarity
+//   unique:             nothing close enough
+function classifyInvoiceDuplicates(candidates, { flagScore, reviewScore, similarityThreshold }) {
+  const ranked = [...candidates].sort((a, b) =>
+    b.score - a.score || (b.similarity ?? -1) - (a.similarity ?? -1)
+  );
+
+  const decide = candidate => {
+    if (candidate.score >= flagScore) return 'likely_duplicate';
+    if (candidate.score >= reviewScore) {
+      const confirmed = candidate.similarity !== null && candidate.similarity >= similarityThreshold &&
+        !candidate.conflicting_fields.includes('document_number');
+      return confirmed ? 'likely_duplicate' : 'possible_duplicate';
+    }
+    return 'unique';
+  };
+
+  // A confirmed borderline match outranks an unconfirmed one with a slightly higher score
+  const best = ranked.find(candidate => decide(candidate) === 'likely_duplicate') || ranked[0] || null;
+  const status = best ? decide(best) : 'unique';
+
+  return {
+    status,
+    needs_review: status !== 'unique',
+    duplicate_of: status !== 'unique' ? best.id : null,
+    score: best ? best.score : null,
+    similarity: best && best.similarity !== null ? roundScore(best.similarity) : null,
+    matched_fields: best ? best.matched_fields : [],
+    candidates: ranked.slice(0, 3).map(candidate => ({
+      id: candidate.id,
+      score: candidate.score,
+      similarity: candidate.similarity !== null ? roundScore(candidate.similarity) : null,
+      matched_fields: candidate.matched_fields
+    }))
+  };
+}
+
+module.exports = {
+  normalizeVendor,
+  normalizeDocumentNumber,
+  parseEmbedding,
+  cosineSimilarity,
+  scoreInvoiceMatch,
+  classifyInvoiceDuplicates
+};
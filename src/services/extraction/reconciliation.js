@@ -0,0 +1,159 @@
+// Arithmetic cross-checks for invoices and receipts: line item math, missing
+// quantity/unit price inference and line items vs. document total.
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Quantities are usually whole numbers; keep fractional ones (kg, hours) to 4 decimals
+function roundQuantity(value) {
+  const rounded = Math.round(value);
+  return Math.abs(value - rounded) < 0.001 ? rounded : Math.round(value * 10000) / 10000;
+}
+
+function toleranceFor(value, { absoluteTolerance, relativeTolerance }) {
+  return Math.max(absoluteTolerance, Math.abs(value) * relativeTolerance);
+}
+
+// Fill in a missing quantity, unit_price or line_total_amount from the other two.
+// Returns the completed item and the fields that were inferred.
+function inferLineItemValues(item) {
+  const completed = { ...item };
+  const inferred = [];
+  const { quantity, unit_price: unitPrice, line_total_amount: lineTotal } = item;
+
+  if (isNumber(lineTotal)) {
+    if (!isNumber(unitPrice) && isNumber(quantity) && quantity !== 0) {
+      completed.unit_price = roundAmount(lineTotal / quantity);
+      inferred.push('unit_price');
+    } else if (!isNumber(quantity) && isNumber(unitPrice) && unitPrice !== 0) {
+      completed.quantity = roundQuantity(lineTotal / unitPrice);
+      inferred.push('quantity');
+    } else if (!isNumber(quantity) && !isNumber(unitPrice)) {
+      // Same default the prompts use for handwritten notas: one unit at the line total
+      completed.quantity = 1;
+      completed.unit_price = lineTotal;
+      inferred.push('quantity', 'unit_price');
+    }
+  } else if (isNumber(quantity) && isNumber(unitPrice)) {
+    completed.line_total_amount = roundAmount(quantity * unitPrice);
+    inferred.push('line_total_amount');
+  }
+
+  return { item: completed, inferred };
+}
+
+// Reconcile an accounting extraction. Returns the data with inferred line item values
+// and a validation block:
+//   status: 'reconciled' | 'mismatch' | 'unverifiable'
+//   needs_review, checks (each with expected/actual/difference), inferred, issues
+function reconcileInvoiceTotals(extractedData, options) {
+  const checks = [];
+  const inferred = [];
+  const issues = [];
+  let lineItems = extractedData.line_items;
+
+  // Line item arithmetic: quantity x unit_price = line_total_amount
+  if (Array.isArray(lineItems) && lineItems.length > 0) {
+    lineItems = lineItems.map((item, index) => {
+      const result = inferLineItemValues(item);
+      for (const field of result.inferred) {
+        inferred.push({ line: index, field, value: result.item[field] });
+      }
+
+      const { quantity, unit_price: unitPrice, line_total_amount: lineTotal } = result.item;
+      if (isNumber(quantity) && isNumber(unitPrice) && isNumber(lineTotal) && result.inferred.length === 0) {
+        const expected = roundAmount(quantity * unitPrice);
+        const difference = roundAmount(lineTotal - expected);
+        if (Math.abs(difference) > toleranceFor(expected, options)) {
+          checks.push({
+            check: 'line_item_arithmetic',
+            line: index,
+            expected,
+            actual: lineTotal,
+            difference,
+            passed: false
+          });
+          issues.push(`Line ${index + 1}: ${quantity} x ${unitPrice} = ${expected}, document shows ${lineTotal}`);
+        }
+      }
+
+      return result.item;
+    });
+  }
+
+  const amount = extractedData.amount;
+  const pricedLines = Array.isArray(lineItems) ? lineItems.filter(item => isNumber(item.line_total_amount)) : [];
+
+  if (!isNumber(amount) || pricedLines.length === 0) {
+    const status = checks.length > 0 ? 'mismatch' : 'unverifiable';
+    return {
+      data: { ...extractedData, line_items: lineItems },
+      validation: {
+        status,
+        needs_review: status === 'mismatch',
+        checks,
+        inferred,
+        issues: [...issues, !isNumber(amount) ? 'No total amount to reconcile against' : 'No priced line items to reconcile against']
+      }
+    };
+  }
+
+  // Document total: line items plus tax and service charge, less discount.
+  // Indonesian receipts often quote tax-inclusive prices, so that reading is accepted too.
+  const subtotal = roundAmount(pricedLines.reduce((sum, item) => sum + item.line_total_amount, 0));
+  const tax = isNumber(extractedData.tax_amount) ? extractedData.tax_amount : 0;
+  const serviceCharge = isNumber(extractedData.service_charge_amount) ? extractedData.service_charge_amount : 0;
+  const discount = isNumber(extractedData.discount) ? Math.abs(extractedData.discount) : 0;
+
+  const candidates = [
+    { formula: 'line_items + tax + service_charge - discount', expected: subtotal + tax + serviceCharge - discount },
+    { formula: 'line_items + service_charge - discount (tax inclusive)', expected: subtotal + serviceCharge - discount },
+    { formula: 'line_items - discount (tax and service inclusive)', expected: subtotal - discount }
+  ].map(candidate => {
+    const expected = roundAmount(candidate.expected);
+    return { ...candidate, expected, difference: roundAmount(amount - expected) };
+  });
+
+  const best = candidates.reduce((a, b) => Math.abs(b.difference) < Math.abs(a.difference) ? b : a);
+  const totalPassed = Math.abs(best.difference) <= toleranceFor(amount, options);
+
+  checks.unshift({
+    check: 'document_total',
+    formula: best.formula,
+    line_items_subtotal: subtotal,
+    tax_amount: tax,
+    service_charge_amount: serviceCharge,
+    discount,
+    expected: best.expected,
+    actual: amount,
+    difference: best.difference,
+    difference_percent: best.expected !== 0 ? roundAmount((best.difference / best.expected) * 100) : null,
+    passed: totalPassed
+  });
+  if (!totalPassed) {
+    issues.unshift(`Total ${amount} does not match ${best.formula} = ${best.expected} (difference ${best.difference})`);
+  }
+
+  const status = checks.every(check => check.passed) ? 'reconciled' : 'mismatch';
+
+  return {
+    data: { ...extractedData, line_items: lineItems },
+    validation: {
+      status,
+      needs_review: status === 'mismatch',
+      checks,
+      inferred,
+      issues
+    }
+  };
+}
+
+module.exports = {
+  reconcileInvoiceTotals,
+  inferLineItemValues
+};
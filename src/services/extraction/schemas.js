@@ -0,0 +1,108 @@
+// JSON schemas for AI structured extraction, one per document family.
+// Every key is required (the prompts ask for null when a value is unknown) and
+// keys the prompts do not ask for are rejected.
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+const nullableDate = { type: ['string', 'null'], format: 'date' };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+function objectSchema(properties, extra = {}) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+    ...extra
+  };
+}
+
+const LINE_ITEM_SCHEMA = objectSchema({
+  description: nullableString,
+  quantity: nullableNumber,
+  unit_price: nullableNumber,
+  line_total_amount: nullableNumber
+}, { required: ['description', 'line_total_amount'] });
+
+const BANK_TRANSACTION_SCHEMA = objectSchema({
+  transaction_date: nullableDate,
+  description: nullableString,
+  reference_code: nullableString,
+  debit_amount: nullableNumber,
+  credit_amount: nullableNumber,
+  running_balance: nullableNumber,
+  transaction_type: nullableString
+}, { required: ['transaction_date', 'description', 'debit_amount', 'credit_amount', 'running_balance'] });
+
+const ACCOUNTING_PROPERTIES = {
+  vendor: nullableString,
+  date: nullableDate,
+  type: nullableString,
+  amount: nullableNumber,
+  currency: nullableString,
+  description: nullableString,
+  discount: nullableNumber,
+  deposit_amount: nullableNumber,
+  document_number: nullableString,
+  tax_amount: nullableNumber,
+  tax_type_name: nullableString,
+  service_charge_amount: nullableNumber,
+  service_charge_type: nullableString,
+  due_date: nullableDate,
+  ap_ar_status: { type: ['string', 'null'], enum: ['AP', 'AR', 'N/A', null] }
+};
+
+const STANDARD_SCHEMA = objectSchema({
+  ...ACCOUNTING_PROPERTIES,
+  line_items: { type: ['array', 'null'], items: LINE_ITEM_SCHEMA }
+});
+
+const BANK_STATEMENT_SCHEMA = objectSchema({
+  ...ACCOUNTING_PROPERTIES,
+  line_items: { type: ['array', 'null'], items: LINE_ITEM_SCHEMA },
+  bank_transactions: { type: 'array', items: BANK_TRANSACTION_SCHEMA }
+});
+
+const LEGAL_SCHEMA = objectSchema({
+  document_title: nullableString,
+  document_type: nullableString,
+  contract_type: nullableString,
+  parties: stringList,
+  primary_party: nullableString,
+  counterparty: nullableString,
+  document_date: nullableDate,
+  effective_date: nullableDate,
+  expiry_date: nullableDate,
+  governing_law: nullableString,
+  jurisdiction: nullableString,
+  language: nullableString,
+  legal_area: nullableString,
+  key_terms: stringList,
+  obligations: stringList,
+  rights: stringList,
+  risk_factors: stringList,
+  compliance_notes: nullableString,
+  contract_value: nullableNumber,
+  currency: nullableString,
+  payment_terms: nullableString,
+  summary: nullableString
+});
+
+const EXTRACTION_SCHEMAS = {
+  standard: STANDARD_SCHEMA,
+  bank_statement: BANK_STATEMENT_SCHEMA,
+  legal: LEGAL_SCHEMA
+};
+
+function getExtractionSchema(family) {
+  const schema = EXTRACTION_SCHEMAS[family];
+  if (!schema) {
+    throw new Error(`Unknown extraction schema: ${family}`);
+  }
+  return schema;
+}
+
+module.exports = {
+  EXTRACTION_SCHEMAS,
+  getExtractionSchema
+};
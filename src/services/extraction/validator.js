@@ -0,0 +1,160 @@
+// Minimal JSON schema validator for extraction results.
+// Supports the subset used in ./schemas.js: type (single or list), enum, format 'date',
+// properties, required, additionalProperties: false and items.
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+  return typeof value;
+}
+
+function allowedTypes(schema) {
+  if (!schema.type) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function isValidDate(value) {
+  const match = value.match(DATE_PATTERN);
+  if (!match) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Returns a list of { path, message } errors; an empty list means the value is valid
+function validateAgainstSchema(value, schema, path = '') {
+  const errors = [];
+  const types = allowedTypes(schema);
+  const actualType = typeOf(value);
+
+  if (types && !types.includes(actualType)) {
+    errors.push({ path, message: `expected ${types.join(' or ')}, got ${actualType}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (schema.format === 'date' && typeof value === 'string' && !isValidDate(value)) {
+    errors.push({ path, message: `must be a date in YYYY-MM-DD format, got ${JSON.stringify(value)}` });
+  }
+
+  if (schema.properties && isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties[key];
+      if (!propertySchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: joinPath(path, key), message: 'is not an allowed field' });
+        }
+        continue;
+      }
+      if (propertyValue !== undefined) {
+        errors.push(...validateAgainstSchema(propertyValue, propertySchema, joinPath(path, key)));
+      }
+    }
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, joinPath(path, index)));
+    });
+  }
+
+  return errors;
+}
+
+// Deterministic clean-up before validation: drops fields the schema does not allow
+// (recorded in removedFields) and converts values whose intent is unambiguous -
+// numeric strings into numbers (via parseNumber) and numbers into strings.
+function normalizeToSchema(value, schema, { parseNumber = null } = {}, path = '', removedFields = []) {
+  const types = allowedTypes(schema) || [];
+
+  if (typeof value === 'string' && types.includes('number') && !types.includes('string') && parseNumber) {
+    const parsed = parseNumber(value);
+    return parsed === null ? value : parsed;
+  }
+
+  if (typeof value === 'number' && types.includes('string') && !types.includes('number')) {
+    return String(value);
+  }
+
+  if (schema.properties && isPlainObject(value)) {
+    const normalized = {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties[key];
+      if (!propertySchema) {
+        if (schema.additionalProperties === false) {
+          removedFields.push(joinPath(path, key));
+          continue;
+        }
+        normalized[key] = propertyValue;
+        continue;
+      }
+      normalized[key] = normalizeToSchema(propertyValue, propertySchema, { parseNumber }, joinPath(path, key), removedFields);
+    }
+    return normalized;
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    return value.map((item, index) => normalizeToSchema(item, schema.items, { parseNumber }, joinPath(path, index), removedFields));
+  }
+
+  return value;
+}
+
+// Replacement for a value that cannot be made valid
+function fallbackValue(schema) {
+  const types = allowedTypes(schema) || [];
+  if (types.includes('null')) return null;
+  if (types.includes('array')) return [];
+  return undefined;
+}
+
+// Make a value schema-valid by replacing invalid leaves with null (or [] for required lists)
+// and dropping array items that cannot be repaired. Used once the model has had its retry.
+function sanitizeToSchema(value, schema) {
+  if (validateAgainstSchema(value, schema).length === 0) return value;
+
+  if (schema.properties && isPlainObject(value)) {
+    const sanitized = {};
+    const required = schema.required || [];
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] === undefined && !required.includes(key)) continue;
+      const sanitizedValue = sanitizeToSchema(value[key], propertySchema);
+      if (sanitizedValue !== undefined) sanitized[key] = sanitizedValue;
+    }
+    return sanitized;
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    return value
+      .map(item => sanitizeToSchema(item, schema.items))
+      .filter(item => item !== undefined && validateAgainstSchema(item, schema.items).length === 0);
+  }
+
+  return fallbackValue(schema);
+}
+
+module.exports = {
+  validateAgainstSchema,
+  normalizeToSchema,
+  sanitizeToSchema
+};
@@ -0,0 +1,107 @@
+const fs = require('fs/promises');
+const path = require('path');
+const LocalQueue = require('./LocalQueue');
+
+// A directory lock older than this was left behind by a crashed process
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+// Queue persisted as one JSON file per message under <directory>/<queue>/, so queued
+// work survives restarts and can be shared by several local processes (the service
+// and scripts/dlq.js). A lock directory per queue guards read-modify-write cycles
+// across processes.
+class FileSystemQueue extends LocalQueue {
+  constructor({ directory, logger }) {
+    super({ logger });
+    this.name = 'filesystem';
+    this.directory = directory;
+  }
+
+  queueDirectory(queue) {
+    return path.join(this.directory, queue);
+  }
+
+  async readMessages(queue) {
+    const directory = this.queueDirectory(queue);
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        // Deleted by another process since readdir, or not one of ours
+        if (error.code !== 'ENOENT') {
+          this.logger.warn(`Skipping unreadable queue message ${file}: ${error.message}`);
+        }
+      }
+    }
+    return records;
+  }
+
+  async writeMessage(queue, record) {
+    const directory = this.queueDirectory(queue);
+    await fs.mkdir(directory, { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const file = path.join(directory, `${record.id}.json`);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(record));
+    await fs.rename(tempFile, file);
+  }
+
+  async removeMessage(queue, id) {
+    try {
+      await fs.unlink(path.join(this.queueDirectory(queue), `${id}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async withLock(queue, fn) {
+    return super.withLock(queue, () => this.withDirectoryLock(queue, fn));
+  }
+
+  // mkdir is atomic, so the lock directory also excludes other processes
+  async withDirectoryLock(queue, fn) {
+    const lockDirectory = `${this.queueDirectory(queue)}.lock`;
+    await fs.mkdir(this.directory, { recursive: true });
+
+    while (true) {
+      try {
+        await fs.mkdir(lockDirectory);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        await this.breakStaleLock(lockDirectory);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.rmdir(lockDirectory).catch(() => {});
+    }
+  }
+
+  async breakStaleLock(lockDirectory) {
+    try {
+      const { mtimeMs } = await fs.stat(lockDirectory);
+      if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+        this.logger.warn(`Removing stale queue lock ${lockDirectory}`);
+        await fs.rmdir(lockDirectory);
+      }
+    } catch (error) {
+      // Released in the meantime
+    }
+  }
+}
+
+module.exports = FileSystemQueue;
@@ -0,0 +1,184 @@
+const { v4: uuidv4 } = require('uuid');
+
+const QUEUES = ['main', 'dead-letter'];
+
+// How often a long-polling receive looks again for messages sent by another process
+// or whose visibility timeout ran out
+const POLL_INTERVAL_MS = 1000;
+
+// Shared SQS semantics for the local drivers: a received message stays invisible for
+// the visibility timeout and comes back (with a higher receive count) unless it is
+// deleted first. Subclasses provide the storage: readMessages, writeMessage, removeMessage.
+class LocalQueue {
+  constructor({ logger }) {
+    this.logger = logger;
+    this.waiters = new Set();
+    this.locks = new Map();
+    this.closed = false;
+  }
+
+  hasQueue(queue) {
+    return QUEUES.includes(queue);
+  }
+
+  checkQueue(queue) {
+    if (!this.hasQueue(queue)) {
+      throw new Error(`Unknown queue: ${queue}`);
+    }
+  }
+
+  async receive(queue, { maxMessages = 1, waitSeconds = 20, visibilityTimeout = 30 } = {}) {
+    this.checkQueue(queue);
+    const deadline = Date.now() + waitSeconds * 1000;
+
+    while (true) {
+      const messages = await this.claim(queue, maxMessages, visibilityTimeout);
+      if (messages.length > 0 || this.closed || Date.now() >= deadline) {
+        return messages;
+      }
+      await this.wait(Math.min(POLL_INTERVAL_MS, deadline - Date.now()));
+    }
+  }
+
+  claim(queue, maxMessages, visibilityTimeout) {
+    return this.withLock(queue, async () => {
+      const now = Date.now();
+      const visible = (await this.readMessages(queue))
+        .filter(record => record.visibleAt <= now)
+        .sort((a, b) => a.sentAt - b.sentAt)
+        .slice(0, maxMessages);
+
+      const messages = [];
+      for (const record of visible) {
+        record.receiveCount += 1;
+        record.visibleAt = now + visibilityTimeout * 1000;
+        record.receiptHandle = `${record.id}:${uuidv4()}`;
+        await this.writeMessage(queue, record);
+        messages.push(this.toMessage(record));
+      }
+      return messages;
+    });
+  }
+
+  async send(queue, { body, attributes, delaySeconds = 0 }) {
+    this.checkQueue(queue);
+    if (typeof body !== 'string') {
+      throw new Error('Message body must be a string');
+    }
+
+    const now = Date.now();
+    const record = {
+      id: uuidv4(),
+      body,
+      attributes: attributes || {},
+      sentAt: now,
+      receiveCount: 0,
+      visibleAt: now + delaySeconds * 1000,
+      receiptHandle: null
+    };
+
+    await this.withLock(queue, () => this.writeMessage(queue, record));
+    this.notify();
+    return { messageId: record.id };
+  }
+
+  async delete(queue, receiptHandle) {
+    this.checkQueue(queue);
+    await this.withLock(queue, async () => {
+      const record = await this.findByReceiptHandle(queue, receiptHandle);
+      if (record) {
+        await this.removeMessage(queue, record.id);
+      }
+    });
+  }
+
+  async changeVisibility(queue, receiptHandle, visibilityTimeout) {
+    this.checkQueue(queue);
+    await this.withLock(queue, async () => {
+      const record = await this.findByReceiptHandle(queue, receiptHandle);
+      if (!record) {
+        throw new Error('Receipt handle is invalid or has expired');
+      }
+      record.visibleAt = Date.now() + visibilityTimeout * 1000;
+      await this.writeMessage(queue, record);
+    });
+    if (visibilityTimeout === 0) this.notify();
+  }
+
+  async stats(queue) {
+    this.checkQueue(queue);
+    const now = Date.now();
+    const records = await this.readMessages(queue);
+    const available = records.filter(record => record.visibleAt <= now).length;
+    // Hidden messages that were never received are delayed, the others in flight
+    const delayed = records.filter(record => record.visibleAt > now && record.receiveCount === 0).length;
+
+    return {
+      available,
+      inFlight: records.length - available - delayed,
+      delayed
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    this.notify();
+  }
+
+  // Only the latest receive of a message can delete it or change its visibility
+  async findByReceiptHandle(queue, receiptHandle) {
+    const id = String(receiptHandle || '').split(':')[0];
+    const record = (await this.readMessages(queue)).find(candidate => candidate.id === id);
+    return record && record.receiptHandle === receiptHandle ? record : null;
+  }
+
+  // Same shape as an SQS message
+  toMessage(record) {
+    return {
+      MessageId: record.id,
+      ReceiptHandle: record.receiptHandle,
+      Body: record.body,
+      MessageAttributes: JSON.parse(JSON.stringify(record.attributes)),
+      Attributes: {
+        ApproximateReceiveCount: String(record.receiveCount),
+        SentTimestamp: String(record.sentAt)
+      }
+    };
+  }
+
+  // Serialize read-modify-write cycles on a queue within this process
+  async withLock(queue, fn) {
+    const previous = this.locks.get(queue) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    this.locks.set(queue, previous.then(() => current));
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.waiters.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.waiters.add(done);
+    });
+  }
+
+  // Wake up waiting receives
+  notify() {
+    for (const waiter of [...this.waiters]) {
+      waiter();
+    }
+  }
+}
+
+module.exports = LocalQueue;
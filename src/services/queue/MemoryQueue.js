@@ -0,0 +1,27 @@
+const LocalQueue = require('./LocalQueue');
+
+// In-process queue for local development and tests. Messages are lost on restart.
+class MemoryQueue extends LocalQueue {
+  constructor({ logger }) {
+    super({ logger });
+    this.name = 'memory';
+    this.messages = {
+      'main': new Map(),
+      'dead-letter': new Map()
+    };
+  }
+
+  async readMessages(queue) {
+    return [...this.messages[queue].values()];
+  }
+
+  async writeMessage(queue, record) {
+    this.messages[queue].set(record.id, record);
+  }
+
+  async removeMessage(queue, id) {
+    this.messages[queue].delete(id);
+  }
+}
+
+module.exports = MemoryQueue;
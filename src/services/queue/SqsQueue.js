@@ -0,0 +1,92 @@
+const {
+  SQSClient,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+  SendMessageCommand,
+  GetQueueAttributesCommand,
+  ChangeMessageVisibilityCommand
+} = require('@aws-sdk/client-sqs');
+
+// Amazon SQS implementation of the queue interface
+class SqsQueue {
+  constructor({ region, queueUrl, deadLetterQueueUrl, logger }) {
+    this.name = 'sqs';
+    this.logger = logger;
+    this.sqs = new SQSClient({ region });
+    this.queueUrls = {
+      'main': queueUrl,
+      'dead-letter': deadLetterQueueUrl || null
+    };
+  }
+
+  hasQueue(queue) {
+    return !!this.queueUrls[queue];
+  }
+
+  queueUrl(queue) {
+    const url = this.queueUrls[queue];
+    if (!url) {
+      throw new Error(`SQS queue not configured: ${queue}`);
+    }
+    return url;
+  }
+
+  async receive(queue, { maxMessages = 1, waitSeconds = 20, visibilityTimeout } = {}) {
+    const response = await this.sqs.send(new ReceiveMessageCommand({
+      QueueUrl: this.queueUrl(queue),
+      MaxNumberOfMessages: maxMessages,
+      WaitTimeSeconds: waitSeconds,
+      VisibilityTimeout: visibilityTimeout,
+      MessageAttributeNames: ['All'],
+      MessageSystemAttributeNames: ['ApproximateReceiveCount', 'SentTimestamp']
+    }));
+    return response.Messages || [];
+  }
+
+  async send(queue, { body, attributes, delaySeconds }) {
+    const input = { QueueUrl: this.queueUrl(queue), MessageBody: body };
+    if (attributes && Object.keys(attributes).length > 0) input.MessageAttributes = attributes;
+    if (delaySeconds) input.DelaySeconds = delaySeconds;
+
+    const response = await this.sqs.send(new SendMessageCommand(input));
+    return { messageId: response.MessageId };
+  }
+
+  async delete(queue, receiptHandle) {
+    await this.sqs.send(new DeleteMessageCommand({
+      QueueUrl: this.queueUrl(queue),
+      ReceiptHandle: receiptHandle
+    }));
+  }
+
+  async changeVisibility(queue, receiptHandle, visibilityTimeout) {
+    await this.sqs.send(new ChangeMessageVisibilityCommand({
+      QueueUrl: this.queueUrl(queue),
+      ReceiptHandle: receiptHandle,
+      VisibilityTimeout: visibilityTimeout
+    }));
+  }
+
+  async stats(queue) {
+    const { Attributes: attributes } = await this.sqs.send(new GetQueueAttributesCommand({
+      QueueUrl: this.queueUrl(queue),
+      AttributeNames: [
+        'ApproximateNumberOfMessages',
+        'ApproximateNumberOfMessagesNotVisible',
+        'ApproximateNumberOfMessagesDelayed'
+      ]
+    }));
+
+    return {
+      available: parseInt(attributes.ApproximateNumberOfMessages),
+      inFlight: parseInt(attributes.ApproximateNumberOfMessagesNotVisible),
+      delayed: parseInt(attributes.ApproximateNumberOfMessagesDelayed)
+    };
+  }
+
+  async close() {
+    this.sqs.destroy();
+  }
+}
+
+module.exports = SqsQueue;
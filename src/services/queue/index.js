@@ -0,0 +1,39 @@
+const SqsQueue = require('./SqsQueue');
+const MemoryQueue = require('./MemoryQueue');
+const FileSystemQueue = require('./FileSystemQueue');
+
+// Queue interface. A driver serves two queues, 'main' and 'dead-letter'; messages have
+// the SQS message shape ({ MessageId, ReceiptHandle, Body, MessageAttributes,
+// Attributes: { ApproximateReceiveCount, SentTimestamp } }):
+//   receive(queue, { maxMessages, waitSeconds, visibilityTimeout }) -> message[]
+//   send(queue, { body, attributes, delaySeconds })                 -> { messageId }, attributes in SQS MessageAttributes form;
+//                                                                      delaySeconds (up to 900) hides a new message at first
+//   delete(queue, receiptHandle)
+//   changeVisibility(queue, receiptHandle, visibilityTimeout)
+//   stats(queue)                                                     -> { available, inFlight, delayed }
+//   hasQueue(queue)                                                  -> false when that queue isn't configured
+//   close()
+function createQueue(driver, { config, logger }) {
+  switch (driver) {
+    case 'sqs':
+      return new SqsQueue({
+        region: config.aws.region,
+        queueUrl: config.aws.sqsQueueUrl,
+        deadLetterQueueUrl: config.aws.sqsDeadLetterQueueUrl,
+        logger
+      });
+    case 'memory':
+      return new MemoryQueue({ logger });
+    case 'filesystem':
+      return new FileSystemQueue({ directory: config.queue.directory, logger });
+    default:
+      throw new Error(`Unsupported queue driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createQueue,
+  SqsQueue,
+  MemoryQueue,
+  FileSystemQueue
+};
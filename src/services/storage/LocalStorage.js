@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { withFailureCategory } = require('../../utils/failures');
+const { fileTooLargeError } = require('./limits');
+
+// Local filesystem implementation of the storage interface for development and tests.
+// Buckets are directories under the root directory.
+class LocalStorage {
+  constructor({ directory, logger }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+    this.logger = logger;
+  }
+
+  // Keys are relative paths; anything resolving outside the bucket is refused
+  filePath(bucket, key) {
+    const bucketDirectory = path.join(this.directory, bucket);
+    const filePath = path.resolve(bucketDirectory, key);
+    if (!bucket || bucket.includes('/') || !filePath.startsWith(`${bucketDirectory}${path.sep}`)) {
+      throw new Error(`Invalid storage location: ${bucket}/${key}`);
+    }
+    return filePath;
+  }
+
+  async upload(bucket, key, buffer, { upsert = true } = {}) {
+    const filePath = this.filePath(bucket, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: upsert ? 'w' : 'wx' });
+
+    return { backend: this.name, bucket, key };
+  }
+
+  async download(bucket, key, { maxBytes = null } = {}) {
+    const filePath = this.filePath(bucket, key);
+    try {
+      if (maxBytes) {
+        const { size } = await fs.stat(filePath);
+        if (size > maxBytes) throw fileTooLargeError(bucket, key, size, maxBytes);
+      }
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw withFailureCategory(new Error(`Local storage file not found: ${bucket}/${key}`), 'file_not_found');
+      }
+      throw error;
+    }
+  }
+
+  async remove(bucket, key) {
+    await fs.rm(this.filePath(bucket, key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,61 @@
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { fileTooLargeError } = require('./limits');
+
+// Amazon S3 implementation of the storage interface
+class S3Storage {
+  constructor({ region, logger }) {
+    this.name = 's3';
+    this.logger = logger;
+    this.s3 = new S3Client({ region });
+  }
+
+  async upload(bucket, key, buffer, { contentType, upsert = true } = {}) {
+    await this.s3.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      // Conditional write: fails if the object already exists
+      ...(upsert ? {} : { IfNoneMatch: '*' })
+    }));
+
+    return { backend: this.name, bucket, key };
+  }
+
+  async download(bucket, key, { signal = null, maxBytes = null } = {}) {
+    const data = await this.s3.send(
+      new GetObjectCommand({ Bucket: bucket, Key: key }),
+      signal ? { abortSignal: signal } : {}
+    );
+
+    // Convert stream to buffer for v3 SDK with proper cleanup
+    const stream = data.Body;
+    const chunks = [];
+    try {
+      // The headers arrive before the body, so an oversized object is never read
+      if (maxBytes && data.ContentLength > maxBytes) {
+        throw fileTooLargeError(bucket, key, data.ContentLength, maxBytes);
+      }
+
+      let received = 0;
+      for await (const chunk of stream) {
+        received += chunk.length;
+        if (maxBytes && received > maxBytes) {
+          throw fileTooLargeError(bucket, key, received, maxBytes);
+        }
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    } finally {
+      if (stream && typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+    }
+  }
+
+  async remove(bucket, key) {
+    await this.s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+}
+
+module.exports = S3Storage;
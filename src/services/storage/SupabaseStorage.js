@@ -0,0 +1,60 @@
+const { withFailureCategory } = require('../../utils/failures');
+const { fileTooLargeError } = require('./limits');
+
+// Supabase Storage implementation of the storage interface
+class SupabaseStorage {
+  constructor({ supabase, logger }) {
+    this.name = 'supabase';
+    this.supabase = supabase;
+    this.logger = logger;
+  }
+
+  async upload(bucket, key, buffer, { contentType, upsert = true } = {}) {
+    const { error } = await this.supabase.storage
+      .from(bucket)
+      .upload(key, buffer, { contentType, upsert });
+
+    if (error) {
+      throw new Error(`Supabase storage upload failed: ${bucket}/${key} - ${error.message}`);
+    }
+
+    return { backend: this.name, bucket, key };
+  }
+
+  async download(bucket, key, { maxBytes = null } = {}) {
+    if (maxBytes) {
+      // Best-effort: without object info the size is checked after the download
+      const { data: info } = await this.supabase.storage.from(bucket).info(key);
+      if (info && info.size > maxBytes) {
+        throw fileTooLargeError(bucket, key, info.size, maxBytes);
+      }
+    }
+
+    const { data, error } = await this.supabase.storage
+      .from(bucket)
+      .download(key);
+
+    if (error || !data) {
+      const downloadError = new Error(`Supabase storage download failed: ${bucket}/${key} - ${error?.message || 'no data'}`);
+      throw /not found/i.test(error?.message || '') ? withFailureCategory(downloadError, 'file_not_found') : downloadError;
+    }
+
+    if (maxBytes && data.size > maxBytes) {
+      throw fileTooLargeError(bucket, key, data.size, maxBytes);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(bucket, key) {
+    const { error } = await this.supabase.storage
+      .from(bucket)
+      .remove([key]);
+
+    if (error) {
+      throw new Error(`Supabase storage remove failed: ${bucket}/${key} - ${error.message}`);
+    }
+  }
+}
+
+module.exports = SupabaseStorage;
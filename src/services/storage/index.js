@@ -0,0 +1,31 @@
+const SupabaseStorage = require('./SupabaseStorage');
+const S3Storage = require('./S3Storage');
+const LocalStorage = require('./LocalStorage');
+
+// Storage interface:
+//   upload(bucket, key, buffer, { contentType, upsert }) -> { backend, bucket, key }
+//   download(bucket, key, { signal, maxBytes })          -> Buffer
+//   remove(bucket, key)                                  (no error when the object doesn't exist)
+// download refuses objects larger than maxBytes (file_too_large) before reading them
+// where the backend reports the size up front.
+// deps carries the already-initialized clients and settings
+// ({ supabase, logger, region (S3), directory (local) }).
+function createStorage(backend, deps) {
+  switch (backend) {
+    case 's3':
+      return new S3Storage(deps);
+    case 'supabase':
+      return new SupabaseStorage(deps);
+    case 'local':
+      return new LocalStorage(deps);
+    default:
+      throw new Error(`Unsupported storage backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  SupabaseStorage,
+  S3Storage,
+  LocalStorage
+};
@@ -0,0 +1,10 @@
+const { withFailureCategory } = require('../../utils/failures');
+
+function fileTooLargeError(bucket, key, size, maxBytes) {
+  return withFailureCategory(
+    new Error(`File ${bucket}/${key} is ${size} bytes, larger than the ${maxBytes} byte limit`),
+    'file_too_large'
+  );
+}
+
+module.exports = { fileTooLargeError };
@@ -4,20 +4,32 @@
 
 const requiredEnvVars = [
   'SUPABASE_URL',
-  'SUPABASE_SERVICE_ROLE_KEY', 
-  'GEMINI_API_KEY',
-  'AWS_REGION',
-  'S3_BUCKET_NAME',
-  'SQS_QUEUE_URL'
+  'SUPABASE_SERVICE_ROLE_KEY'
 ];
 
+// Required only when AWS is used: the sqs queue driver or S3 as a storage backend
+const awsEnvVars = ['AWS_REGION', 'S3_BUCKET_NAME'];
+
+const queueDrivers = ['sqs', 'memory', 'filesystem'];
+
+// Required only for the AI provider selected by AI_PROVIDER
+const aiProviderEnvVars = {
+  'gemini': ['GEMINI_API_KEY'],
+  'openai-compatible': ['OPENAI_COMPATIBLE_BASE_URL', 'OPENAI_COMPATIBLE_MODEL', 'OPENAI_COMPATIBLE_EMBEDDING_MODEL']
+};
+
 const optionalEnvVars = {
+  AI_PROVIDER: 'gemini',
   S3_BUCKET_REGION: null, // Uses AWS_REGION if not specified
+  QUEUE_DRIVER: 'sqs',
+  QUEUE_DIRECTORY: '/tmp/floucast-queue', // filesystem driver only
+  SQS_QUEUE_URL: null, // Without it the sqs driver runs in standalone mode
   SQS_DEAD_LETTER_QUEUE_URL: null,
   PROCESSING_CONCURRENCY: '3',
   MAX_PROCESSING_TIME_MS: '900000', // 15 minutes
   SQS_VISIBILITY_TIMEOUT: '900', // 15 minutes
   SQS_WAIT_TIME_SECONDS: '20', // Long polling
+  SQS_MAX_RECEIVE_COUNT: '5', // Attempts before a transient failure is dead-lettered
   NODE_ENV: 'production',
   LOG_LEVEL: 'info',
   
@@ -26,13 +38,62 @@ const optionalEnvVars = {
   TEXT_CHUNK_OVERLAP: '100',
   SMALL_DOCUMENT_THRESHOLD: '524288', // 512KB in bytes
   MEDIUM_DOCUMENT_THRESHOLD: '2097152', // 2MB in bytes
+  MAX_FILE_SIZE_BYTES: '52428800', // 50MB; larger files are rejected before download
+  UPLOAD_MAX_FILE_SIZE_BYTES: '20971520', // 20MB; largest file accepted by POST /documents (buffered in memory)
+  SYNC_PROCESSING_MAX_FILE_SIZE_BYTES: '1048576', // 1MB; largest upload processed with sync=true
+  PDF_TEXT_MIN_CHARS_PER_PAGE: '100',
+  PDF_TEXT_MAX_GARBAGE_RATIO: '0.05',
+  PDF_TEXT_TIMEOUT_MS: '30000',
+  BANK_STATEMENT_PAGES_PER_BATCH: '3',
+  DOCUMENT_LEASE_MS: '960000',
+  DUPLICATE_DOCUMENT_ACTION: 'link',
+  DUPLICATE_PERCEPTUAL_HASH_MAX_DISTANCE: '10',
+  INVOICE_DUPLICATE_CHECK: 'true',
+  INVOICE_DUPLICATE_SCORE: '0.75',
+  INVOICE_DUPLICATE_SIMILARITY: '0.9',
+  RECONCILIATION_ABSOLUTE_TOLERANCE: '1',
+  RECONCILIATION_RELATIVE_TOLERANCE: '0.001',
+  RECONCILIATION_BALANCE_TOLERANCE: '0.01',
   
   // Image Processing Configuration  
   IMAGE_RESIZE_WIDTH: '1920',
   IMAGE_RESIZE_HEIGHT: '1920',
+  IMAGE_PREPROCESSING_ENABLED: 'true',
+  IMAGE_PREPROCESS_MAX_DIMENSION: '2048',
+  IMAGE_PREPROCESS_DESKEW: 'true',
+  IMAGE_PREPROCESS_MAX_SKEW_ANGLE: '10',
+  IMAGE_PREPROCESS_GRAYSCALE: 'true',
+  IMAGE_PREPROCESS_NORMALIZE: 'true',
+
+  // Storage Configuration (backends: s3, supabase, local)
+  DOCUMENT_STORAGE_BACKEND: 's3', // For rows that don't record their file location
+  DOCUMENT_STORAGE_BUCKET: null, // Uses S3_BUCKET_NAME if not specified
+  PREVIEW_STORAGE_BACKEND: 'supabase',
+  PREVIEW_BUCKET: 'documents',
+  STORAGE_LOCAL_DIRECTORY: '/tmp/floucast-storage',
+  
+  // Webhook Configuration (URLs come from organization settings or the request)
+  WEBHOOK_SIGNING_SECRET: null, // For organizations without their own secret
+  WEBHOOK_TIMEOUT_MS: '10000',
+  WEBHOOK_MAX_ATTEMPTS: '5',
+  WEBHOOK_RETRY_BASE_MS: '2000', // Doubles after each failed attempt
   
   // Request Configuration
   REQUEST_BODY_LIMIT: '100mb',
+  TRUST_PROXY_HOPS: '0', // 1 behind a load balancer, so client IPs come from X-Forwarded-For
+  CORS_ALLOWED_ORIGINS: null, // Comma-separated; no cross-origin access if not specified
+  
+  // Authentication (API keys live in the api_keys table)
+  ADMIN_API_KEYS: null, // Comma-separated admin keys that need no database row
+  
+  // Rate Limiting (token bucket per caller) and Quotas (per organization, 0 = unlimited;
+  // organizations.settings.quotas overrides them)
+  RATE_LIMIT_REQUESTS_PER_MINUTE: '120',
+  RATE_LIMIT_BURST: '60',
+  AUTH_FAILURES_PER_MINUTE: '10', // Failed authentication attempts per client IP
+  AUTH_FAILURE_BURST: '20',
+  QUOTA_DOCUMENTS_PER_DAY: '1000',
+  QUOTA_AI_TOKENS_PER_MONTH: '50000000',
   
   // File Processing Configuration
   MAX_EMBEDDING_BATCH_SIZE: '10'
@@ -52,6 +113,36 @@ function validateEnvironment() {
     }
   }
   
+  const usesAws = (process.env.QUEUE_DRIVER || optionalEnvVars.QUEUE_DRIVER) === 'sqs' ||
+    (process.env.DOCUMENT_STORAGE_BACKEND || optionalEnvVars.DOCUMENT_STORAGE_BACKEND) === 's3' ||
+    (process.env.PREVIEW_STORAGE_BACKEND || optionalEnvVars.PREVIEW_STORAGE_BACKEND) === 's3';
+  if (usesAws) {
+    for (const envVar of awsEnvVars) {
+      const value = process.env[envVar];
+      if (!value || value.trim() === '') {
+        missing.push(envVar);
+      } else {
+        config[envVar] = value;
+      }
+    }
+  }
+  
+  // Check AI provider environment variables
+  const aiProvider = process.env.AI_PROVIDER || optionalEnvVars.AI_PROVIDER;
+  const providerEnvVars = aiProviderEnvVars[aiProvider];
+  if (!providerEnvVars) {
+    throw new Error(`AI_PROVIDER must be one of: ${Object.keys(aiProviderEnvVars).join(', ')}`);
+  }
+  
+  for (const envVar of providerEnvVars) {
+    const value = process.env[envVar];
+    if (!value || value.trim() === '') {
+      missing.push(envVar);
+    } else {
+      config[envVar] = value;
+    }
+  }
+  
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
@@ -72,6 +163,10 @@ function validateEnvironment() {
     throw new Error('MAX_PROCESSING_TIME_MS must be at least 60000 (1 minute)');
   }
   
+  if (!queueDrivers.includes(config.QUEUE_DRIVER)) {
+    throw new Error(`QUEUE_DRIVER must be one of: ${queueDrivers.join(', ')}`);
+  }
+  
   // Validate URLs
   try {
     new URL(config.SUPABASE_URL);
@@ -82,6 +177,10 @@ function validateEnvironment() {
   return config;
 }
 
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 function getConfig() {
   return {
     supabase: {
@@ -89,9 +188,16 @@ function getConfig() {
       serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
     },
     ai: {
+      provider: process.env.AI_PROVIDER || 'gemini',
       geminiApiKey: process.env.GEMINI_API_KEY,
       model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
-      embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+      embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+      openaiCompatible: {
+        baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+        apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+        model: process.env.OPENAI_COMPATIBLE_MODEL,
+        embeddingModel: process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL
+      }
     },
     aws: {
       region: process.env.AWS_REGION,
@@ -100,24 +206,103 @@ function getConfig() {
       sqsQueueUrl: process.env.SQS_QUEUE_URL,
       sqsDeadLetterQueueUrl: process.env.SQS_DEAD_LETTER_QUEUE_URL,
       sqsVisibilityTimeout: parseInt(process.env.SQS_VISIBILITY_TIMEOUT || '900'),
-      sqsWaitTimeSeconds: parseInt(process.env.SQS_WAIT_TIME_SECONDS || '20')
+      sqsWaitTimeSeconds: parseInt(process.env.SQS_WAIT_TIME_SECONDS || '20'),
+      sqsMaxReceiveCount: parseInt(process.env.SQS_MAX_RECEIVE_COUNT || '5')
+    },
+    queue: {
+      driver: process.env.QUEUE_DRIVER || 'sqs',
+      directory: process.env.QUEUE_DIRECTORY || '/tmp/floucast-queue'
     },
     processing: {
       concurrency: parseInt(process.env.PROCESSING_CONCURRENCY || '3'),
       maxTimeMs: parseInt(process.env.MAX_PROCESSING_TIME_MS || '900000'),
+      // A document lease older than this is considered abandoned (worker died)
+      leaseMs: parseInt(process.env.DOCUMENT_LEASE_MS || '960000'),
       tempDir: process.env.TEMP_DIR || '/tmp',
       textChunkSize: parseInt(process.env.TEXT_CHUNK_SIZE || '700'),
       textChunkOverlap: parseInt(process.env.TEXT_CHUNK_OVERLAP || '100'),
       smallDocumentThreshold: parseInt(process.env.SMALL_DOCUMENT_THRESHOLD || '524288'),
       mediumDocumentThreshold: parseInt(process.env.MEDIUM_DOCUMENT_THRESHOLD || '2097152'),
-      maxEmbeddingBatchSize: parseInt(process.env.MAX_EMBEDDING_BATCH_SIZE || '10')
+      maxFileSizeBytes: parseInt(process.env.MAX_FILE_SIZE_BYTES || '52428800'),
+      uploadMaxFileSizeBytes: parseInt(process.env.UPLOAD_MAX_FILE_SIZE_BYTES || '20971520'),
+      syncMaxFileSizeBytes: parseInt(process.env.SYNC_PROCESSING_MAX_FILE_SIZE_BYTES || '1048576'),
+      maxEmbeddingBatchSize: parseInt(process.env.MAX_EMBEDDING_BATCH_SIZE || '10'),
+      bankStatementPagesPerBatch: Math.max(1, parseInt(process.env.BANK_STATEMENT_PAGES_PER_BATCH || '3')),
+      pdfTextLayer: {
+        minCharsPerPage: parseInt(process.env.PDF_TEXT_MIN_CHARS_PER_PAGE || '100'),
+        maxGarbageRatio: parseFloat(process.env.PDF_TEXT_MAX_GARBAGE_RATIO || '0.05'),
+        timeoutMs: parseInt(process.env.PDF_TEXT_TIMEOUT_MS || '30000')
+      },
+      duplicates: {
+        // link: reuse the original's extraction, skip: record the link only,
+        // process: extract anyway and record the link, off: no lookup
+        action: process.env.DUPLICATE_DOCUMENT_ACTION || 'link',
+        perceptualHashMaxDistance: parseInt(process.env.DUPLICATE_PERCEPTUAL_HASH_MAX_DISTANCE || '10'),
+        perceptualCandidateLimit: 1000
+      },
+      invoiceDuplicates: {
+        enabled: process.env.INVOICE_DUPLICATE_CHECK !== 'false',
+        flagScore: parseFloat(process.env.INVOICE_DUPLICATE_SCORE || '0.75'),
+        // Borderline scores are flagged only when the document text is this similar
+        reviewScore: 0.65,
+        similarityThreshold: parseFloat(process.env.INVOICE_DUPLICATE_SIMILARITY || '0.9'),
+        dateWindowDays: 7,
+        candidateLimit: 50
+      },
+      reconciliation: {
+        absoluteTolerance: parseFloat(process.env.RECONCILIATION_ABSOLUTE_TOLERANCE || '1'),
+        relativeTolerance: parseFloat(process.env.RECONCILIATION_RELATIVE_TOLERANCE || '0.001'),
+        balanceTolerance: parseFloat(process.env.RECONCILIATION_BALANCE_TOLERANCE || '0.01')
+      }
     },
     server: {
-      requestBodyLimit: process.env.REQUEST_BODY_LIMIT || '100mb'
+      requestBodyLimit: process.env.REQUEST_BODY_LIMIT || '100mb',
+      corsAllowedOrigins: splitList(process.env.CORS_ALLOWED_ORIGINS),
+      trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS || '0')
+    },
+    auth: {
+      adminApiKeys: splitList(process.env.ADMIN_API_KEYS)
+    },
+    rateLimit: {
+      requestsPerMinute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || '120'),
+      burst: parseInt(process.env.RATE_LIMIT_BURST || '60'),
+      authFailures: {
+        requestsPerMinute: parseInt(process.env.AUTH_FAILURES_PER_MINUTE || '10'),
+        burst: parseInt(process.env.AUTH_FAILURE_BURST || '20')
+      }
+    },
+    quotas: {
+      documentsPerDay: parseInt(process.env.QUOTA_DOCUMENTS_PER_DAY || '1000'),
+      aiTokensPerMonth: parseInt(process.env.QUOTA_AI_TOKENS_PER_MONTH || '50000000')
     },
     image: {
       resizeWidth: parseInt(process.env.IMAGE_RESIZE_WIDTH || '1920'),
-      resizeHeight: parseInt(process.env.IMAGE_RESIZE_HEIGHT || '1920')
+      resizeHeight: parseInt(process.env.IMAGE_RESIZE_HEIGHT || '1920'),
+      preprocessing: {
+        enabled: process.env.IMAGE_PREPROCESSING_ENABLED !== 'false',
+        maxDimension: parseInt(process.env.IMAGE_PREPROCESS_MAX_DIMENSION || '2048'),
+        deskew: process.env.IMAGE_PREPROCESS_DESKEW !== 'false',
+        maxSkewAngle: parseFloat(process.env.IMAGE_PREPROCESS_MAX_SKEW_ANGLE || '10'),
+        minSkewAngle: 0.5,
+        grayscale: process.env.IMAGE_PREPROCESS_GRAYSCALE !== 'false',
+        normalize: process.env.IMAGE_PREPROCESS_NORMALIZE !== 'false'
+      }
+    },
+    storage: {
+      // Fallback location for document rows without storage_backend/storage_bucket
+      documentBackend: process.env.DOCUMENT_STORAGE_BACKEND || 's3',
+      documentBucket: process.env.DOCUMENT_STORAGE_BUCKET || process.env.S3_BUCKET_NAME,
+      previewBackend: process.env.PREVIEW_STORAGE_BACKEND || 'supabase',
+      previewBucket: process.env.PREVIEW_BUCKET || 'documents',
+      localDirectory: process.env.STORAGE_LOCAL_DIRECTORY || '/tmp/floucast-storage'
+    },
+    webhooks: {
+      signingSecret: process.env.WEBHOOK_SIGNING_SECRET || null,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+      maxAttempts: Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5')),
+      retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000'),
+      // http:// and private/loopback addresses (a receiver on the developer's machine)
+      allowLocalTargets: process.env.NODE_ENV === 'development'
     },
     logging: {
       level: process.env.LOG_LEVEL || 'info',
@@ -130,5 +315,6 @@ module.exports = {
   validateEnvironment,
   getConfig,
   requiredEnvVars,
+  aiProviderEnvVars,
   optionalEnvVars
 };
@@ -0,0 +1,75 @@
+// Failure classification for queue jobs. Permanent failures fail the same way on every
+// retry (bad organization, unsupported or corrupt file) and go straight to the dead-letter
+// queue; transient ones (AI timeouts, S3 or database hiccups) are retried.
+
+const FAILURE_CATEGORIES = {
+  invalid_message: { permanent: true },
+  invalid_organization: { permanent: true },
+  unsupported_file_type: { permanent: true },
+  corrupt_file: { permanent: true },
+  file_not_found: { permanent: true },
+  file_too_large: { permanent: true },
+  ai_rejected: { permanent: true },
+  quota_exceeded: { permanent: true },
+  ai_timeout: { permanent: false },
+  ai_unavailable: { permanent: false },
+  storage_error: { permanent: false },
+  database_error: { permanent: false },
+  processing_timeout: { permanent: false },
+  unknown: { permanent: false }
+};
+
+// S3 error names meaning the object will never be readable. AccessDenied isn't one: it is
+// usually an IAM or bucket policy problem that is fixed without touching the file.
+const MISSING_OBJECT_ERRORS = ['NoSuchKey', 'NoSuchBucket', 'NotFound'];
+
+// Tag an error with a category where it is thrown; classifyFailure trusts the tag
+function withFailureCategory(error, category) {
+  error.failureCategory = category;
+  return error;
+}
+
+function categorize(error) {
+  if (error.failureCategory && FAILURE_CATEGORIES[error.failureCategory]) {
+    return error.failureCategory;
+  }
+
+  const message = error.message || '';
+
+  if (error instanceof SyntaxError || /invalid job data/i.test(message)) return 'invalid_message';
+  if (/organization/i.test(message) && /not (found|exist)|invalid|no organization/i.test(message)) return 'invalid_organization';
+  if (/not supported|unsupported/i.test(message)) return 'unsupported_file_type';
+  if (/invalid pdf|bad xref|corrupt|end of central directory|not a valid|unexpected end of (file|data)|input buffer contains unsupported image format/i.test(message)) {
+    return 'corrupt_file';
+  }
+  if (MISSING_OBJECT_ERRORS.includes(error.name) || /no such key|nosuchkey|specified key does not exist/i.test(message)) return 'file_not_found';
+  if (error.name === 'AccessDenied' || /access denied/i.test(message)) return 'storage_error';
+  if (/processing aborted/i.test(message)) return 'processing_timeout';
+  // A safety block repeats on retry; an empty response may not
+  if (/blocked/i.test(message) && !/reason: empty response/i.test(message)) return 'ai_rejected';
+  if (/timed out/i.test(message)) return 'ai_timeout';
+  if ((error.status && (error.status === 429 || error.status >= 500)) || /rate limit|quota|overloaded|unavailable/i.test(message)) {
+    return 'ai_unavailable';
+  }
+  if (/s3|download|upload|ECONNRESET|ENOTFOUND|ETIMEDOUT|socket/i.test(message) || /ECONNRESET|ENOTFOUND|ETIMEDOUT/.test(error.code || '')) {
+    return 'storage_error';
+  }
+  if (/supabase|postgres|database|document record|update document|PGRST/i.test(message)) return 'database_error';
+  return 'unknown';
+}
+
+// -> { category, permanent, reason }
+function classifyFailure(error) {
+  const category = categorize(error || {});
+  return {
+    category,
+    permanent: FAILURE_CATEGORIES[category].permanent,
+    reason: error?.message || String(error)
+  };
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  classifyFailure,
+  withFailureCategory
+};
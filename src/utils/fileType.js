@@ -0,0 +1,137 @@
+const { withFailureCategory } = require('./failures');
+
+// File types the processor handles (see processFileContentEnhanced)
+const SUPPORTED_FILE_TYPES = ['pdf', 'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif', 'xlsx', 'xls', 'docx', 'doc', 'txt'];
+
+// Extensions naming the same format
+const ALIASES = { jpeg: 'jpg', heif: 'heic' };
+
+// ftyp brands of HEIC/HEIF images (AVIF shares the container but isn't supported)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// How much of the file the text check looks at
+const TEXT_SAMPLE_BYTES = 8192;
+
+const UTF16LE_BOM = Buffer.from([0xff, 0xfe]);
+const UTF16BE_BOM = Buffer.from([0xfe, 0xff]);
+
+// Control characters that occur in text files: tab, line feed, form feed, carriage
+// return and the DOS end-of-file marker
+const TEXT_CONTROL_BYTES = [0x09, 0x0a, 0x0c, 0x0d, 0x1a];
+
+function canonical(fileType) {
+  return ALIASES[fileType] || fileType;
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+function detectFtyp(buffer) {
+  if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') return null;
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const majorBrand = ascii(buffer, 8, 12);
+  const brands = [majorBrand];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+
+  if (AVIF_BRANDS.includes(majorBrand)) return null;
+  return brands.some(brand => HEIF_BRANDS.includes(brand)) ? 'heic' : null;
+}
+
+// Office Open XML documents are zip archives; part names are stored uncompressed
+function detectZip(buffer) {
+  if (buffer.includes('word/')) return 'docx';
+  if (buffer.includes('xl/')) return 'xlsx';
+  return null;
+}
+
+// Legacy Office documents are OLE2 compound files; the stream names are UTF-16LE
+function detectOle2(buffer) {
+  if (buffer.includes(Buffer.from('WordDocument', 'utf16le'))) return 'doc';
+  if (buffer.includes(Buffer.from('Workbook', 'utf16le')) || buffer.includes(Buffer.from('Book', 'utf16le'))) return 'xls';
+  return null;
+}
+
+// Plain text in UTF-8, UTF-16 with a byte order mark, or a single-byte encoding such as
+// Windows-1252 (no control characters besides whitespace)
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+  if (startsWith(sample, UTF16LE_BOM) || startsWith(sample, UTF16BE_BOM)) return true;
+  if (sample.length === 0 || sample.includes(0)) return false;
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return !sample.some(byte => byte < 0x20 && !TEXT_CONTROL_BYTES.includes(byte));
+  }
+}
+
+// File type from the content's magic bytes, or null when not recognised
+function detectFileType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  // PDF readers accept junk before the header
+  if (ascii(buffer, 0, 1024).includes('%PDF-')) return 'pdf';
+  if (startsWith(buffer, Buffer.from([0xff, 0xd8, 0xff]))) return 'jpg';
+  if (startsWith(buffer, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'webp';
+  if (ascii(buffer, 0, 4) === 'PK\x03\x04') return detectZip(buffer);
+  if (startsWith(buffer, OLE2_SIGNATURE)) return detectOle2(buffer);
+
+  const ftyp = detectFtyp(buffer);
+  if (ftyp) return ftyp;
+
+  return looksLikeText(buffer) ? 'txt' : null;
+}
+
+// Check the extension against the content. Returns { declared, detected, fileType, action }:
+//   match:     content confirms the extension
+//   corrected: the content is another supported type (a JPEG named .pdf) and is processed as that
+//   accepted:  a .txt file in an encoding that isn't recognised as text, but has no binary signature
+// Throws (unsupported_file_type / corrupt_file) when the content isn't a supported type,
+// or is plain text under a binary extension (e.g. an error page saved as .pdf).
+function resolveFileType(declaredType, buffer) {
+  const declared = declaredType ? declaredType.toLowerCase() : null;
+  const detected = detectFileType(buffer);
+
+  if (detected && declared && canonical(detected) === canonical(declared)) {
+    return { declared, detected, fileType: declared, action: 'match' };
+  }
+
+  const declaredSupported = SUPPORTED_FILE_TYPES.includes(declared);
+
+  if (detected === 'txt' && declaredSupported) {
+    throw withFailureCategory(new Error(`File content is plain text, not .${declared}`), 'corrupt_file');
+  }
+
+  if (detected) {
+    return { declared, detected, fileType: detected, action: 'corrected' };
+  }
+
+  if (declared === 'txt') {
+    return { declared, detected, fileType: declared, action: 'accepted' };
+  }
+
+  if (declaredSupported) {
+    throw withFailureCategory(new Error(`File content does not match .${declared}`), 'corrupt_file');
+  }
+  throw withFailureCategory(new Error(`File type ${declared ? `.${declared}` : '(no extension)'} is not supported`), 'unsupported_file_type');
+}
+
+module.exports = {
+  SUPPORTED_FILE_TYPES,
+  detectFileType,
+  resolveFileType
+};
@@ -0,0 +1,88 @@
+// multipart/form-data request bodies, parsed with the runtime's fetch implementation
+// (Response.formData) rather than a parser dependency. The body is buffered in memory,
+// so it is capped at maxBytes: a larger Content-Length is rejected before reading, and
+// a chunked body is drained without keeping anything past the cap. A file part is held
+// about twice over while it is copied out of the parsed form (the raw body is released
+// first), so callers should keep maxBytes well below the memory available per request.
+//
+// Errors carry a code for the HTTP layer: PAYLOAD_TOO_LARGE or INVALID_MULTIPART.
+
+function multipartError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isMultipart(req) {
+  return (req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+async function readBody(req, maxBytes) {
+  const declaredLength = parseInt(req.headers['content-length']);
+  if (declaredLength > maxBytes) {
+    throw multipartError(`Request body of ${declaredLength} bytes exceeds the ${maxBytes} byte limit`, 'PAYLOAD_TOO_LARGE');
+  }
+
+  // With a Content-Length the body is read straight into one buffer; Node stops the
+  // request at the declared length, so it can't overflow
+  if (declaredLength >= 0) {
+    const body = Buffer.allocUnsafe(declaredLength);
+    let offset = 0;
+    for await (const chunk of req) {
+      offset += chunk.copy(body, offset);
+    }
+    return body.subarray(0, offset);
+  }
+
+  const chunks = [];
+  let received = 0;
+  // Breaking out of the loop would destroy the socket before the error response is sent
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received <= maxBytes) chunks.push(chunk);
+  }
+
+  if (received > maxBytes) {
+    throw multipartError(`Request body exceeds the ${maxBytes} byte limit`, 'PAYLOAD_TOO_LARGE');
+  }
+  return Buffer.concat(chunks);
+}
+
+// The raw body is only referenced here, so it can be collected once it has been parsed
+async function readFormData(req, maxBytes) {
+  const body = await readBody(req, maxBytes);
+  try {
+    return await new Response(body, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+  } catch (error) {
+    throw multipartError(`Malformed multipart body: ${error.message}`, 'INVALID_MULTIPART');
+  }
+}
+
+// Returns { fields: { name: value }, files: { name: { filename, contentType, buffer } } };
+// for repeated names the last one wins
+async function parseMultipart(req, { maxBytes }) {
+  if (!isMultipart(req)) {
+    throw multipartError('Content-Type must be multipart/form-data', 'INVALID_MULTIPART');
+  }
+
+  const formData = await readFormData(req, maxBytes);
+
+  const fields = {};
+  const files = {};
+  for (const [name, value] of formData.entries()) {
+    if (typeof value === 'string') {
+      fields[name] = value;
+    } else {
+      files[name] = {
+        filename: value.name,
+        contentType: value.type || null,
+        buffer: Buffer.from(await value.arrayBuffer())
+      };
+    }
+  }
+  return { fields, files };
+}
+
+module.exports = {
+  parseMultipart
+};
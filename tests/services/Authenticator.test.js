@@ -0,0 +1,135 @@
+const Authenticator = require('../../src/services/Authenticator');
+
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// Supabase stand-in: answers queries on each table from rows[table] and counts the queries
+function fakeSupabase(rows = {}, user = null) {
+  const queries = [];
+  return {
+    queries,
+    auth: {
+      getUser: jest.fn(async () => (user ? { data: { user }, error: null } : { data: null, error: { message: 'invalid JWT' } }))
+    },
+    from(table) {
+      queries.push(table);
+      const result = { data: rows[table] ?? null, error: null };
+      const builder = {
+        select: () => builder,
+        update: () => builder,
+        eq: () => builder,
+        maybeSingle: async () => result,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      };
+      return builder;
+    }
+  };
+}
+
+function request(headers) {
+  return { get: name => headers[name] };
+}
+
+function jwt(payload) {
+  return ['header', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'signature'].join('.');
+}
+
+describe('Authenticator', () => {
+  describe('canAccess', () => {
+    test('scopes callers to their own organizations', () => {
+      const principal = { isAdmin: false, organizationIds: ['org-1'] };
+
+      expect(Authenticator.canAccess(principal, 'org-1')).toBe(true);
+      expect(Authenticator.canAccess(principal, 'org-2')).toBe(false);
+      expect(Authenticator.canAccess(principal, null)).toBe(false);
+    });
+
+    test('lets admins reach every organization', () => {
+      expect(Authenticator.canAccess({ isAdmin: true, organizationIds: [] }, 'org-2')).toBe(true);
+    });
+  });
+
+  describe('API keys', () => {
+    test('scopes a stored key to its organization', async () => {
+      const supabase = fakeSupabase({ api_keys: { id: 'key-1', organization_id: 'org-1', is_admin: false, revoked_at: null } });
+      const authenticator = new Authenticator({ supabase, logger });
+
+      expect(await authenticator.authenticate(request({ 'X-API-Key': 'fk_test' }))).toEqual({
+        type: 'api_key',
+        id: 'key-1',
+        isAdmin: false,
+        organizationIds: ['org-1']
+      });
+    });
+
+    test('rejects revoked and unknown keys', async () => {
+      const revoked = new Authenticator({
+        supabase: fakeSupabase({ api_keys: { id: 'key-1', organization_id: 'org-1', revoked_at: '2025-01-01T00:00:00.000Z' } }),
+        logger
+      });
+      const unknown = new Authenticator({ supabase: fakeSupabase(), logger });
+
+      expect(await revoked.authenticate(request({ 'X-API-Key': 'fk_test' }))).toBeNull();
+      expect(await unknown.authenticate(request({ 'X-API-Key': 'fk_test' }))).toBeNull();
+    });
+
+    test('accepts ADMIN_API_KEYS without a database lookup', async () => {
+      const supabase = fakeSupabase();
+      const authenticator = new Authenticator({ supabase, logger, adminApiKeys: ['admin-key'] });
+
+      expect(await authenticator.authenticate(request({ 'X-API-Key': 'admin-key' }))).toMatchObject({ isAdmin: true });
+      expect(supabase.queries).toEqual([]);
+    });
+
+    test('caches a successful lookup', async () => {
+      const supabase = fakeSupabase({ api_keys: { id: 'key-1', organization_id: 'org-1', revoked_at: null } });
+      const authenticator = new Authenticator({ supabase, logger });
+
+      await authenticator.authenticate(request({ 'X-API-Key': 'fk_test' }));
+      const queriesAfterFirst = supabase.queries.length;
+      await authenticator.authenticate(request({ 'X-API-Key': 'fk_test' }));
+
+      expect(supabase.queries.length).toBe(queriesAfterFirst);
+    });
+  });
+
+  describe('Supabase JWTs', () => {
+    test('scopes a user to their active organization memberships', async () => {
+      const supabase = fakeSupabase(
+        { organization_members: [{ organization_id: 'org-1' }, { organization_id: 'org-3' }] },
+        { id: 'user-1' }
+      );
+      const authenticator = new Authenticator({ supabase, logger });
+      const token = jwt({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 3600 });
+
+      expect(await authenticator.authenticate(request({ Authorization: `Bearer ${token}` }))).toEqual({
+        type: 'user',
+        id: 'user-1',
+        isAdmin: false,
+        organizationIds: ['org-1', 'org-3']
+      });
+      expect(supabase.auth.getUser).toHaveBeenCalledWith(token);
+    });
+
+    test('rejects a token Supabase Auth does not accept', async () => {
+      const authenticator = new Authenticator({ supabase: fakeSupabase(), logger });
+
+      expect(await authenticator.authenticate(request({ Authorization: `Bearer ${jwt({ sub: 'user-1' })}` }))).toBeNull();
+    });
+
+    test('reads the expiry claim of a token', () => {
+      expect(Authenticator.tokenExpiry(jwt({ exp: 1735812000 }))).toBe(1735812000000);
+      expect(Authenticator.tokenExpiry('not-a-jwt')).toBeNull();
+    });
+  });
+
+  test('returns null without credentials', async () => {
+    const authenticator = new Authenticator({ supabase: fakeSupabase(), logger });
+
+    expect(await authenticator.authenticate(request({}))).toBeNull();
+  });
+});
@@ -0,0 +1,215 @@
+const DocumentProcessor = require('../../src/services/DocumentProcessor');
+
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('DocumentProcessor legal extraction results', () => {
+  const processor = new DocumentProcessor({ logger });
+
+  test('cleans dates, party lists and the contract value', () => {
+    const cleaned = processor.processLegalExtractedData({
+      document_title: 'Perjanjian Sewa Menyewa',
+      parties: ['PT Maju Jaya', { name: 'CV Sentosa' }, '  ', null],
+      effective_date: '2024-01-15',
+      expiry_date: '15 January 2026',
+      document_date: '1850-01-01',
+      key_terms: 'Sewa 24 bulan',
+      contract_value: 'Rp 1.500.000,00',
+      currency: 'idr'
+    });
+
+    expect(cleaned).toMatchObject({
+      parties: ['PT Maju Jaya', 'CV Sentosa'],
+      primary_party: 'PT Maju Jaya',
+      counterparty: 'CV Sentosa',
+      effective_date: '2024-01-15',
+      expiry_date: null,
+      document_date: null,
+      key_terms: ['Sewa 24 bulan'],
+      obligations: [],
+      contract_value: 1500000,
+      currency: 'IDR'
+    });
+  });
+
+  test('keeps parties the AI named explicitly', () => {
+    const cleaned = processor.processLegalExtractedData({
+      parties: ['PT Maju Jaya', 'CV Sentosa'],
+      primary_party: 'CV Sentosa',
+      counterparty: 'PT Maju Jaya'
+    });
+
+    expect(cleaned.primary_party).toBe('CV Sentosa');
+    expect(cleaned.counterparty).toBe('PT Maju Jaya');
+  });
+
+  test('maps cleaned results onto legal_documents columns', () => {
+    const columns = processor.mapLegalExtractionResult(processor.processLegalExtractedData({
+      document_title: 'Perjanjian Sewa Menyewa',
+      contract_type: 'lease',
+      parties: ['PT Maju Jaya', 'CV Sentosa'],
+      governing_law: 'Indonesia',
+      compliance_notes: ['Requires stamp duty', '', 'Notarized'],
+      contract_value: 0,
+      extra_field: 'not a column'
+    }));
+
+    expect(columns).toMatchObject({
+      document_title: 'Perjanjian Sewa Menyewa',
+      contract_type: 'lease',
+      parties: ['PT Maju Jaya', 'CV Sentosa'],
+      primary_party: 'PT Maju Jaya',
+      counterparty: 'CV Sentosa',
+      governing_law: 'Indonesia',
+      jurisdiction: null,
+      compliance_notes: 'Requires stamp duty\nNotarized',
+      contract_value: 0,
+      currency: null
+    });
+    expect(columns).not.toHaveProperty('extra_field');
+  });
+
+  test('fills every column when nothing was extracted', () => {
+    const columns = processor.mapLegalExtractionResult({});
+
+    expect(columns.parties).toEqual([]);
+    expect(columns.risk_factors).toEqual([]);
+    expect(columns.compliance_notes).toBeNull();
+    expect(columns.contract_value).toBeNull();
+  });
+});
+
+describe('DocumentProcessor.chunkTextBySections', () => {
+  const options = { chunkSize: 700, chunkOverlap: 100 };
+
+  const contract = [
+    'PERJANJIAN SEWA MENYEWA',
+    '',
+    'Para pihak sepakat sebagai berikut.',
+    '',
+    'PASAL 1',
+    'DEFINISI',
+    '',
+    'Dalam perjanjian ini yang dimaksud dengan Objek Sewa adalah bangunan kantor.',
+    '',
+    'PASAL 2',
+    'JANGKA WAKTU',
+    '',
+    'Sewa berlaku selama 24 bulan sejak tanggal efektif.'
+  ].join('\n');
+
+  test('splits at section headings and titles them with the following line', () => {
+    const { strategy, sections, chunks } = DocumentProcessor.chunkTextBySections(contract, options);
+
+    expect(strategy).toBe('section_aware');
+    expect(sections.map(section => section.title)).toEqual([null, 'PASAL 1 - DEFINISI', 'PASAL 2 - JANGKA WAKTU']);
+    expect(chunks.map(chunk => chunk.section_title)).toEqual([null, 'PASAL 1 - DEFINISI', 'PASAL 2 - JANGKA WAKTU']);
+    expect(chunks[1].content).toBe('PASAL 1\nDEFINISI\nDalam perjanjian ini yang dimaksud dengan Objek Sewa adalah bangunan kantor.');
+  });
+
+  test('splits long sections at numbered clauses and prepends the title to continuations', () => {
+    const clauses = [1, 2, 3, 4].map(number => `${number}. Penyewa wajib membayar biaya pemeliharaan bulan ke-${number} tepat waktu sesuai tagihan.`);
+    const text = `PASAL 1\nKEWAJIBAN\n\n${clauses.join('\n')}\n\nPASAL 2\nPENUTUP\n\nSelesai.`;
+
+    const { sections, chunks } = DocumentProcessor.chunkTextBySections(text, { chunkSize: 200, chunkOverlap: 50 });
+
+    expect(sections[0]).toMatchObject({ title: 'PASAL 1 - KEWAJIBAN', chunk_count: 2 });
+    expect(chunks[0].content).toBe(`PASAL 1\nKEWAJIBAN\n${clauses[0]}\n${clauses[1]}`);
+    expect(chunks[1].content).toBe(`[PASAL 1 - KEWAJIBAN]\n${clauses[2]}\n${clauses[3]}`);
+    expect(chunks.every(chunk => chunk.content.length <= 200 + '[PASAL 1 - KEWAJIBAN]\n'.length)).toBe(true);
+  });
+
+  test('falls back to paragraphs without headings, then to fixed windows', () => {
+    expect(DocumentProcessor.chunkTextBySections('First paragraph.\n\nSecond paragraph.', options).strategy).toBe('paragraph');
+
+    const { strategy, chunks } = DocumentProcessor.chunkTextBySections('x'.repeat(1500), options);
+    expect(strategy).toBe('fixed_size');
+    expect(chunks.map(chunk => chunk.content.length)).toEqual([700, 700, 300]);
+  });
+
+  test('returns no chunks for empty text and requires the chunk settings', () => {
+    expect(DocumentProcessor.chunkTextBySections('  ', options)).toEqual({ strategy: 'fixed_size', sections: [], chunks: [] });
+    expect(() => DocumentProcessor.chunkTextBySections(contract, {})).toThrow(/requires chunkSize and chunkOverlap/);
+  });
+});
+
+describe('DocumentProcessor structured extraction schema repair', () => {
+  let processor;
+
+  const invoice = {
+    vendor: 'PT Maju Jaya',
+    date: '2025-01-31',
+    type: 'Invoice',
+    amount: 111000,
+    currency: 'IDR',
+    description: 'Office supplies',
+    discount: null,
+    deposit_amount: null,
+    document_number: 'INV/2025/001',
+    tax_amount: 11000,
+    tax_type_name: 'PPN',
+    service_charge_amount: null,
+    service_charge_type: null,
+    due_date: null,
+    ap_ar_status: 'AP',
+    line_items: []
+  };
+
+  function extract() {
+    return processor.extractStructuredData(null, 'application/pdf', 'invoice.pdf', 'INVOICE INV/2025/001', false);
+  }
+
+  beforeEach(() => {
+    processor = new DocumentProcessor({ logger });
+    processor.aiProvider = { generate: jest.fn() };
+    processor.aiTimeouts = { structuredExtraction: 5000, retryAttempts: 1, retryDelay: 0 };
+  });
+
+  test('accepts a valid first answer without re-prompting', async () => {
+    processor.aiProvider.generate.mockResolvedValue({ text: JSON.stringify(invoice), blockReason: null });
+
+    const data = await extract();
+
+    expect(processor.aiProvider.generate).toHaveBeenCalledTimes(1);
+    expect(data.schema_validation).toMatchObject({ valid: true, attempts: 1 });
+  });
+
+  test('re-prompts once with the validation errors and keeps the repaired answer', async () => {
+    processor.aiProvider.generate
+      .mockResolvedValueOnce({ text: `Here you go: ${JSON.stringify({ ...invoice, date: '31/01/2025' })}`, blockReason: null })
+      .mockResolvedValueOnce({ text: JSON.stringify(invoice), blockReason: null });
+
+    const data = await extract();
+
+    const repairPrompt = processor.aiProvider.generate.mock.calls[1][0];
+    expect(repairPrompt).toContain('- date: must be a date in YYYY-MM-DD format, got "31/01/2025"');
+    expect(data.date).toBe('2025-01-31');
+    expect(data.schema_validation).toMatchObject({ valid: true, attempts: 2 });
+  });
+
+  test('clears fields that are still invalid after the re-prompt', async () => {
+    processor.aiProvider.generate.mockResolvedValue({ text: JSON.stringify({ ...invoice, date: '31/01/2025' }), blockReason: null });
+
+    const data = await extract();
+
+    expect(processor.aiProvider.generate).toHaveBeenCalledTimes(2);
+    expect(data.date).toBeNull();
+    expect(data.schema_validation).toMatchObject({ valid: false, attempts: 2 });
+    expect(data.schema_validation.fields.date).toBe(false);
+  });
+
+  test('keeps the first answer when the re-prompt fails', async () => {
+    processor.aiProvider.generate
+      .mockResolvedValueOnce({ text: JSON.stringify({ ...invoice, ap_ar_status: 'payable' }), blockReason: null })
+      .mockResolvedValueOnce({ text: null, blockReason: 'SAFETY' });
+
+    const data = await extract();
+
+    expect(data.vendor).toBe('PT Maju Jaya');
+    expect(data.ap_ar_status).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+const ProcessingLeases = require('../../src/services/ProcessingLeases');
+
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const LEASE_MS = 60000;
+
+// Supabase stand-in: records each query's calls and answers queries in order from results
+function fakeSupabase(results) {
+  const queries = [];
+  return {
+    queries,
+    from(table) {
+      const query = { table, calls: [] };
+      queries.push(query);
+      const builder = {};
+      for (const method of ['select', 'insert', 'update', 'eq', 'or', 'single']) {
+        builder[method] = (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+      builder.then = (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject);
+      return builder;
+    }
+  };
+}
+
+describe('ProcessingLeases', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-02T10:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('eventKey', () => {
+    test('identifies an event by bucket, key and sequencer or etag', () => {
+      expect(ProcessingLeases.eventKey('documents', 'org-1/a.pdf', { sequencer: '0055AED6DCD90281E5', eTag: '"abc"' }))
+        .toBe('s3:documents/org-1/a.pdf:0055AED6DCD90281E5');
+      expect(ProcessingLeases.eventKey('documents', 'org-1/a.pdf', { eTag: '"abc"' })).toBe('s3:documents/org-1/a.pdf:abc');
+      expect(ProcessingLeases.eventKey('documents', 'org-1/a.pdf', {})).toBeNull();
+    });
+  });
+
+  describe('acquire', () => {
+    test('takes the lease with a conditional update and returns its token', async () => {
+      const supabase = fakeSupabase([{ data: [{ id: 'doc-1' }], error: null }]);
+      const leases = new ProcessingLeases({ supabase, logger, leaseMs: LEASE_MS });
+
+      expect(await leases.acquire('doc-1', 'legal')).toBe('2025-01-02T10:00:00.000Z');
+
+      const [query] = supabase.queries;
+      expect(query.table).toBe('legal_documents');
+      expect(query.calls).toEqual([
+        ['update', { processing_status: 'processing', processing_started_at: '2025-01-02T10:00:00.000Z' }],
+        ['eq', 'id', 'doc-1'],
+        ['or', 'processing_status.neq.processing,processing_started_at.is.null,processing_started_at.lt.2025-01-02T09:59:00.000Z'],
+        ['select', 'id']
+      ]);
+    });
+
+    test('returns null while another worker holds an unexpired lease', async () => {
+      const leases = new ProcessingLeases({ supabase: fakeSupabase([{ data: [], error: null }]), logger, leaseMs: LEASE_MS });
+
+      expect(await leases.acquire('doc-1')).toBeNull();
+    });
+
+    test('throws when the update fails', async () => {
+      const leases = new ProcessingLeases({ supabase: fakeSupabase([{ data: null, error: { message: 'connection refused' } }]), logger, leaseMs: LEASE_MS });
+
+      await expect(leases.acquire('doc-1')).rejects.toThrow('Failed to acquire processing lease: connection refused');
+    });
+  });
+
+  describe('expiresAt', () => {
+    test('is the holder\'s start time plus the lease length', async () => {
+      const supabase = fakeSupabase([{ data: { processing_started_at: '2025-01-02T09:59:30.000Z' }, error: null }]);
+      const leases = new ProcessingLeases({ supabase, logger, leaseMs: LEASE_MS });
+
+      expect(await leases.expiresAt('doc-1')).toBe('2025-01-02T10:00:30.000Z');
+      expect(supabase.queries[0].table).toBe('documents');
+    });
+
+    test('is null when the row cannot be read', async () => {
+      const leases = new ProcessingLeases({ supabase: fakeSupabase([{ data: null, error: { message: 'not found' } }]), logger, leaseMs: LEASE_MS });
+
+      expect(await leases.expiresAt('doc-1')).toBeNull();
+    });
+  });
+
+  describe('claimEvent', () => {
+    const key = 's3:documents/org-1/a.pdf:0055AED6DCD90281E5';
+
+    test('claims a new event', async () => {
+      const supabase = fakeSupabase([{ error: null }]);
+      const leases = new ProcessingLeases({ supabase, logger, leaseMs: LEASE_MS });
+
+      expect(await leases.claimEvent(key, 'doc-1')).toBe('claimed');
+      expect(supabase.queries[0].calls).toEqual([
+        ['insert', { idempotency_key: key, document_id: 'doc-1', status: 'processing', attempts: 1 }]
+      ]);
+    });
+
+    test.each(['complete', 'processing'])('reports an event already recorded as %s', async status => {
+      const leases = new ProcessingLeases({
+        supabase: fakeSupabase([{ error: { code: '23505', message: 'duplicate key' } }, { data: { status, attempts: 1 }, error: null }]),
+        logger,
+        leaseMs: LEASE_MS
+      });
+
+      expect(await leases.claimEvent(key, 'doc-1')).toBe(status);
+    });
+
+    test('claims a failed event again and counts the attempt', async () => {
+      const supabase = fakeSupabase([
+        { error: { code: '23505', message: 'duplicate key' } },
+        { data: { status: 'failed', attempts: 2 }, error: null },
+        { error: null }
+      ]);
+      const leases = new ProcessingLeases({ supabase, logger, leaseMs: LEASE_MS });
+
+      expect(await leases.claimEvent(key, 'doc-1')).toBe('claimed');
+      expect(supabase.queries[2].calls).toEqual([
+        ['update', { status: 'processing', attempts: 3, error: null, completed_at: null }],
+        ['eq', 'idempotency_key', key]
+      ]);
+    });
+
+    test('throws on other insert errors', async () => {
+      const leases = new ProcessingLeases({ supabase: fakeSupabase([{ error: { code: '42P01', message: 'relation does not exist' } }]), logger, leaseMs: LEASE_MS });
+
+      await expect(leases.claimEvent(key, 'doc-1')).rejects.toThrow('Failed to record processing event: relation does not exist');
+    });
+  });
+});
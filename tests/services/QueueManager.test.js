@@ -0,0 +1,211 @@
+const QueueManager = require('../../src/services/QueueManager');
+const { MemoryQueue } = require('../../src/services/queue');
+const { withFailureCategory } = require('../../src/utils/failures');
+
+const VISIBILITY_TIMEOUT = 30;
+const MAX_RECEIVE_COUNT = 3;
+
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const worker = { id: 0, isRunning: true };
+
+const jobBody = JSON.stringify({
+  documentId: 'doc-1',
+  vertical: 'accounting',
+  organizationId: 'org-1',
+  s3Key: 'uploads/org-1/doc-1/invoice.pdf',
+  bucketName: 'documents'
+});
+
+describe('QueueManager with a MemoryQueue', () => {
+  let queue;
+  let documentProcessor;
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // No Supabase client: organization validation is skipped
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    process.env.SQS_VISIBILITY_TIMEOUT = String(VISIBILITY_TIMEOUT);
+    process.env.SQS_MAX_RECEIVE_COUNT = String(MAX_RECEIVE_COUNT);
+
+    queue = new MemoryQueue({ logger });
+    documentProcessor = { processDocument: jest.fn(), processExistingDocument: jest.fn() };
+    manager = new QueueManager({ documentProcessor, logger, queue });
+  });
+
+  afterEach(async () => {
+    await queue.close();
+    jest.useRealTimers();
+    delete process.env.SQS_VISIBILITY_TIMEOUT;
+    delete process.env.SQS_MAX_RECEIVE_COUNT;
+  });
+
+  async function receiveOne() {
+    const messages = await queue.receive('main', { waitSeconds: 0, visibilityTimeout: VISIBILITY_TIMEOUT });
+    expect(messages).toHaveLength(1);
+    return messages[0];
+  }
+
+  // Let the visibility timeout of received messages run out
+  function expireVisibility() {
+    jest.setSystemTime(Date.now() + (VISIBILITY_TIMEOUT + 1) * 1000);
+  }
+
+  test('deletes the message when the job succeeds', async () => {
+    documentProcessor.processDocument.mockResolvedValue({ success: true });
+    await queue.send('main', { body: jobBody });
+
+    await manager.processMessage(await receiveOne(), worker);
+
+    expect(documentProcessor.processDocument).toHaveBeenCalledWith(
+      expect.objectContaining({ documentId: 'doc-1', organizationId: 'org-1' }),
+      expect.objectContaining({ signal: expect.any(AbortSignal) })
+    );
+    expireVisibility();
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 0, delayed: 0 });
+  });
+
+  test('processes a job without a file location from the document row', async () => {
+    documentProcessor.processExistingDocument.mockResolvedValue({ success: true });
+    await queue.send('main', { body: JSON.stringify({ documentId: 'doc-1', vertical: 'accounting', organizationId: 'org-1', jobType: 'process' }) });
+
+    await manager.processMessage(await receiveOne(), worker);
+
+    expect(documentProcessor.processDocument).not.toHaveBeenCalled();
+    expect(documentProcessor.processExistingDocument).toHaveBeenCalledWith(
+      expect.objectContaining({ documentId: 'doc-1' }),
+      expect.anything()
+    );
+  });
+
+  test('leaves a transient failure for redelivery with a higher receive count', async () => {
+    documentProcessor.processDocument.mockRejectedValue(withFailureCategory(new Error('AI service unavailable'), 'ai_unavailable'));
+    await queue.send('main', { body: jobBody });
+
+    const first = await receiveOne();
+    await manager.processMessage(first, worker);
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 1, delayed: 0 });
+
+    expireVisibility();
+    const second = await receiveOne();
+    expect(second.MessageId).toBe(first.MessageId);
+    expect(second.Attributes.ApproximateReceiveCount).toBe('2');
+    expect(await queue.stats('dead-letter')).toEqual({ available: 0, inFlight: 0, delayed: 0 });
+  });
+
+  test('dead-letters a transient failure once the receive count reaches the maximum', async () => {
+    documentProcessor.processDocument.mockRejectedValue(withFailureCategory(new Error('AI service unavailable'), 'ai_unavailable'));
+    await queue.send('main', { body: jobBody });
+
+    for (let attempt = 1; attempt <= MAX_RECEIVE_COUNT; attempt++) {
+      await manager.processMessage(await receiveOne(), worker);
+      expireVisibility();
+    }
+
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 0, delayed: 0 });
+    const [deadLetter] = await queue.receive('dead-letter', { waitSeconds: 0 });
+    expect(JSON.parse(deadLetter.Body)).toMatchObject({
+      failure: { category: 'ai_unavailable', permanent: false },
+      receive_count: MAX_RECEIVE_COUNT
+    });
+  });
+
+  test('dead-letters a permanent failure on the first attempt', async () => {
+    documentProcessor.processDocument.mockRejectedValue(withFailureCategory(new Error('File content does not match .pdf'), 'corrupt_file'));
+    await queue.send('main', { body: jobBody });
+
+    const message = await receiveOne();
+    await manager.processMessage(message, worker);
+
+    expireVisibility();
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 0, delayed: 0 });
+    const [deadLetter] = await queue.receive('dead-letter', { waitSeconds: 0 });
+    expect(deadLetter.MessageAttributes.failureCategory.StringValue).toBe('corrupt_file');
+    expect(JSON.parse(deadLetter.Body)).toMatchObject({
+      failure: { category: 'corrupt_file', permanent: true },
+      receive_count: 1,
+      document_id: 'doc-1',
+      original: { message_id: message.MessageId, body: jobBody }
+    });
+  });
+
+  test('dead-letters a message whose body is not JSON', async () => {
+    await queue.send('main', { body: 'not json' });
+
+    await manager.processMessage(await receiveOne(), worker);
+
+    expect(documentProcessor.processDocument).not.toHaveBeenCalled();
+    const [deadLetter] = await queue.receive('dead-letter', { waitSeconds: 0 });
+    expect(JSON.parse(deadLetter.Body).failure.category).toBe('invalid_message');
+  });
+
+  test('defers a locked document until the lease expires without using up receives', async () => {
+    const lockedUntil = new Date(Date.now() + 120 * 1000).toISOString();
+    documentProcessor.processDocument.mockResolvedValue({ success: false, skipped: true, reason: 'locked', documentId: 'doc-1', lockedUntil });
+    await queue.send('main', { body: jobBody });
+
+    const first = await receiveOne();
+    await manager.processMessage(first, worker);
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 0, delayed: 1 });
+
+    jest.setSystemTime(new Date(lockedUntil).getTime() + 1000);
+    documentProcessor.processDocument.mockResolvedValue({ success: true });
+    const second = await receiveOne();
+    expect(second.MessageId).not.toBe(first.MessageId);
+    expect(second.Attributes.ApproximateReceiveCount).toBe('1');
+    expect(second.MessageAttributes.deferredUntil.StringValue).toBe(lockedUntil);
+
+    await manager.processMessage(second, worker);
+    expect(documentProcessor.processDocument).toHaveBeenCalledTimes(2);
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 0, delayed: 0 });
+  });
+
+  test('does not check the quota again for a document already counted today', async () => {
+    documentProcessor.quotas = {
+      recordedToday: jest.fn().mockResolvedValue('doc-1:2025-01-02'),
+      check: jest.fn(),
+      recordDocument: jest.fn(),
+      recordTokens: jest.fn()
+    };
+    documentProcessor.processDocument.mockResolvedValue({ success: true, estimatedAiTokens: 5000 });
+    await queue.send('main', { body: jobBody });
+
+    await manager.processMessage(await receiveOne(), worker);
+
+    expect(documentProcessor.quotas.check).not.toHaveBeenCalled();
+    expect(documentProcessor.quotas.recordDocument).not.toHaveBeenCalled();
+    expect(documentProcessor.quotas.recordTokens).toHaveBeenCalledWith('org-1', 'doc-1:2025-01-02', 5000);
+  });
+
+  test('extends the visibility timeout while a long job runs', async () => {
+    let finishJob;
+    documentProcessor.processDocument.mockReturnValue(new Promise(resolve => { finishJob = resolve; }));
+    const changeVisibility = jest.spyOn(queue, 'changeVisibility');
+    await queue.send('main', { body: jobBody });
+
+    const message = await receiveOne();
+    const processing = manager.processMessage(message, worker);
+
+    // The heartbeat runs every third of the visibility timeout
+    await jest.advanceTimersByTimeAsync(VISIBILITY_TIMEOUT * 1000 * 2);
+    expect(changeVisibility).toHaveBeenCalledTimes(6);
+    expect(changeVisibility).toHaveBeenCalledWith('main', message.ReceiptHandle, VISIBILITY_TIMEOUT);
+
+    // Past the original timeout the message is still hidden from other workers
+    expect(await queue.receive('main', { waitSeconds: 0 })).toEqual([]);
+
+    finishJob({ success: true });
+    await processing;
+
+    await jest.advanceTimersByTimeAsync(VISIBILITY_TIMEOUT * 1000);
+    expect(changeVisibility).toHaveBeenCalledTimes(6);
+    expect(await queue.stats('main')).toEqual({ available: 0, inFlight: 0, delayed: 0 });
+  });
+});
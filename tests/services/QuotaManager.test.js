@@ -0,0 +1,24 @@
+const QuotaManager = require('../../src/services/QuotaManager');
+
+describe('QuotaManager.estimateTokens', () => {
+  test('is 0 without a processing result', () => {
+    expect(QuotaManager.estimateTokens(null)).toBe(0);
+  });
+
+  test('counts the pages the AI read and the text three times', () => {
+    const result = { fullDocumentText: 'a'.repeat(4000), textSource: 'ai', pageCount: 2 };
+
+    // 2000 prompt overhead + 2 pages x 258 + 1000 text tokens x 3
+    expect(QuotaManager.estimateTokens(result)).toBe(2000 + 516 + 3000);
+  });
+
+  test('counts one page when the page count is unknown', () => {
+    expect(QuotaManager.estimateTokens({ fullDocumentText: '', textSource: 'ai' })).toBe(2000 + 258);
+  });
+
+  test.each(['spreadsheet', 'word', 'plain_text', 'pdf_text_layer'])('counts no pages and the text twice for %s text', textSource => {
+    const result = { fullDocumentText: 'a'.repeat(4001), textSource, pageCount: 5 };
+
+    expect(QuotaManager.estimateTokens(result)).toBe(2000 + 1001 * 2);
+  });
+});
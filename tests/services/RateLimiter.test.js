@@ -0,0 +1,77 @@
+const RateLimiter = require('../../src/services/RateLimiter');
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('allows a burst, then refuses until a token refills', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 3 });
+
+    expect(limiter.take('caller')).toEqual({ allowed: true, remaining: 2, retryAfterSeconds: 0 });
+    expect(limiter.take('caller')).toEqual({ allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    expect(limiter.take('caller')).toEqual({ allowed: true, remaining: 0, retryAfterSeconds: 0 });
+    expect(limiter.take('caller')).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 1 });
+
+    jest.advanceTimersByTime(1000);
+    expect(limiter.take('caller').allowed).toBe(true);
+    expect(limiter.take('caller').allowed).toBe(false);
+  });
+
+  test('reports how long until the next token', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 6, burst: 1 });
+
+    limiter.take('caller');
+    expect(limiter.take('caller').retryAfterSeconds).toBe(10);
+
+    jest.advanceTimersByTime(4000);
+    expect(limiter.take('caller').retryAfterSeconds).toBe(6);
+  });
+
+  test('refills no further than the burst', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 2 });
+
+    limiter.take('caller');
+    jest.advanceTimersByTime(60000);
+
+    expect(limiter.take('caller').remaining).toBe(1);
+  });
+
+  test('keeps a bucket per caller', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+
+    expect(limiter.take('first').allowed).toBe(true);
+    expect(limiter.take('first').allowed).toBe(false);
+    expect(limiter.take('second').allowed).toBe(true);
+  });
+
+  test('checks a bucket without using a token', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+
+    expect(limiter.check('caller')).toEqual({ allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    expect(limiter.buckets.size).toBe(0);
+
+    limiter.take('caller');
+    expect(limiter.check('caller')).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 1 });
+
+    jest.advanceTimersByTime(1000);
+    expect(limiter.check('caller').allowed).toBe(true);
+    expect(limiter.check('caller').allowed).toBe(true);
+  });
+
+  test('prunes only full buckets', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 2 });
+    limiter.take('idle');
+    limiter.take('busy');
+    limiter.take('busy');
+
+    jest.advanceTimersByTime(1000);
+    limiter.prune(Date.now());
+
+    expect([...limiter.buckets.keys()]).toEqual(['busy']);
+  });
+});
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const http = require('http');
+const WebhookNotifier = require('../../src/services/WebhookNotifier');
+
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const config = {
+  signingSecret: 'default-secret',
+  timeoutMs: 2000,
+  maxAttempts: 3,
+  retryBaseMs: 1000,
+  allowLocalTargets: false
+};
+
+// Supabase stand-in recording the delivery log updates
+function fakeSupabase() {
+  const updates = [];
+  return {
+    updates,
+    from() {
+      const builder = {
+        update: data => {
+          updates.push(data);
+          return builder;
+        },
+        eq: () => builder,
+        then: resolve => resolve({ error: null })
+      };
+      return builder;
+    }
+  };
+}
+
+describe('WebhookNotifier', () => {
+  test('signs the timestamp and raw body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'document.completed' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1735812000.${body}`).digest('hex');
+
+    expect(WebhookNotifier.sign('secret', '1735812000', body)).toBe(expected);
+    expect(WebhookNotifier.sign('other-secret', '1735812000', body)).not.toBe(expected);
+  });
+
+  test('accepts only https URLs unless http is allowed', () => {
+    expect(WebhookNotifier.isValidUrl('https://hooks.example.com/floucast')).toBe(true);
+    expect(WebhookNotifier.isValidUrl('http://hooks.example.com/floucast')).toBe(false);
+    expect(WebhookNotifier.isValidUrl('http://localhost:3000/hook', { allowHttp: true })).toBe(true);
+    expect(WebhookNotifier.isValidUrl('not a url')).toBe(false);
+  });
+
+  test('summarizes the extracted fields of either result shape', () => {
+    const extractedData = { vendor: 'PT Maju Jaya', amount: 111000, line_items: [] };
+
+    expect(WebhookNotifier.summarize({ result: { extractedData } }, 'accounting')).toEqual({ vendor: 'PT Maju Jaya', amount: 111000 });
+    expect(WebhookNotifier.summarize({ structuredData: { document_title: 'Perjanjian', vendor: 'x' } }, 'legal')).toEqual({ document_title: 'Perjanjian' });
+    expect(WebhookNotifier.summarize({}, 'accounting')).toBeNull();
+  });
+
+  describe('blockedTarget', () => {
+    const notifier = new WebhookNotifier({ supabase: fakeSupabase(), logger, config });
+
+    test.each([
+      'https://127.0.0.1/hook',
+      'https://10.1.2.3/hook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://192.168.0.10/hook',
+      'https://[::1]/hook',
+      'https://[fd00::1]/hook',
+      'https://[::ffff:10.0.0.1]/hook'
+    ])('blocks %s', async url => {
+      expect(await notifier.blockedTarget(url)).toMatch(/resolves to non-public address/);
+    });
+
+    test('allows public addresses', async () => {
+      expect(await notifier.blockedTarget('https://93.184.216.34/hook')).toBeNull();
+      expect(await notifier.blockedTarget('https://[2606:4700::1111]/hook')).toBeNull();
+    });
+
+    test('allows anything when local targets are allowed', async () => {
+      const local = new WebhookNotifier({ supabase: fakeSupabase(), logger, config: { ...config, allowLocalTargets: true } });
+
+      expect(await local.blockedTarget('http://127.0.0.1:3000/hook')).toBeNull();
+    });
+  });
+
+  test('fails a delivery to a blocked address without sending it', async () => {
+    const supabase = fakeSupabase();
+    const notifier = new WebhookNotifier({ supabase, logger, config });
+    const fetchSpy = jest.spyOn(global, 'fetch');
+
+    await notifier.attempt({ id: 'delivery-1', event: 'document.completed', url: 'https://10.0.0.5/hook', secret: 's', body: '{}', attempts: 0 });
+
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(supabase.updates).toEqual([expect.objectContaining({
+      status: 'failed',
+      attempts: 1,
+      last_error: 'Blocked: 10.0.0.5 resolves to non-public address 10.0.0.5',
+      next_attempt_at: null
+    })]);
+    fetchSpy.mockRestore();
+  });
+
+  test('sends signed headers the receiver can verify', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const supabase = fakeSupabase();
+    const notifier = new WebhookNotifier({ supabase, logger, config: { ...config, allowLocalTargets: true } });
+    const body = JSON.stringify({ id: 'delivery-1', event: 'document.completed' });
+
+    try {
+      await notifier.attempt({
+        id: 'delivery-1',
+        event: 'document.completed',
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        secret: 'org-secret',
+        body,
+        attempts: 0
+      });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    const [{ headers, body: receivedBody }] = received;
+    expect(receivedBody).toBe(body);
+    expect(headers['x-floucast-event']).toBe('document.completed');
+    expect(headers['x-floucast-delivery']).toBe('delivery-1');
+    expect(headers['x-floucast-signature']).toBe(`sha256=${WebhookNotifier.sign('org-secret', headers['x-floucast-timestamp'], body)}`);
+    expect(supabase.updates).toEqual([expect.objectContaining({ status: 'delivered', attempts: 1, last_status_code: 204 })]);
+  });
+});
@@ -0,0 +1,119 @@
+const http = require('http');
+const { createAIProvider, OpenAICompatibleProvider, GeminiProvider } = require('../../../src/services/ai');
+
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// Local stand-in for an OpenAI-compatible server: records each request and answers with
+// whatever the test queued for its path
+function startStubServer() {
+  const requests = [];
+  const responses = {};
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, json } = responses[req.url] || { status: 404, json: { error: 'not found' } };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+        requests,
+        respond: (path, json, status = 200) => { responses[path] = { status, json }; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('OpenAICompatibleProvider against a stub server', () => {
+  let stub;
+  let provider;
+
+  beforeEach(async () => {
+    stub = await startStubServer();
+    provider = new OpenAICompatibleProvider({
+      config: { baseUrl: stub.baseUrl, apiKey: 'test-key', model: 'vision-model', embeddingModel: 'embedding-model' },
+      logger
+    });
+  });
+
+  afterEach(async () => {
+    await stub.close();
+  });
+
+  test('sends a text prompt to /chat/completions', async () => {
+    stub.respond('/v1/chat/completions', { choices: [{ message: { content: '{"vendor":"PT Maju"}' }, finish_reason: 'stop' }] });
+
+    expect(await provider.generate('Extract the vendor')).toEqual({ text: '{"vendor":"PT Maju"}', blockReason: null });
+
+    const [request] = stub.requests;
+    expect(request.headers.authorization).toBe('Bearer test-key');
+    expect(request.body).toEqual({
+      model: 'vision-model',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Extract the vendor' }] }]
+    });
+  });
+
+  test('attaches images as image_url parts and other files as file parts', async () => {
+    stub.respond('/v1/chat/completions', { choices: [{ message: { content: 'text' }, finish_reason: 'stop' }] });
+
+    await provider.generateWithFile('Read this', { data: Buffer.from('png'), mimeType: 'image/png' });
+    await provider.generateWithFile('Read this', { data: Buffer.from('pdf'), mimeType: 'application/pdf', filename: 'invoice.pdf' });
+
+    expect(stub.requests[0].body.messages[0].content[1]).toEqual({
+      type: 'image_url',
+      image_url: { url: `data:image/png;base64,${Buffer.from('png').toString('base64')}` }
+    });
+    expect(stub.requests[1].body.messages[0].content[1]).toEqual({
+      type: 'file',
+      file: { filename: 'invoice.pdf', file_data: `data:application/pdf;base64,${Buffer.from('pdf').toString('base64')}` }
+    });
+  });
+
+  test('reports an empty or filtered response through blockReason', async () => {
+    stub.respond('/v1/chat/completions', { choices: [{ message: { content: null }, finish_reason: 'content_filter' }] });
+
+    expect(await provider.generate('Extract')).toEqual({ text: null, blockReason: 'content_filter' });
+  });
+
+  test('returns the embedding vector from /embeddings', async () => {
+    stub.respond('/v1/embeddings', { data: [{ embedding: [0.1, 0.2, 0.3] }] });
+
+    expect(await provider.embed('chunk text')).toEqual([0.1, 0.2, 0.3]);
+    expect(stub.requests[0].body).toEqual({ model: 'embedding-model', input: 'chunk text' });
+  });
+
+  test('throws with the status of a failed request', async () => {
+    stub.respond('/v1/embeddings', { error: 'overloaded' }, 503);
+
+    await expect(provider.embed('chunk text')).rejects.toMatchObject({
+      status: 503,
+      message: expect.stringMatching(/AI provider returned 503/)
+    });
+  });
+});
+
+describe('createAIProvider', () => {
+  test('creates the provider named by the configuration', () => {
+    expect(createAIProvider({ provider: 'openai-compatible', openaiCompatible: { baseUrl: 'http://127.0.0.1:1' } }, logger))
+      .toBeInstanceOf(OpenAICompatibleProvider);
+    expect(createAIProvider({ provider: 'gemini', geminiApiKey: 'test-key', model: 'gemini-2.0-flash', embeddingModel: 'text-embedding-004' }, logger))
+      .toBeInstanceOf(GeminiProvider);
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => createAIProvider({ provider: 'other' }, logger)).toThrow('Unsupported AI provider: other');
+  });
+});
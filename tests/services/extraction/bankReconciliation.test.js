@@ -0,0 +1,128 @@
+const {
+  reconcileBankTransactions,
+  isBalanceRow,
+  OPENING_BALANCE_PATTERN,
+  CLOSING_BALANCE_PATTERN
+} = require('../../../src/services/extraction/bankReconciliation');
+
+const options = { balanceTolerance: 0.01 };
+
+function row(description, { debit = null, credit = null, balance = null, date = '2025-01-02' } = {}) {
+  return {
+    transaction_date: date,
+    description,
+    debit_amount: debit,
+    credit_amount: credit,
+    running_balance: balance
+  };
+}
+
+describe('isBalanceRow', () => {
+  test('matches opening and closing rows without movement', () => {
+    expect(isBalanceRow(row('SALDO AWAL', { balance: 1000 }), OPENING_BALANCE_PATTERN)).toBe(true);
+    expect(isBalanceRow(row('Closing Balance', { balance: 1000 }), CLOSING_BALANCE_PATTERN)).toBe(true);
+    expect(isBalanceRow(row('SALDO AWAL', { credit: 50, balance: 1050 }), OPENING_BALANCE_PATTERN)).toBe(false);
+    expect(isBalanceRow(row('TRANSFER', { balance: 1000 }), OPENING_BALANCE_PATTERN)).toBe(false);
+  });
+});
+
+describe('reconcileBankTransactions', () => {
+  test('reconciles running balances from the opening to the closing balance', () => {
+    const { transactions, validation } = reconcileBankTransactions([
+      row('SALDO AWAL', { balance: 1000 }),
+      row('TRANSFER MASUK', { credit: 500, balance: 1500 }),
+      row('BIAYA ADMIN', { debit: 10, balance: 1490 }),
+      row('SALDO AKHIR', { balance: 1490 })
+    ], options);
+
+    expect(transactions.map(transaction => transaction.row_role)).toEqual(['opening_balance', 'transaction', 'transaction', 'closing_balance']);
+    expect(transactions.map(transaction => transaction.reconciled)).toEqual([true, true, true, true]);
+    expect(validation).toMatchObject({
+      status: 'reconciled',
+      needs_review: false,
+      opening_balance: 1000,
+      closing_balance: 1490,
+      computed_closing_balance: 1490,
+      closing_balance_matches: true,
+      total_debits: 10,
+      total_credits: 500,
+      transaction_count: 2,
+      checked_rows: 2,
+      mismatched_rows: 0,
+      issues: []
+    });
+  });
+
+  test('reports a gap where transactions are probably missing', () => {
+    const { transactions, validation } = reconcileBankTransactions([
+      row('SALDO AWAL', { balance: 1000 }),
+      row('TRANSFER MASUK', { credit: 500, balance: 1500 }),
+      row('BIAYA ADMIN', { debit: 10, balance: 1290 }),
+      row('TRANSFER MASUK', { credit: 100, balance: 1390 })
+    ], options);
+
+    expect(validation.status).toBe('mismatch');
+    expect(validation.mismatched_rows).toBe(1);
+    expect(validation.gaps).toEqual([{
+      after_row: 2,
+      before_row: 3,
+      expected_balance: 1490,
+      running_balance: 1290,
+      unexplained_amount: -200
+    }]);
+    // Checking resumes from the printed balance, so the gap is reported once
+    expect(transactions[3]).toMatchObject({ reconciled: true, balance_difference: 0 });
+  });
+
+  test('recognises swapped debit and credit', () => {
+    const { validation } = reconcileBankTransactions([
+      row('SALDO AWAL', { balance: 1000 }),
+      row('TRANSFER KELUAR', { credit: 200, balance: 800 })
+    ], options);
+
+    expect(validation.gaps).toEqual([]);
+    expect(validation.issues).toEqual(['Row 2: debit and credit appear to be swapped']);
+  });
+
+  test('removes duplicated rows', () => {
+    const { transactions, validation } = reconcileBankTransactions([
+      row('SALDO AWAL', { balance: 1000 }),
+      row('TRANSFER MASUK', { credit: 500, balance: 1500 }),
+      row('TRANSFER  masuk', { credit: 500, balance: 1500 }),
+      row('BIAYA ADMIN', { debit: 10, balance: 1490 })
+    ], options);
+
+    expect(transactions).toHaveLength(3);
+    expect(validation.duplicates).toEqual([{ index: 2, duplicate_of: 1, description: 'TRANSFER  masuk' }]);
+    expect(validation.status).toBe('reconciled');
+  });
+
+  test('flags a closing balance that does not match', () => {
+    const { validation } = reconcileBankTransactions([
+      row('SALDO AWAL', { balance: 1000 }),
+      row('TRANSFER MASUK', { credit: 500, balance: 1500 }),
+      row('SALDO AKHIR', { balance: 1600 })
+    ], options);
+
+    expect(validation).toMatchObject({ status: 'mismatch', closing_balance_matches: false, closing_balance: 1600, computed_closing_balance: 1500 });
+  });
+
+  test('starts from the first running balance without an opening row', () => {
+    const { validation } = reconcileBankTransactions([
+      row('TRANSFER MASUK', { credit: 500, balance: 1500 }),
+      row('BIAYA ADMIN', { debit: 10, balance: 1490 })
+    ], options);
+
+    expect(validation).toMatchObject({ status: 'reconciled', opening_balance: null, checked_rows: 1 });
+    expect(validation.issues[0]).toMatch(/No opening balance/);
+  });
+
+  test('is unverifiable without running balances', () => {
+    const { validation } = reconcileBankTransactions([
+      row('TRANSFER MASUK', { credit: 500 }),
+      row('BIAYA ADMIN', { debit: 10 })
+    ], options);
+
+    expect(validation).toMatchObject({ status: 'unverifiable', needs_review: true });
+  });
+});
@@ -0,0 +1,82 @@
+const { mergeBankStatementBatches } = require('../../../src/services/extraction/bankStatementMerge');
+
+function row(description, date, { debit = null, credit = null, balance = null } = {}) {
+  return {
+    transaction_date: date,
+    description,
+    debit_amount: debit,
+    credit_amount: credit,
+    running_balance: balance
+  };
+}
+
+function batch(startPage, endPage, transactions, header = {}) {
+  return { startPage, endPage, data: { bank_transactions: transactions, ...header } };
+}
+
+describe('mergeBankStatementBatches', () => {
+  test('drops carried-over balances and rows repeated across a batch boundary', () => {
+    const merged = mergeBankStatementBatches([
+      batch(1, 3, [
+        row('SALDO AWAL', '2025-01-01', { balance: 1000 }),
+        row('TRANSFER MASUK', '2025-01-02', { credit: 500, balance: 1500 }),
+        row('SALDO AKHIR', '2025-01-02', { balance: 1500 })
+      ], { vendor: 'BCA', document_number: '1234567890' }),
+      batch(4, 6, [
+        row('SALDO AWAL', '2025-01-02', { balance: 1500 }),
+        row('TRANSFER MASUK', '2025-01-02', { credit: 500, balance: 1500 }),
+        row('BIAYA ADMIN', '2025-01-31', { debit: 10, balance: 1490 }),
+        row('SALDO AKHIR', '2025-01-31', { balance: 1490 })
+      ])
+    ]);
+
+    expect(merged.bank_transactions.map(transaction => transaction.description)).toEqual([
+      'SALDO AWAL', 'TRANSFER MASUK', 'BIAYA ADMIN', 'SALDO AKHIR'
+    ]);
+    expect(merged.bank_transactions.map(transaction => transaction.source_pages)).toEqual(['1-3', '1-3', '4-6', '4-6']);
+    expect(merged.removed_overlap_rows).toEqual([
+      { pages: '1-3', row: 3, reason: 'intermediate_closing_balance', description: 'SALDO AKHIR' },
+      { pages: '4-6', row: 1, reason: 'carried_forward_opening_balance', description: 'SALDO AWAL' },
+      { pages: '4-6', row: 2, reason: 'batch_overlap_duplicate', description: 'TRANSFER MASUK' }
+    ]);
+    expect(merged).toMatchObject({ vendor: 'BCA', document_number: '1234567890', type: 'Bank Statement', line_items: null });
+  });
+
+  test('orders rows by date and keeps undated rows after the row they followed', () => {
+    const merged = mergeBankStatementBatches([
+      batch(1, 1, [
+        row('B', '2025-01-05'),
+        row('B continued', null),
+        row('A', '2025-01-03')
+      ])
+    ]);
+
+    expect(merged.bank_transactions.map(transaction => transaction.description)).toEqual(['A', 'B', 'B continued']);
+  });
+
+  test('reports failed batches and merges the schema validation of the others', () => {
+    const merged = mergeBankStatementBatches([
+      batch(1, 3, [row('TRANSFER MASUK', '2025-01-02', { credit: 500 })], {
+        schema_validation: { valid: true, attempts: 1, fields: { vendor: true, date: true }, errors: [], removed_fields: [] }
+      }),
+      { startPage: 4, endPage: 6, data: null, error: 'AI structured extraction timed out' },
+      batch(7, 8, [row('BIAYA ADMIN', '2025-01-31', { debit: 10 })], {
+        schema_validation: { valid: false, attempts: 2, fields: { vendor: true, date: false }, errors: ['date: must be a date'], removed_fields: ['notes'] }
+      })
+    ]);
+
+    expect(merged.page_batches).toEqual([
+      { start_page: 1, end_page: 3, status: 'complete', transactions: 1, error: null },
+      { start_page: 4, end_page: 6, status: 'failed', transactions: 0, error: 'AI structured extraction timed out' },
+      { start_page: 7, end_page: 8, status: 'complete', transactions: 1, error: null }
+    ]);
+    expect(merged.schema_validation).toEqual({
+      schema: 'bank_statement',
+      valid: false,
+      attempts: 3,
+      fields: { vendor: true, date: false },
+      errors: ['pages 7-8: date: must be a date'],
+      removed_fields: ['notes']
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { reconcileInvoiceTotals, inferLineItemValues } = require('../../../src/services/extraction/reconciliation');
+
+const options = { absoluteTolerance: 1, relativeTolerance: 0.01 };
+
+describe('inferLineItemValues', () => {
+  test('infers the unit price from the line total and quantity', () => {
+    expect(inferLineItemValues({ quantity: 3, line_total_amount: 10 })).toEqual({
+      item: { quantity: 3, unit_price: 3.33, line_total_amount: 10 },
+      inferred: ['unit_price']
+    });
+  });
+
+  test('infers the quantity from the line total and unit price', () => {
+    expect(inferLineItemValues({ unit_price: 2.5, line_total_amount: 7.5 }).item.quantity).toBe(3);
+    expect(inferLineItemValues({ unit_price: 3, line_total_amount: 4 }).item.quantity).toBe(1.3333);
+  });
+
+  test('infers the line total from the quantity and unit price', () => {
+    expect(inferLineItemValues({ quantity: 2, unit_price: 1.005 })).toEqual({
+      item: { quantity: 2, unit_price: 1.005, line_total_amount: 2.01 },
+      inferred: ['line_total_amount']
+    });
+  });
+
+  test('defaults to one unit at the line total', () => {
+    expect(inferLineItemValues({ line_total_amount: 50000 })).toEqual({
+      item: { quantity: 1, unit_price: 50000, line_total_amount: 50000 },
+      inferred: ['quantity', 'unit_price']
+    });
+  });
+
+  test('leaves complete items alone', () => {
+    const item = { quantity: 2, unit_price: 5, line_total_amount: 11 };
+    expect(inferLineItemValues(item)).toEqual({ item, inferred: [] });
+  });
+});
+
+describe('reconcileInvoiceTotals', () => {
+  test('reconciles line items plus tax against the total', () => {
+    const { validation } = reconcileInvoiceTotals({
+      amount: 111000,
+      tax_amount: 11000,
+      line_items: [
+        { quantity: 2, unit_price: 25000, line_total_amount: 50000 },
+        { quantity: 1, unit_price: 50000, line_total_amount: 50000 }
+      ]
+    }, options);
+
+    expect(validation.status).toBe('reconciled');
+    expect(validation.needs_review).toBe(false);
+    expect(validation.checks[0]).toMatchObject({
+      check: 'document_total',
+      formula: 'line_items + tax + service_charge - discount',
+      expected: 111000,
+      passed: true
+    });
+  });
+
+  test('accepts tax-inclusive prices', () => {
+    const { validation } = reconcileInvoiceTotals({
+      amount: 100000,
+      tax_amount: 9910,
+      line_items: [{ quantity: 1, unit_price: 100000, line_total_amount: 100000 }]
+    }, options);
+
+    expect(validation.status).toBe('reconciled');
+    expect(validation.checks[0].formula).toBe('line_items + service_charge - discount (tax inclusive)');
+  });
+
+  test('flags a total that does not match the line items', () => {
+    const { validation } = reconcileInvoiceTotals({
+      amount: 150000,
+      line_items: [{ quantity: 1, unit_price: 100000, line_total_amount: 100000 }]
+    }, options);
+
+    expect(validation.status).toBe('mismatch');
+    expect(validation.needs_review).toBe(true);
+    expect(validation.checks[0]).toMatchObject({ expected: 100000, actual: 150000, difference: 50000, passed: false });
+    expect(validation.issues[0]).toMatch(/Total 150000 does not match/);
+  });
+
+  test('flags line item arithmetic that does not add up', () => {
+    const { validation } = reconcileInvoiceTotals({
+      amount: 60000,
+      line_items: [{ quantity: 2, unit_price: 25000, line_total_amount: 60000 }]
+    }, options);
+
+    expect(validation.status).toBe('mismatch');
+    expect(validation.checks).toContainEqual(expect.objectContaining({
+      check: 'line_item_arithmetic',
+      line: 0,
+      expected: 50000,
+      actual: 60000,
+      passed: false
+    }));
+  });
+
+  test('returns the inferred line item values', () => {
+    const { data, validation } = reconcileInvoiceTotals({
+      amount: 30000,
+      line_items: [{ quantity: 3, line_total_amount: 30000 }]
+    }, options);
+
+    expect(data.line_items[0].unit_price).toBe(10000);
+    expect(validation.inferred).toEqual([{ line: 0, field: 'unit_price', value: 10000 }]);
+    expect(validation.status).toBe('reconciled');
+  });
+
+  test('is unverifiable without a total or priced line items', () => {
+    expect(reconcileInvoiceTotals({ amount: null, line_items: [] }, options).validation).toMatchObject({
+      status: 'unverifiable',
+      needs_review: false,
+      issues: ['No total amount to reconcile against']
+    });
+    expect(reconcileInvoiceTotals({ amount: 1000, line_items: [] }, options).validation.issues).toEqual(['No priced line items to reconcile against']);
+  });
+});
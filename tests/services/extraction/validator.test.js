@@ -0,0 +1,121 @@
+const { validateAgainstSchema, normalizeToSchema, sanitizeToSchema } = require('../../../src/services/extraction/validator');
+const { validateExtraction, finalizeExtraction } = require('../../../src/services/extraction');
+
+const parseNumber = value => {
+  const parsed = Number(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+function invoice(overrides = {}) {
+  return {
+    vendor: 'PT Maju Jaya',
+    date: '2025-01-31',
+    type: 'Invoice',
+    amount: 111000,
+    currency: 'IDR',
+    description: 'Office supplies',
+    discount: null,
+    deposit_amount: null,
+    document_number: 'INV/2025/001',
+    tax_amount: 11000,
+    tax_type_name: 'PPN',
+    service_charge_amount: null,
+    service_charge_type: null,
+    due_date: null,
+    ap_ar_status: 'AP',
+    line_items: [{ description: 'Paper', quantity: 2, unit_price: 50000, line_total_amount: 100000 }],
+    ...overrides
+  };
+}
+
+describe('validateAgainstSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      date: { type: ['string', 'null'], format: 'date' },
+      status: { type: ['string', 'null'], enum: ['AP', 'AR', null] },
+      items: { type: 'array', items: { type: 'number' } }
+    },
+    required: ['date', 'status', 'items'],
+    additionalProperties: false
+  };
+
+  test('accepts a valid value', () => {
+    expect(validateAgainstSchema({ date: '2024-02-29', status: null, items: [1, 2] }, schema)).toEqual([]);
+  });
+
+  test('reports types, enums, dates, missing and extra fields by path', () => {
+    expect(validateAgainstSchema({ date: '2023-02-29', status: 'paid', items: [1, 'two'], extra: true }, schema)).toEqual([
+      { path: 'date', message: 'must be a date in YYYY-MM-DD format, got "2023-02-29"' },
+      { path: 'status', message: 'must be one of "AP", "AR", null' },
+      { path: 'items[1]', message: 'expected number, got string' },
+      { path: 'extra', message: 'is not an allowed field' }
+    ]);
+    expect(validateAgainstSchema({ date: null, status: null }, schema)).toEqual([{ path: 'items', message: 'is required' }]);
+  });
+});
+
+describe('normalizeToSchema and sanitizeToSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      amount: { type: ['number', 'null'] },
+      number: { type: ['string', 'null'] },
+      items: { type: 'array', items: { type: 'object', properties: { total: { type: 'number' } }, required: ['total'] } }
+    },
+    required: ['amount', 'number', 'items'],
+    additionalProperties: false
+  };
+
+  test('converts unambiguous values and drops fields the schema does not allow', () => {
+    const removedFields = [];
+    const normalized = normalizeToSchema({ amount: '1,500.50', number: 12345, items: [], notes: 'x' }, schema, { parseNumber }, '', removedFields);
+
+    expect(normalized).toEqual({ amount: 1500.5, number: '12345', items: [] });
+    expect(removedFields).toEqual(['notes']);
+  });
+
+  test('clears invalid values and drops list items that cannot be repaired', () => {
+    expect(sanitizeToSchema({ amount: 'unknown', number: 'A1', items: [{ total: 5 }, { total: 'n/a' }] }, schema)).toEqual({
+      amount: null,
+      number: 'A1',
+      items: [{ total: 5 }]
+    });
+  });
+});
+
+describe('validateExtraction and finalizeExtraction', () => {
+  test('passes a complete extraction, converting numeric strings', () => {
+    const result = validateExtraction(invoice({ amount: '111000' }), 'standard', { parseNumber });
+
+    expect(result.valid).toBe(true);
+    expect(result.data.amount).toBe(111000);
+  });
+
+  test('records invalid fields per field and clears them in the final data', () => {
+    const result = validateExtraction(invoice({ date: '31/01/2025', ap_ar_status: 'payable', confidence: 0.9 }), 'standard', { parseNumber });
+    expect(result.valid).toBe(false);
+    expect(result.removedFields).toEqual(['confidence']);
+
+    const data = finalizeExtraction(result, 'standard', 2);
+
+    expect(data.date).toBeNull();
+    expect(data.ap_ar_status).toBeNull();
+    expect(data.vendor).toBe('PT Maju Jaya');
+    expect(data.schema_validation).toMatchObject({
+      schema: 'standard',
+      valid: false,
+      attempts: 2,
+      removed_fields: ['confidence'],
+      errors: [
+        'date: must be a date in YYYY-MM-DD format, got "31/01/2025"',
+        'ap_ar_status: must be one of "AP", "AR", "N/A", null'
+      ]
+    });
+    expect(data.schema_validation.fields).toMatchObject({ vendor: true, date: false, ap_ar_status: false, line_items: true });
+  });
+
+  test('rejects an unknown schema family', () => {
+    expect(() => validateExtraction({}, 'receipt')).toThrow('Unknown extraction schema: receipt');
+  });
+});
@@ -0,0 +1,43 @@
+const { classifyFailure, withFailureCategory } = require('../../src/utils/failures');
+
+function errorNamed(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+describe('classifyFailure', () => {
+  test.each([
+    [new SyntaxError('Unexpected token } in JSON'), 'invalid_message', true],
+    [new Error('Organization org-1 not found'), 'invalid_organization', true],
+    [new Error('File type application/zip is not supported'), 'unsupported_file_type', true],
+    [new Error('Invalid PDF structure'), 'corrupt_file', true],
+    [errorNamed('NoSuchKey', 'The specified key does not exist.'), 'file_not_found', true],
+    [new Error('AI response blocked, reason: SAFETY'), 'ai_rejected', true],
+    [new Error('AI structured extraction timed out after 120000ms'), 'ai_timeout', false],
+    [Object.assign(new Error('Model is overloaded'), { status: 503 }), 'ai_unavailable', false],
+    [Object.assign(new Error('read failed'), { code: 'ECONNRESET' }), 'storage_error', false],
+    [new Error('Failed to update document: PGRST116'), 'database_error', false],
+    [new Error('Processing aborted after 600000ms'), 'processing_timeout', false],
+    [new Error('Something odd happened'), 'unknown', false]
+  ])('classifies %p as %s', (error, category, permanent) => {
+    expect(classifyFailure(error)).toEqual({ category, permanent, reason: error.message });
+  });
+
+  test('retries an empty AI response and a denied S3 read', () => {
+    expect(classifyFailure(new Error('AI response blocked, reason: empty response')).permanent).toBe(false);
+    expect(classifyFailure(errorNamed('AccessDenied', 'Access Denied'))).toMatchObject({ category: 'storage_error', permanent: false });
+  });
+
+  test('trusts a category tagged where the error was thrown', () => {
+    const error = withFailureCategory(new Error('Download timed out'), 'storage_error');
+
+    expect(error.failureCategory).toBe('storage_error');
+    expect(classifyFailure(error).category).toBe('storage_error');
+  });
+
+  test('ignores an unknown tag and handles non-error values', () => {
+    expect(classifyFailure(withFailureCategory(new Error('Invalid PDF structure'), 'not_a_category')).category).toBe('corrupt_file');
+    expect(classifyFailure('boom')).toEqual({ category: 'unknown', permanent: false, reason: 'boom' });
+  });
+});
@@ -0,0 +1,92 @@
+const { detectFileType, resolveFileType } = require('../../src/utils/fileType');
+const { classifyFailure } = require('../../src/utils/failures');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+function ftyp(majorBrand, ...compatibleBrands) {
+  const brands = [majorBrand, '0000', ...compatibleBrands].join('');
+  const box = Buffer.alloc(8 + brands.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(brands, 8, 'latin1');
+  return box;
+}
+
+function failureOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return classifyFailure(error).category;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('detectFileType', () => {
+  test.each([
+    ['pdf', Buffer.from('%PDF-1.7\n')],
+    ['pdf', Buffer.concat([Buffer.from('junk before the header '), Buffer.from('%PDF-1.4')])],
+    ['jpg', JPEG],
+    ['png', PNG],
+    ['gif', Buffer.from('GIF89a\x01\x00', 'latin1')],
+    ['webp', Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1')],
+    ['docx', Buffer.from('PK\x03\x04....word/document.xml', 'latin1')],
+    ['xlsx', Buffer.from('PK\x03\x04....xl/workbook.xml', 'latin1')],
+    ['heic', ftyp('heic', 'mif1')],
+    ['heic', ftyp('mif1', 'heic')]
+  ])('detects %s', (expected, buffer) => {
+    expect(detectFileType(buffer)).toBe(expected);
+  });
+
+  test('detects legacy Office documents by their stream names', () => {
+    const ole2 = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+    expect(detectFileType(Buffer.concat([ole2, Buffer.from('WordDocument', 'utf16le')]))).toBe('doc');
+    expect(detectFileType(Buffer.concat([ole2, Buffer.from('Workbook', 'utf16le')]))).toBe('xls');
+  });
+
+  test('does not treat AVIF images as HEIC', () => {
+    expect(detectFileType(ftyp('avif', 'mif1'))).toBeNull();
+  });
+
+  test('detects text in UTF-8, UTF-16 and single-byte encodings', () => {
+    expect(detectFileType(Buffer.from('Faktur nomor 12\r\nTotal: Rp 10.000\n'))).toBe('txt');
+    expect(detectFileType(Buffer.from('Café – résumé', 'utf8'))).toBe('txt');
+    expect(detectFileType(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Total', 'utf16le')]))).toBe('txt');
+    // Windows-1252: é and the euro sign aren't valid UTF-8
+    expect(detectFileType(Buffer.from([0x43, 0x61, 0x66, 0xe9, 0x20, 0x80, 0x35, 0x0d, 0x0a]))).toBe('txt');
+  });
+
+  test('returns null for empty or binary content', () => {
+    expect(detectFileType(Buffer.alloc(0))).toBeNull();
+    expect(detectFileType(Buffer.from([0x01, 0x02, 0x00, 0x03]))).toBeNull();
+    expect(detectFileType(Buffer.from([0x80, 0x81, 0x02, 0x03]))).toBeNull();
+  });
+});
+
+describe('resolveFileType', () => {
+  test('matches content that confirms the extension, including aliases', () => {
+    expect(resolveFileType('PNG', PNG)).toEqual({ declared: 'png', detected: 'png', fileType: 'png', action: 'match' });
+    expect(resolveFileType('jpeg', JPEG)).toMatchObject({ fileType: 'jpeg', action: 'match' });
+  });
+
+  test('corrects the type when the content is another supported format', () => {
+    expect(resolveFileType('pdf', JPEG)).toEqual({ declared: 'pdf', detected: 'jpg', fileType: 'jpg', action: 'corrected' });
+  });
+
+  test('accepts a .txt file that is not recognised as text', () => {
+    expect(resolveFileType('txt', Buffer.from([0x80, 0x81, 0x02, 0x03]))).toMatchObject({ detected: null, fileType: 'txt', action: 'accepted' });
+  });
+
+  test('rejects plain text under a binary extension as corrupt', () => {
+    expect(failureOf(() => resolveFileType('pdf', Buffer.from('<html>Access denied</html>')))).toBe('corrupt_file');
+  });
+
+  test('rejects unrecognised content under a supported extension as corrupt', () => {
+    expect(failureOf(() => resolveFileType('png', Buffer.from([0x01, 0x02, 0x00, 0x03])))).toBe('corrupt_file');
+  });
+
+  test('rejects unsupported extensions', () => {
+    expect(failureOf(() => resolveFileType('exe', Buffer.from([0x4d, 0x5a, 0x00, 0x01])))).toBe('unsupported_file_type');
+    expect(failureOf(() => resolveFileType(null, Buffer.from([0x4d, 0x5a, 0x00, 0x01])))).toBe('unsupported_file_type');
+  });
+});
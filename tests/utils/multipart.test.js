@@ -0,0 +1,80 @@
+const { Readable } = require('stream');
+const { parseMultipart } = require('../../src/utils/multipart');
+
+// An incoming request: an async iterable body with headers
+function request(body, headers) {
+  const req = Readable.from([body]);
+  req.headers = headers;
+  return req;
+}
+
+async function multipartRequest(formData, { contentLength = true } = {}) {
+  const encoded = new Request('http://localhost/upload', { method: 'POST', body: formData });
+  const body = Buffer.from(await encoded.arrayBuffer());
+  const headers = { 'content-type': encoded.headers.get('content-type') };
+  if (contentLength) headers['content-length'] = String(body.length);
+  return request(body, headers);
+}
+
+async function errorCode(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('parseMultipart', () => {
+  test('returns fields and files', async () => {
+    const formData = new FormData();
+    formData.append('vertical', 'accounting');
+    formData.append('file', new Blob([Buffer.from('%PDF-1.7')], { type: 'application/pdf' }), 'invoice.pdf');
+
+    const { fields, files } = await parseMultipart(await multipartRequest(formData), { maxBytes: 1024 });
+
+    expect(fields).toEqual({ vertical: 'accounting' });
+    expect(files.file).toEqual({
+      filename: 'invoice.pdf',
+      contentType: 'application/pdf',
+      buffer: Buffer.from('%PDF-1.7')
+    });
+  });
+
+  test('keeps the last value of a repeated name', async () => {
+    const formData = new FormData();
+    formData.append('vertical', 'accounting');
+    formData.append('vertical', 'legal');
+
+    const { fields } = await parseMultipart(await multipartRequest(formData), { maxBytes: 1024 });
+
+    expect(fields.vertical).toBe('legal');
+  });
+
+  test('rejects a declared Content-Length over the limit', async () => {
+    const formData = new FormData();
+    formData.append('file', new Blob([Buffer.alloc(2048)]), 'large.pdf');
+
+    expect(await errorCode(parseMultipart(await multipartRequest(formData), { maxBytes: 1024 }))).toBe('PAYLOAD_TOO_LARGE');
+  });
+
+  test('rejects a chunked body over the limit', async () => {
+    const formData = new FormData();
+    formData.append('file', new Blob([Buffer.alloc(2048)]), 'large.pdf');
+    const req = await multipartRequest(formData, { contentLength: false });
+
+    expect(await errorCode(parseMultipart(req, { maxBytes: 1024 }))).toBe('PAYLOAD_TOO_LARGE');
+  });
+
+  test('rejects other content types', async () => {
+    const req = request(Buffer.from('{}'), { 'content-type': 'application/json' });
+
+    expect(await errorCode(parseMultipart(req, { maxBytes: 1024 }))).toBe('INVALID_MULTIPART');
+  });
+
+  test('rejects a malformed body', async () => {
+    const req = request(Buffer.from('no boundaries here'), { 'content-type': 'multipart/form-data; boundary=abc' });
+
+    expect(await errorCode(parseMultipart(req, { maxBytes: 1024 }))).toBe('INVALID_MULTIPART');
+  });
+});